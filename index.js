@@ -4,8 +4,9 @@
  * Main entry point of the application:
  * 1. Connects to MongoDB
  * 2. Tests Supabase connection
- * 3. Starts the Express server
- * 4. Handles process-level errors
+ * 3. Starts the Express server and attaches the rooms WebSocket endpoint
+ * 4. Starts the trash purge job and backfills score levels
+ * 5. Handles process-level errors
  */
 
 import { config } from 'dotenv';
@@ -13,6 +14,9 @@ config({ quiet: true });
 import { connectMongoDB } from './src/db/mongodb.js';
 import { testSupabaseConnection } from './src/db/supabase.js';
 import app from './src/server.js';
+import attachRoomsSocket from './src/websocket/roomsSocket.js';
+import trashService from './src/services/trashService.js';
+import leaderboardService from './src/services/leaderboardService.js';
 
 const PORT = process.env.PORT || 3000;
 
@@ -32,11 +36,24 @@ async function startServer() {
     await testSupabaseConnection();
 
     // Start Express server
-    app.listen(PORT, () => {
+    const server = app.listen(PORT, () => {
       console.log(`✔ Riddles server running on http://localhost:${PORT}`);
       console.log(`✔ Environment: ${process.env.NODE_ENV || "development"}`);
       console.log("✔ All systems ready!");
     });
+
+    // Multiplayer rooms share the HTTP server
+    attachRoomsSocket(server);
+    console.log(`✔ Rooms WebSocket endpoint ready on ws://localhost:${PORT}/ws/rooms`);
+
+    // Remove riddles and players whose trash retention has passed
+    trashService.startPurgeJob();
+
+    // Scores recorded before riddle levels were stored are missing from per-level leaderboards
+    leaderboardService
+      .backfillScoreLevels()
+      .then((updated) => updated > 0 && console.log(`✔ Backfilled the riddle level of ${updated} scores`))
+      .catch((error) => console.error("✘ Failed to backfill score levels:", error.message));
   } catch (error) {
     console.error("✘ Failed to start server:", error);
     process.exit(1);
@@ -0,0 +1,35 @@
+/**
+ * Admin Controller
+ */
+import auditService from '../services/auditService.js';
+import pagination from '../utils/pagination.js';
+import { catchAsync } from '../middleware/errorHandler.js';
+
+/**
+ * Get the audit log of admin actions, newest first
+ * Filtered by ?actor (user ID or username), ?action (e.g. "DELETE /riddles/:id"), ?outcome (success, failure)
+ * and a ?from / ?to date range; paginated with opaque cursors (limit, cursor, includeTotal)
+ */
+export const getAuditLog = catchAsync(async (req, res) => {
+    const { actor, action, outcome, from, to } = req.query;
+    const { limit, cursor, includeTotal } = pagination.parsePagination(req.query);
+
+    const page = await auditService.getEntries({ actor, action, outcome, from, to }, { limit, cursor, includeTotal });
+
+    res.json({
+        success: true,
+        count: page.items.length,
+        data: page.items,
+        pagination: pagination.paginationMeta(page, limit),
+    });
+});
+
+/**
+ * Export the audit log
+ * Streams a download as ?format=json (default), ndjson or csv, with the same filters as the audit log
+ */
+export const exportAuditLog = catchAsync(async (req, res) => {
+    const { format, actor, action, outcome, from, to } = req.query;
+
+    await auditService.exportEntries(res, { format, actor, action, outcome, from, to });
+});
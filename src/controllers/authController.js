@@ -5,6 +5,8 @@
  */
 import { catchAsync, ApiError } from '../middleware/errorHandler.js';
 import authService from '../services/authService.js';
+import authStatsService from '../services/authStatsService.js';
+import loginAttemptService from '../services/loginAttemptService.js';
 
 /**
  * Register a new user
@@ -20,7 +22,7 @@ export const register = catchAsync(async (req, res) => {
     const { username, password, adminCode } = req.body;
 
     // Register user through auth service
-    const result = await authService.registerUser(username, password, adminCode);
+    const result = await authService.registerUser(username, password, adminCode, { ip: req.ip });
 
     // Log successful registration (without sensitive data)
     if (process.env.NODE_ENV !== "test")
@@ -46,7 +48,7 @@ export const login = catchAsync(async (req, res) => {
     const { username, password } = req.body;
 
     // Login user through auth service
-    const result = await authService.loginUser(username, password);
+    const result = await authService.loginUser(username, password, { ip: req.ip });
 
     // Log successful login (without sensitive data)
     if (process.env.NODE_ENV !== "test")
@@ -103,64 +105,129 @@ export const validateToken = catchAsync(async (req, res) => {
 });
 
 /**
- * Logout endpoint (client-side token removal)
- * Since we're using stateless JWT, actual logout is handled client-side
- * This endpoint can be used for logging purposes
+ * Exchange a refresh token for a new access token and refresh token
+ *
+ * route POST /auth/refresh
+ * access Public (requires a valid refresh token)
+ * Object req.body - Request body
+ * string req.body.refreshToken - Refresh token from login, register or a previous refresh
+ */
+export const refresh = catchAsync(async (req, res) => {
+    const { refreshToken } = req.body;
+
+    const result = await authService.refreshAuthTokens(refreshToken);
+
+    res.json({
+        success: true,
+        message: "Token refreshed successfully",
+        data: result,
+    });
+});
+
+/**
+ * Logout endpoint
+ * Revokes the current access token and, when provided, the client's refresh token
  *
  * route POST /auth/logout
  * access Private (requires authentication)
+ * string [req.body.refreshToken] - Refresh token of the same client
  */
 export const logout = catchAsync(async (req, res) => {
     const { username } = req.user;
+    const { refreshToken } = req.body || {};
+
+    await authService.logoutUser(req.tokenData, refreshToken);
 
     // Log logout event
     if (process.env.NODE_ENV !== "test") console.log(`User logged out: ${username}`);
 
     res.json({
         success: true,
-        message: "Logout successful. Please remove token from client storage.",
+        message: "Logout successful",
+    });
+});
+
+/**
+ * Logout from all devices
+ * Revokes every access token and refresh token of the current user
+ *
+ * route POST /auth/logout-all
+ * access Private (requires authentication)
+ */
+export const logoutAll = catchAsync(async (req, res) => {
+    const { username } = req.user;
+
+    await authService.logoutAllDevices(req.tokenData);
+
+    if (process.env.NODE_ENV !== "test") console.log(`User logged out from all devices: ${username}`);
+
+    res.json({
+        success: true,
+        message: "Logged out from all devices",
     });
 });
 
 /**
- * Change password endpoint (bonus feature)
+ * Change password endpoint
+ * Invalidates every token issued before the change and returns fresh tokens for the current client
  *
  * route PUT /auth/change-password
  * access Private (requires authentication)
  * param {Object} req.body - Request body
  * string req.body.currentPassword - Current password
- * string req.body.newPassword - New password (6+ characters)
+ * string req.body.newPassword - New password (8+ characters)
  */
 export const changePassword = catchAsync(async (req, res) => {
     const { currentPassword, newPassword } = req.body;
     const userId = req.user.id;
 
-    if (!currentPassword || !newPassword)
-        throw new ApiError(400, "Current password and new password are required");
+    const result = await authService.changePassword(userId, currentPassword, newPassword);
 
-    if (newPassword.length < 6) throw new ApiError(400, "New password must be at least 6 characters long");
+    if (process.env.NODE_ENV !== "test") console.log(`User changed password: ${req.user.username}`);
 
-    // This would require implementing changePassword in authService
-    // For now, we'll just return a placeholder response
-    throw new ApiError(501, "Password change feature not implemented yet");
+    res.json({
+        success: true,
+        message: "Password changed successfully. Other sessions have been logged out",
+        data: result,
+    });
 });
 
 /**
  * Get authentication statistics (admin only)
+ * Users by role, registrations per day and week, login counts, active users and gameplay activity
  *
  * route GET /auth/stats
  * access Private (admin only)
+ * string [req.query.refresh] - "true" to bypass the statistics cache
  */
 export const getAuthStats = catchAsync(async (req, res) => {
-    // This would require implementing stats collection
-    // For now, return basic info
+    const stats = await authStatsService.getAuthStats({ refresh: req.query.refresh === "true" });
+
     res.json({
         success: true,
         message: "Authentication statistics",
-        data: {
-            feature: "Admin authentication statistics",
-            status: "Not implemented yet",
-            suggestion: "Could include user count by role, recent registrations, etc.",
-        },
+        data: stats,
     });
-});
\ No newline at end of file
+});
+
+/**
+ * Clear a login lockout (admin only)
+ * Removes the lockout and failed attempt history of a username
+ *
+ * route DELETE /auth/lockouts/:username
+ * access Private (admin only)
+ */
+export const clearLockout = catchAsync(async (req, res) => {
+    const { username } = req.params;
+
+    const cleared = await loginAttemptService.clearLockout(username);
+    if (!cleared) throw new ApiError(404, "No lockout or failed attempts recorded for this username");
+
+    if (process.env.NODE_ENV !== "test") console.log(`Login lockout cleared for ${username} by ${req.user.username}`);
+
+    res.json({
+        success: true,
+        message: "Lockout cleared successfully",
+        data: { username },
+    });
+});
@@ -2,6 +2,12 @@
  * Players Controller
  */
 import Player from '../models/Player.js';
+import Riddle from '../models/Riddle.js';
+import gameSessionService from '../services/gameSessionService.js';
+import leaderboardService from '../services/leaderboardService.js';
+import leaderboardStreamService from '../services/leaderboardStreamService.js';
+import pagination from '../utils/pagination.js';
+import localeUtil from '../utils/locale.js';
 import { catchAsync, ApiError } from '../middleware/errorHandler.js';
 
 /**
@@ -36,6 +42,7 @@ export const createPlayer = catchAsync(async (req, res) => {
 /**
  * Get player by username
  * Optional authentication provides enhanced data based on user role
+ * Admins and the player also get the score history, paginated with opaque cursors (limit, cursor)
  */
 export const getPlayerByUsername = catchAsync(async (req, res) => {
     const { username } = req.params;
@@ -49,76 +56,193 @@ export const getPlayerByUsername = catchAsync(async (req, res) => {
         });
     }
 
-    const playerStats = await Player.getPlayerStats(username);
+    const { limit, cursor } = pagination.parsePagination(req.query, { defaultLimit: 20 });
+    const { player, stats, history } = await Player.getPlayerStats(username, { limit, cursor });
 
     // Basic public information for regular users
     let responseData = {
-        username: playerStats.username,
-        created_at: playerStats.created_at,
-        riddles_solved: playerStats.riddles_solved
+        username: player.username,
+        created_at: player.created_at,
+        riddles_solved: stats.total_solved,
+        total_points: stats.total_points,
+        hints_used: stats.hints_used,
     };
 
     // Enhanced data for admins or when viewing own profile
-    if (user.role === 'admin' || user.username === username) {
+    const isPrivileged = user.role === 'admin' || user.username === username;
+    if (isPrivileged) {
         responseData = {
             ...responseData,
-            best_time: playerStats.best_time,
-            total_time: playerStats.total_time,
-            average_time: playerStats.average_time,
-            detailed_history: playerStats.detailed_history
+            best_time: stats.best_time,
+            total_time: stats.total_time,
+            average_time: stats.avg_time,
+            solved_without_hints: stats.solved_without_hints,
+            detailed_history: history.items,
         };
     }
 
     res.json({
         success: true,
         data: responseData,
+        ...(isPrivileged && { pagination: pagination.paginationMeta(history, limit) }),
+    });
+});
+
+/**
+ * Get the riddles a player contributed
+ * Everyone sees the published ones; the player and admins also see unpublished ones with their status and answers
+ * Riddles are served in the locale asked for with ?lang= or Accept-Language, where translated
+ */
+export const getPlayerRiddles = catchAsync(async (req, res) => {
+    const { username } = req.params;
+    const locales = localeUtil.requestedLocales(req, res);
+    const { limit, cursor, includeTotal } = pagination.parsePagination(req.query);
+
+    const player = await Player.findByUsername(username);
+    if (!player) throw new ApiError(404, "Player not found");
+
+    const isPrivileged = req.user?.role === "admin" || (req.user?.id !== undefined && req.user.id === player.id);
+    const filters = { "createdBy.id": player.id, ...(!isPrivileged && Riddle.publishedFilter()) };
+
+    const page = await Riddle.findPage(filters, { limit, cursor, includeTotal, sortName: "newest" });
+    const riddles = page.items.map((riddle) => Riddle.localize(riddle, locales));
+
+    res.json({
+        success: true,
+        count: page.items.length,
+        data: isPrivileged ? riddles : riddles.map(Riddle.toPublic),
+        pagination: pagination.paginationMeta(page, limit),
     });
 });
 
 /**
  * Submit a score
+ * Finishes a ranked game session for the authenticated player; the solve time is measured by the server
  */
 export const submitScore = catchAsync(async (req, res) => {
-    const { username, riddleId, timeToSolve } = req.body;
+    const { username, sessionId, answer } = req.body;
 
-    if (!username || !riddleId || !timeToSolve)
-        throw new ApiError(400, "Missing required fields: username, riddleId, timeToSolve");
+    if (!sessionId || !answer) throw new ApiError(400, "Missing required fields: sessionId, answer");
 
-    // Find or create player
-    let player = await Player.findByUsername(username);
+    // The player always comes from the token; a username in the body is only accepted if it matches
+    if (username !== undefined && username !== req.user.username)
+        throw new ApiError(403, "Cannot submit scores for another player");
 
-    if (!player) player = await Player.create(username);
+    // Check the answer and record the server-measured time
+    const result = await gameSessionService.submitAnswer(sessionId, { playerId: req.user.id }, answer);
 
-    // Submit score
-    await Player.submitScore(player.id, riddleId, timeToSolve);
+    if (!result.correct) throw new ApiError(400, "Incorrect answer");
 
     res.json({
         success: true,
         message: "Score submitted successfully",
+        data: {
+            timeToSolve: result.timeToSolve,
+            hintsUsed: result.hintsUsed,
+            penaltyMs: result.penaltyMs,
+            points: result.points,
+        },
     });
 });
 
 /**
  * Get leaderboard
+ * Ranked by best time unless ?by=points or ?by=solved is given, all-time unless ?period=daily|weekly|monthly,
+ * optionally limited to one riddle ?level; authenticated players also get their own rank ("me")
  */
 export const getLeaderboard = catchAsync(async (req, res) => {
-    const { limit = 10 } = req.query;
-    const leaderboard = await Player.getLeaderboard(parseInt(limit));
+    const { limit = "10", by, period, level } = req.query;
+
+    const leaderboard = await leaderboardService.getLeaderboard({
+        by,
+        period,
+        level,
+        limit: Number(limit),
+        playerId: req.user?.role === "guest" ? null : req.user?.id,
+    });
 
     res.json({
         success: true,
-        data: leaderboard,
+        by: leaderboard.by,
+        period: leaderboard.period,
+        level: leaderboard.level,
+        since: leaderboard.since,
+        data: leaderboard.entries,
+        me: leaderboard.me,
     });
 });
 
+/**
+ * Stream leaderboard updates (Server-Sent Events)
+ * Takes the same ?by, ?period, ?level and ?limit filters as the leaderboard; every "leaderboard" event
+ * carries the current board and the rank changes since the previous one
+ */
+export const streamLeaderboard = catchAsync(async (req, res) => {
+    const { limit = "10", by, period, level } = req.query;
+
+    await leaderboardStreamService.subscribe(req, res, { by, period, level, limit: Number(limit) });
+});
+
 /**
  * Get all players (admin only)
+ * Paginated with opaque cursors (limit, cursor, includeTotal)
  */
 export const getAllPlayers = catchAsync(async (req, res) => {
-    const players = await Player.findAll();
+    const { limit, cursor, includeTotal } = pagination.parsePagination(req.query);
+    const page = await Player.findAll({ limit, cursor, includeTotal });
+
+    res.json({
+        success: true,
+        count: page.items.length,
+        data: page.items,
+        pagination: pagination.paginationMeta(page, limit),
+    });
+});
+
+/**
+ * Move a player to the trash (admin only)
+ * The player can no longer sign in and leaves the leaderboards; their scores are kept until the trash is purged
+ */
+export const deletePlayer = catchAsync(async (req, res) => {
+    const { username } = req.params;
+
+    if (username === req.user.username) throw new ApiError(400, "Admins cannot delete their own account");
+
+    const player = await Player.softDelete(username, req.user);
+
+    res.json({
+        success: true,
+        message: "Player deleted successfully",
+        data: { id: player.id, username: player.username, deleted_at: player.deleted_at },
+    });
+});
+
+/**
+ * Get the trash: deleted players that have not been purged yet (admin only)
+ * Paginated with opaque cursors (limit, cursor, includeTotal)
+ */
+export const getPlayerTrash = catchAsync(async (req, res) => {
+    const { limit, cursor, includeTotal } = pagination.parsePagination(req.query);
+    const page = await Player.findDeleted({ limit, cursor, includeTotal });
+
+    res.json({
+        success: true,
+        count: page.items.length,
+        data: page.items,
+        pagination: pagination.paginationMeta(page, limit),
+    });
+});
+
+/**
+ * Restore a deleted player from the trash (admin only)
+ */
+export const restorePlayer = catchAsync(async (req, res) => {
+    const { username } = req.params;
+    const player = await Player.restore(username);
 
     res.json({
         success: true,
-        data: players,
+        message: "Player restored successfully",
+        data: player,
     });
-});
\ No newline at end of file
+});
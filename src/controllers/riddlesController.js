@@ -2,35 +2,157 @@
  * Riddles Controller
  */
 import Riddle from '../models/Riddle.js';
+import RiddleRevision from '../models/RiddleRevision.js';
+import dailyRiddleService from '../services/dailyRiddleService.js';
+import leaderboardService from '../services/leaderboardService.js';
+import riddleSelectionService from '../services/riddleSelectionService.js';
+import riddleTransferService from '../services/riddleTransferService.js';
+import answerMatcher from '../utils/answerMatcher.js';
+import localeUtil from '../utils/locale.js';
+import pagination from '../utils/pagination.js';
 import { catchAsync, ApiError } from '../middleware/errorHandler.js';
 
+/**
+ * Serve a riddle in the requested locale and hide answers from everyone except admins and the riddle's author
+ *
+ * Object riddle - Riddle document
+ * Object [user] - Authenticated user (req.user)
+ * Array [locales=[]] - Requested locales (see locale.requestedLocales)
+ * return Object - Riddle as the user is allowed to see it
+ */
+const presentRiddle = (riddle, user, locales = []) => {
+    const localized = Riddle.localize(riddle, locales);
+    return user?.role === "admin" || Riddle.isAuthor(riddle, user) ? localized : Riddle.toPublic(localized);
+};
+
+/**
+ * Check whether a user may see a riddle
+ * Unpublished riddles are only visible to admins and their author
+ *
+ * Object riddle - Riddle document
+ * Object [user] - Authenticated user (req.user)
+ * return boolean - True if the riddle is visible
+ */
+const canView = (riddle, user) => Riddle.isPublished(riddle) || user?.role === "admin" || Riddle.isAuthor(riddle, user);
+
 /**
  * Get all riddles
+ * Supports full-text search (q), level, category and tags filters and sort options
+ * Paginated with opaque cursors (limit, cursor, includeTotal)
+ * Only published riddles are listed, admins can list any moderation status
+ * Riddles are served in the locale asked for with ?lang= or Accept-Language, where translated
  */
 export const getAllRiddles = catchAsync(async (req, res) => {
-    const { level, limit = 50, skip = 0 } = req.query;
-    const filters = {};
+    const { q, level, category, tags, sort, status } = req.query;
+    const locales = localeUtil.requestedLocales(req, res);
+    const { limit, cursor, includeTotal } = pagination.parsePagination(req.query);
+    const query = Riddle.buildSearchQuery({ q, level, category, tags, sort });
+
+    if (req.user.role !== "admin") Object.assign(query.filters, Riddle.publishedFilter());
+    else if (status) Object.assign(query.filters, Riddle.statusFilter(status));
 
-    if (level) filters.level = level;
+    const page = await Riddle.findPage(query.filters, {
+        limit,
+        cursor,
+        includeTotal,
+        sortName: query.sortName,
+        projection: query.projection,
+    });
+
+    res.json({
+        success: true,
+        count: page.items.length,
+        data: page.items.map((riddle) => presentRiddle(riddle, req.user, locales)),
+        pagination: pagination.paginationMeta(page, limit),
+    });
+});
 
-    const riddles = await Riddle.findAll(filters, { limit: parseInt(limit), skip: parseInt(skip) });
+/**
+ * Get riddle counts per tag and per category
+ */
+export const getRiddleFacets = catchAsync(async (req, res) => {
+    const facets = await Riddle.getFacets();
 
     res.json({
         success: true,
-        count: riddles.length,
-        data: riddles,
+        data: facets,
     });
 });
 
 /**
  * Get a random riddle
+ * Accepts level, tag and exclude (comma-separated IDs) filters; authenticated players never get
+ * riddles they already solved (unless nothing else is left) and can ask for ?adaptive=true difficulty
  */
 export const getRandomRiddle = catchAsync(async (req, res) => {
-    const riddle = await Riddle.findRandom();
+    const locales = localeUtil.requestedLocales(req, res);
+    const isPlayer = req.user && req.user.role !== "guest";
+    const { riddle, selection } = await riddleSelectionService.selectRiddle({
+        ...riddleSelectionService.parseSelectionQuery(req.query),
+        playerId: isPlayer ? req.user.id : null,
+    });
 
     res.json({
         success: true,
-        data: riddle,
+        data: presentRiddle(riddle, req.user, locales),
+        selection,
+    });
+});
+
+/**
+ * Get today's daily riddle
+ * The same riddle for every player; authenticated players also see their attempt
+ * Played through POST /sessions with mode "daily"
+ */
+export const getDailyRiddle = catchAsync(async (req, res) => {
+    const locales = localeUtil.requestedLocales(req, res);
+    const daily = await dailyRiddleService.getDailyRiddle();
+    const isPlayer = req.user && req.user.role !== "guest";
+
+    res.json({
+        success: true,
+        data: {
+            date: daily.date,
+            timezone: daily.timezone,
+            riddle: presentRiddle(daily.riddle, req.user, locales),
+            ...(isPlayer && { attempt: await dailyRiddleService.getDailyAttempt(req.user.id, daily.date) }),
+        },
+    });
+});
+
+/**
+ * Get the leaderboard of a daily riddle
+ * Today's unless ?date=YYYY-MM-DD is given
+ */
+export const getDailyLeaderboard = catchAsync(async (req, res) => {
+    const { date = dailyRiddleService.currentDate(), limit = "10" } = req.query;
+
+    if (!dailyRiddleService.isValidDate(date)) throw new ApiError(400, "Date must be a valid YYYY-MM-DD date");
+
+    const leaderboard = await leaderboardService.getDailyLeaderboard(date, {
+        limit: Number(limit),
+        playerId: req.user?.role === "guest" ? null : req.user?.id,
+    });
+
+    res.json({
+        success: true,
+        date: leaderboard.date,
+        data: leaderboard.entries,
+        me: leaderboard.me,
+    });
+});
+
+/**
+ * Pin a riddle as the daily riddle of a future date (admin only)
+ */
+export const pinDailyRiddle = catchAsync(async (req, res) => {
+    const { date } = req.params;
+    const daily = await dailyRiddleService.pinDailyRiddle(date, req.body.riddleId, req.user);
+
+    res.json({
+        success: true,
+        message: `Riddle pinned as the daily riddle of ${date}`,
+        data: daily,
     });
 });
 
@@ -39,61 +161,240 @@ export const getRandomRiddle = catchAsync(async (req, res) => {
  */
 export const getRiddleById = catchAsync(async (req, res) => {
     const { id } = req.params;
+    const locales = localeUtil.requestedLocales(req, res);
     const riddle = await Riddle.findById(id);
 
-    if (!riddle) {
+    if (!riddle || !canView(riddle, req.user)) {
         throw new ApiError(404, "Riddle not found");
     }
 
     res.json({
         success: true,
-        data: riddle,
+        data: presentRiddle(riddle, req.user, locales),
+    });
+});
+
+/**
+ * Check an answer for a riddle
+ * Matching ignores case, whitespace and punctuation, accepts alternative answers and tolerates small typos
+ * The answer is checked against those of the locale the riddle is served in (?lang= or Accept-Language)
+ * Today's daily riddle cannot be checked here, or its answer could be guessed before playing it
+ */
+export const checkAnswer = catchAsync(async (req, res) => {
+    const { id } = req.params;
+    const { answer } = req.body;
+
+    if (typeof answer !== "string" || !answer.trim()) throw new ApiError(400, "Answer is required");
+
+    const riddle = await Riddle.findById(id);
+
+    // Only published riddles can be played
+    if (!riddle || !Riddle.isPublished(riddle)) {
+        throw new ApiError(404, "Riddle not found");
+    }
+
+    if (await dailyRiddleService.isTodaysRiddle(riddle._id.toString()))
+        throw new ApiError(403, "Today's daily riddle can only be answered in a daily session");
+
+    const localized = Riddle.localize(riddle, localeUtil.requestedLocales(req, res));
+    const { correct, exact } = answerMatcher.matchAnswer(answer, localized);
+
+    res.json({
+        success: true,
+        data: { correct, exact, locale: localized.locale },
     });
 });
 
 /**
  * Create a new riddle
+ * Riddles submitted by users enter the moderation queue, admins' riddles are published right away
  */
 export const createRiddle = catchAsync(async (req, res) => {
-    const riddle = await Riddle.create(req.body);
+    const riddle = await Riddle.create(req.body, req.user);
 
     res.status(201).json({
         success: true,
-        message: "Riddle created successfully",
+        message: riddle.status === "pending" ? "Riddle submitted for review" : "Riddle created successfully",
         data: riddle,
     });
 });
 
+/**
+ * Get the moderation queue (admin only)
+ * Oldest submissions first; ?status= selects another moderation status (default pending)
+ */
+export const getModerationQueue = catchAsync(async (req, res) => {
+    const { status = "pending" } = req.query;
+    const { limit, cursor, includeTotal } = pagination.parsePagination(req.query);
+
+    const page = await Riddle.findPage(Riddle.statusFilter(status), {
+        limit,
+        cursor,
+        includeTotal,
+        sortName: "oldest",
+    });
+
+    res.json({
+        success: true,
+        count: page.items.length,
+        data: page.items,
+        pagination: pagination.paginationMeta(page, limit),
+    });
+});
+
+/**
+ * Review a pending riddle (admin only)
+ * Approve it, reject it with a reason or request changes from the author
+ */
+export const moderateRiddle = catchAsync(async (req, res) => {
+    const { id } = req.params;
+    const { action, reason } = req.body;
+
+    const riddle = await Riddle.moderate(id, action, req.user, reason);
+
+    res.json({
+        success: true,
+        message: `Riddle ${riddle.status.replace("_", " ")}`,
+        data: riddle,
+    });
+});
+
+/**
+ * Get the current user's submitted riddles with their moderation status
+ */
+export const getMyRiddles = catchAsync(async (req, res) => {
+    const { status } = req.query;
+    const { limit, cursor, includeTotal } = pagination.parsePagination(req.query);
+    const filters = { "createdBy.id": req.user.id, ...(status && Riddle.statusFilter(status)) };
+
+    const page = await Riddle.findPage(filters, { limit, cursor, includeTotal, sortName: "newest" });
+
+    res.json({
+        success: true,
+        count: page.items.length,
+        data: page.items,
+        pagination: pagination.paginationMeta(page, limit),
+    });
+});
+
 /**
  * Update a riddle
+ * Admins can update any riddle, authors only their own unpublished ones (which resubmits them for review)
  */
 export const updateRiddle = catchAsync(async (req, res) => {
     const { id } = req.params;
-    const riddle = await Riddle.updateById(id, req.body);
+    const riddle = await Riddle.updateById(id, req.body, req.user);
 
     res.json({
         success: true,
-        message: "Riddle updated successfully",
+        message:
+            riddle.status === "pending" ? "Riddle updated and submitted for review" : "Riddle updated successfully",
+        data: riddle,
+    });
+});
+
+/**
+ * Add or replace a translation of a riddle (admin only)
+ * The default locale is edited through PUT /riddles/:id
+ */
+export const setRiddleTranslation = catchAsync(async (req, res) => {
+    const { id, locale } = req.params;
+    const { riddle, created } = await Riddle.setTranslation(id, locale, req.body, req.user);
+
+    res.status(created ? 201 : 200).json({
+        success: true,
+        message: created ? "Translation added successfully" : "Translation updated successfully",
         data: riddle,
     });
 });
 
 /**
  * Delete a riddle
+ * Admins can delete any riddle, authors only their own unpublished ones
  */
 export const deleteRiddle = catchAsync(async (req, res) => {
     const { id } = req.params;
-    await Riddle.deleteById(id);
+    const { deletedAt } = await Riddle.deleteById(id, req.user);
 
     res.json({
         success: true,
         message: "Riddle deleted successfully",
-        data: { id },
+        data: { id, deletedAt },
+    });
+});
+
+/**
+ * Get the trash: deleted riddles that have not been purged yet (admin only)
+ * Paginated with opaque cursors (limit, cursor, includeTotal)
+ */
+export const getRiddleTrash = catchAsync(async (req, res) => {
+    const { limit, cursor, includeTotal } = pagination.parsePagination(req.query);
+
+    const page = await Riddle.findPage({}, { limit, cursor, includeTotal, sortName: "newest", deleted: true });
+
+    res.json({
+        success: true,
+        count: page.items.length,
+        data: page.items,
+        pagination: pagination.paginationMeta(page, limit),
+    });
+});
+
+/**
+ * Restore a deleted riddle from the trash (admin only)
+ */
+export const restoreRiddle = catchAsync(async (req, res) => {
+    const { id } = req.params;
+    const riddle = await Riddle.undelete(id, req.user);
+
+    res.json({
+        success: true,
+        message: "Riddle restored successfully",
+        data: riddle,
+    });
+});
+
+/**
+ * Get the revision history of a riddle, newest first
+ * Admins can read the history of any riddle (also deleted ones), authors that of their own riddles
+ * Paginated with opaque cursors (limit, cursor)
+ */
+export const getRiddleHistory = catchAsync(async (req, res) => {
+    const { id } = req.params;
+    const { limit, cursor } = pagination.parsePagination(req.query);
+
+    const page = await RiddleRevision.findPage(id, { limit, cursor });
+
+    res.json({
+        success: true,
+        count: page.items.length,
+        data: page.items,
+        pagination: pagination.paginationMeta(page, limit),
+    });
+});
+
+/**
+ * Restore a riddle to a previous revision (admin only)
+ * Also brings back deleted and purged riddles
+ */
+export const restoreRiddleRevision = catchAsync(async (req, res) => {
+    const { id } = req.params;
+    const revision = Number(req.params.revision);
+
+    if (!Number.isInteger(revision) || revision < 1) throw new ApiError(400, "Revision must be a positive integer");
+
+    const riddle = await Riddle.restoreRevision(id, revision, req.user);
+
+    res.json({
+        success: true,
+        message: `Riddle restored to revision ${revision}`,
+        data: riddle,
     });
 });
 
 /**
  * Load initial riddles
+ * Riddles whose question already exists are skipped, so a seed can be loaded again
  */
 export const loadInitialRiddles = catchAsync(async (req, res) => {
     const { riddles } = req.body;
@@ -102,11 +403,46 @@ export const loadInitialRiddles = catchAsync(async (req, res) => {
         throw new ApiError(400, "No riddles provided or invalid format");
     }
 
-    const result = await Riddle.loadInitial(riddles);
+    const result = await Riddle.loadInitial(riddles, req.user);
 
     res.status(201).json({
         success: true,
-        message: `Successfully loaded ${result.inserted} riddles`,
+        message: `Successfully loaded ${result.inserted} riddles (${result.skipped} duplicates skipped)`,
         data: result,
     });
-});
\ No newline at end of file
+});
+
+/**
+ * Export riddles (admin only)
+ * Streams a download as ?format=json (default), ndjson or csv, optionally filtered by status, level, category and tags
+ */
+export const exportRiddles = catchAsync(async (req, res) => {
+    const { format, status, level, category, tags } = req.query;
+
+    await riddleTransferService.exportRiddles(res, { format, status, level, category, tags });
+});
+
+/**
+ * Import riddles (admin only)
+ * The request body is the file itself; its format comes from ?format or the Content-Type.
+ * Existing questions are skipped unless ?mode=upsert, and ?dryRun=true only reports what would happen
+ */
+export const importRiddles = catchAsync(async (req, res) => {
+    const { format, mode, dryRun } = req.query;
+
+    const report = await riddleTransferService.importRiddles(req, {
+        format: riddleTransferService.resolveFormat(format, req.headers["content-type"]),
+        mode,
+        dryRun: dryRun === "true",
+        importer: req.user,
+    });
+
+    const { inserted, updated, skipped, invalid } = report;
+    const summary = `${inserted} inserted, ${updated} updated, ${skipped} skipped, ${invalid} invalid`;
+
+    res.status(report.dryRun ? 200 : 201).json({
+        success: true,
+        message: report.dryRun ? `Dry run: ${summary}` : `Import finished: ${summary}`,
+        data: report,
+    });
+});
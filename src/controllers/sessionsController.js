@@ -0,0 +1,78 @@
+/**
+ * Game Sessions Controller
+ */
+import gameSessionService from '../services/gameSessionService.js';
+import localeUtil from '../utils/locale.js';
+import { catchAsync, ApiError } from '../middleware/errorHandler.js';
+
+/**
+ * Build the caller identity of a session request
+ * Guests are identified by the session token, players by their account
+ */
+const sessionCaller = (req) =>
+    req.user.role === "guest"
+        ? { sessionToken: req.body.sessionToken }
+        : { playerId: req.user.id, sessionToken: req.body.sessionToken };
+
+/**
+ * Start a game session
+ * Hands out a riddle and records the start time on the server
+ * Guests (and players who ask for it) get an anonymous session, answered with the returned sessionToken
+ * The riddle is served in the locale asked for with ?lang= or Accept-Language; hints and answers follow it
+ *
+ * string [req.body.mode] - "ranked" (default), "anonymous" or "daily"
+ */
+export const startSession = catchAsync(async (req, res) => {
+    const { mode = "ranked" } = req.body || {};
+
+    if (!["ranked", "anonymous", "daily"].includes(mode))
+        throw new ApiError(400, "Mode must be 'ranked', 'anonymous' or 'daily'");
+
+    const session = await gameSessionService.startSession(req.user, {
+        anonymous: mode === "anonymous",
+        daily: mode === "daily",
+        locales: localeUtil.requestedLocales(req, res),
+    });
+
+    res.status(201).json({
+        success: true,
+        message: "Game session started",
+        data: session,
+    });
+});
+
+/**
+ * Reveal the next hint of a game session's riddle
+ * Each hint adds a time penalty to the session's score
+ */
+export const revealHint = catchAsync(async (req, res) => {
+    const { id } = req.params;
+
+    const hint = await gameSessionService.revealHint(id, sessionCaller(req));
+
+    res.json({
+        success: true,
+        message: `Hint ${hint.hintNumber} revealed`,
+        data: hint,
+    });
+});
+
+/**
+ * Answer the riddle of a game session
+ * A correct answer finishes the session and records the server-measured time
+ */
+export const submitAnswer = catchAsync(async (req, res) => {
+    const { id } = req.params;
+    const { answer } = req.body;
+
+    const result = await gameSessionService.submitAnswer(id, sessionCaller(req), answer);
+
+    let message = result.sessionEnded ? "Incorrect answer, no attempts left" : "Incorrect answer";
+    if (result.correct) message = result.ranked ? "Correct answer, score recorded" : "Correct answer";
+
+    res.json({
+        success: true,
+        message,
+        data: result,
+    });
+});
@@ -0,0 +1,191 @@
+/**
+ * MongoDB Connection Module
+ *
+ * Manages connection to MongoDB Atlas for riddles storage
+ */
+import { MongoClient } from "mongodb";
+import { config } from "dotenv";
+
+config({ quiet: true }); // Load environment variables from .env file
+
+// Store client and collection as private variables
+let client;
+let riddlesCollection;
+let dailyRiddlesCollection;
+let riddleRevisionsCollection;
+let auditLogCollection;
+let connectionStatus = "disconnected";
+
+// Connection options with pooling
+const connectionOptions = {
+    maxPoolSize: 10,
+    minPoolSize: 2,
+    maxIdleTimeMS: 30000,
+    serverSelectionTimeoutMS: 5000,
+};
+
+/**
+ * Creates connection to MongoDB with retry logic
+ * return Promise - Promise that resolves when connection is established
+ */
+async function connectMongoDB(maxRetries = 3, retryDelay = 2000) {
+    let retries = 0;
+
+    while (retries < maxRetries) {
+        try {
+            console.log(`Attempting MongoDB connection... (attempt ${retries + 1}/${maxRetries})`);
+
+            // Connection with pooling options
+            client = await MongoClient.connect(process.env.MONGODB_URI, connectionOptions);
+
+            // Access database and collection
+            const db = client.db(process.env.MONGODB_DB_NAME || "riddles_game");
+            riddlesCollection = db.collection("riddles");
+            dailyRiddlesCollection = db.collection("daily_riddles");
+            riddleRevisionsCollection = db.collection("riddle_revisions");
+            auditLogCollection = db.collection("audit_log");
+
+            console.log("✔ MongoDB connection established successfully");
+            await ensureIndexes();
+            console.log(
+                `✔ Connection pool configured: min=${connectionOptions.minPoolSize}, max=${connectionOptions.maxPoolSize}`
+            );
+            connectionStatus = "connected";
+            return client;
+        } catch (error) {
+            retries++;
+            connectionStatus = "error";
+            console.error(`✘ MongoDB connection attempt ${retries} failed:`, error.message);
+
+            if (retries < maxRetries) {
+                console.log(`Retrying in ${retryDelay}ms...`);
+                await new Promise((resolve) => setTimeout(resolve, retryDelay));
+                retryDelay *= 2; // Exponential backoff
+            } else {
+                console.error("✘ All MongoDB connection attempts failed");
+                throw error;
+            }
+        }
+    }
+}
+
+/**
+ * Creates the indexes used by riddle queries
+ * createIndexes is idempotent, so this is safe to run on every startup
+ */
+async function ensureIndexes() {
+    try {
+        await riddlesCollection.createIndexes([
+            // Full-text search over question text (GET /riddles?q=)
+            { key: { question: "text" }, name: "riddles_question_text" },
+            { key: { tags: 1 }, name: "riddles_tags" },
+            { key: { category: 1 }, name: "riddles_category" },
+            { key: { level: 1, createdAt: -1 }, name: "riddles_level_createdAt" },
+            // Moderation queue and authors' own submissions
+            { key: { status: 1, createdAt: 1 }, name: "riddles_status_createdAt" },
+            { key: { "createdBy.id": 1, createdAt: -1 }, name: "riddles_createdBy_createdAt" },
+            // Duplicate detection for imports (not unique: older data may already hold duplicates)
+            { key: { questionKey: 1 }, name: "riddles_questionKey" },
+            // Trash listing and the retention purge
+            { key: { deletedAt: 1 }, name: "riddles_deletedAt" },
+        ]);
+        // One daily riddle per calendar day
+        await dailyRiddlesCollection.createIndexes([{ key: { date: 1 }, name: "daily_riddles_date", unique: true }]);
+        // Revision numbers are unique per riddle; history is listed newest first
+        await riddleRevisionsCollection.createIndexes([
+            { key: { riddleId: 1, revision: -1 }, name: "riddle_revisions_riddleId_revision", unique: true },
+        ]);
+        // Audit log listing (newest first), filtered by actor or action
+        await auditLogCollection.createIndexes([
+            { key: { createdAt: -1, _id: -1 }, name: "audit_log_createdAt" },
+            { key: { "actor.id": 1, createdAt: -1 }, name: "audit_log_actor_createdAt" },
+            { key: { action: 1, createdAt: -1 }, name: "audit_log_action_createdAt" },
+        ]);
+        console.log("✔ MongoDB indexes ensured");
+    } catch (error) {
+        // Queries still work without indexes (except text search), so don't fail startup
+        console.error("✘ Failed to create MongoDB indexes:", error.message);
+    }
+}
+
+/**
+ * Returns access to riddles collection
+ * return Collection - MongoDB collection object
+ */
+function getRiddlesCollection() {
+    if (!riddlesCollection) {
+        throw new Error("Database not connected. Call connectMongoDB first.");
+    }
+    return riddlesCollection;
+}
+
+/**
+ * Returns access to daily riddles collection
+ * return Collection - MongoDB collection object
+ */
+function getDailyRiddlesCollection() {
+    if (!dailyRiddlesCollection) {
+        throw new Error("Database not connected. Call connectMongoDB first.");
+    }
+    return dailyRiddlesCollection;
+}
+
+/**
+ * Returns access to riddle revisions collection
+ * return Collection - MongoDB collection object
+ */
+function getRiddleRevisionsCollection() {
+    if (!riddleRevisionsCollection) {
+        throw new Error("Database not connected. Call connectMongoDB first.");
+    }
+    return riddleRevisionsCollection;
+}
+
+/**
+ * Returns access to audit log collection
+ * return Collection - MongoDB collection object
+ */
+function getAuditLogCollection() {
+    if (!auditLogCollection) {
+        throw new Error("Database not connected. Call connectMongoDB first.");
+    }
+    return auditLogCollection;
+}
+
+/**
+ * Get current MongoDB connection status
+ */
+function getMongoDBStatus() {
+    return connectionStatus;
+}
+
+/**
+ * Closes MongoDB connection
+ */
+async function closeMongoDB() {
+    if (client) {
+        await client.close();
+        connectionStatus = "disconnected";
+        console.log("MongoDB connection closed");
+    }
+}
+
+export {
+    connectMongoDB,
+    getRiddlesCollection,
+    getDailyRiddlesCollection,
+    getRiddleRevisionsCollection,
+    getAuditLogCollection,
+    getMongoDBStatus,
+    closeMongoDB,
+};
+
+export default {
+    connectMongoDB,
+    getRiddlesCollection,
+    getDailyRiddlesCollection,
+    getRiddleRevisionsCollection,
+    getAuditLogCollection,
+    getMongoDBStatus,
+    closeMongoDB,
+};
\ No newline at end of file
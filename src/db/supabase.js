@@ -4,6 +4,7 @@
  * Manages connection to Supabase for player data
  */
 import { createClient } from '@supabase/supabase-js';
+import WebSocket from 'ws';
 import { config } from 'dotenv';
 
 config({ quiet: true }); // Load environment variables from .env file
@@ -20,6 +21,9 @@ const supabase = createClient(process.env.SUPABASE_URL, process.env.SUPABASE_KEY
         // Not needed for server-side
         persistSession: false, // Disable session persistence for server-side usage
     },
+    realtime: {
+        transport: WebSocket, // Node.js before 22 has no global WebSocket
+    },
 });
 
 
@@ -49,6 +53,12 @@ function getSupabaseClient() {
     return supabase;
 }
 
+export {
+    supabase,
+    testSupabaseConnection,
+    getSupabaseClient,
+};
+
 export default {
     supabase,
     testSupabaseConnection,
@@ -3,7 +3,8 @@
  * Handles user authentication and authorization for protected routes
  */
 import { ApiError } from './errorHandler.js';
-import { verifyToken, getUserById } from '../services/authService.js';
+import authService from '../services/authService.js';
+import auditService from '../services/auditService.js';
 
 /**
  * Extract token from request headers or query parameters
@@ -31,6 +32,42 @@ function extractToken(req) {
     return null;
 }
 
+/**
+ * Resolve the user of an access token
+ * Shared by the HTTP middleware and the WebSocket handshake
+ *
+ * string token - Access token
+ * return Promise - { user, decoded } with the current user record and the token payload
+ * throw ApiError - 401 if the token is invalid, revoked or outdated
+ */
+async function resolveTokenUser(token) {
+    // Verify and decode token (throws an ApiError if invalid)
+    const decoded = authService.verifyToken(token);
+
+    // Reject tokens revoked by logout before they expired
+    if (await authService.isTokenRevoked(decoded)) {
+        throw new ApiError(401, "Token has been revoked. Please login again");
+    }
+
+    // Validate that user still exists and has same role
+    const user = await authService.getUserById(decoded.id);
+    if (!user) {
+        throw new ApiError(401, "User not found or has been deleted");
+    }
+
+    // Check if user role has changed since token was issued
+    if (user.role !== decoded.role) {
+        throw new ApiError(401, "User role has changed. Please login again");
+    }
+
+    // Check if the password was changed or all sessions were logged out since token was issued
+    if ((decoded.ver || 0) !== (user.token_version || 0)) {
+        throw new ApiError(401, "Password has been changed or all sessions were logged out. Please login again");
+    }
+
+    return { user, decoded };
+}
+
 /**
  * Authentication middleware factory
  * Creates middleware that optionally or mandatorily authenticates users
@@ -59,24 +96,7 @@ function authenticate(options = {}) {
                 }
             }
 
-            // Verify and decode token
-            let decoded;
-            try {
-                decoded = verifyToken(token);
-            } catch (error) {
-                return next(error); // This will be an ApiError from verifyToken
-            }
-
-            // Validate that user still exists and has same role
-            const user = await getUserById(decoded.id);
-            if (!user) {
-                return next(new ApiError(401, "User not found or has been deleted"));
-            }
-
-            // Check if user role has changed since token was issued
-            if (user.role !== decoded.role) {
-                return next(new ApiError(401, "User role has changed. Please login again"));
-            }
+            const { user, decoded } = await resolveTokenUser(token);
 
             // Add user information to request object
             req.user = user;
@@ -95,6 +115,7 @@ function authenticate(options = {}) {
 /**
  * Authorization middleware factory
  * Creates middleware that checks if authenticated user has required role(s)
+ * Requests passing an admin-only check are recorded in the audit log
  *
  * string allowedRoles - Roles that are allowed to access the resource
  * return Function - Express middleware function
@@ -113,6 +134,7 @@ function authorize(...allowedRoles) {
 
         // Check if user's role is in the allowed roles
         if (allowedRoles.includes(req.user.role)) {
+            if (allowedRoles.length === 1 && allowedRoles[0] === "admin") auditService.track(req, res);
             return next();
         }
 
@@ -133,11 +155,88 @@ function requireUserOrAdmin() {
 
 /**
  * Middleware that requires admin role only
+ * With a loader, the resource acted on is loaded first: the audit log records it as it was before the
+ * action, and it is stored on req.resource for the controller (null if it does not exist)
  *
+ * Function [loadResource] - Async function (req) => resource or null
+ * return Function|Array - Express middleware function (with a loader, the check followed by the loader)
+ */
+function requireAdmin(loadResource = null) {
+    if (!loadResource) return authorize("admin");
+
+    return [
+        authorize("admin"),
+        async (req, res, next) => {
+            try {
+                req.resource = await loadResource(req);
+                auditService.track(req, res, { before: req.resource });
+                next();
+            } catch (error) {
+                if (error instanceof ApiError) {
+                    return next(error);
+                }
+                next(new ApiError(500, `Authorization failed: ${error.message}`));
+            }
+        },
+    ];
+}
+
+/**
+ * Ownership-aware authorization middleware factory
+ * Admins always pass; other users must own the resource, and may be further restricted
+ * in what state the resource has to be for its owner to act on it
+ * The loaded resource is stored on req.resource for the controller (null if an admin acts on a missing one)
+ * Admins are recorded in the audit log, with the resource as it was before they acted
+ * The check is not atomic with the action: models must repeat the ownership condition in their update
+ *
+ * Function loadResource - Async function (req) => resource or null
+ * Object [options] - Ownership options
+ * Function [options.getOwnerId] - Returns the owner's user ID of a resource (defaults to resource.ownerId)
+ * Function [options.canOwnerAct] - Returns false if the owner may not act on the resource in its current state
+ * string [options.deniedMessage] - Error message when canOwnerAct returns false
  * return Function - Express middleware function
  */
-function requireAdmin() {
-    return authorize("admin");
+function requireOwnerOrAdmin(loadResource, options = {}) {
+    const {
+        getOwnerId = (resource) => resource.ownerId,
+        canOwnerAct = () => true,
+        deniedMessage = "Access denied. This resource can no longer be changed by its owner",
+    } = options;
+
+    return async (req, res, next) => {
+        try {
+            if (!req.user) {
+                return next(new ApiError(401, "Authentication required for authorization"));
+            }
+
+            if (req.user.role === "admin") {
+                req.resource = await loadResource(req);
+                auditService.track(req, res, { before: req.resource });
+                return next();
+            }
+
+            const resource = await loadResource(req);
+            if (!resource) {
+                return next(new ApiError(404, "Resource not found"));
+            }
+
+            if (!req.user.id || getOwnerId(resource) !== req.user.id) {
+                return next(new ApiError(403, "Access denied. You can only change your own resources"));
+            }
+
+            if (!canOwnerAct(resource)) {
+                return next(new ApiError(403, deniedMessage));
+            }
+
+            req.resource = resource;
+            next();
+        } catch (error) {
+            if (error instanceof ApiError) {
+                return next(error);
+            }
+            next(new ApiError(500, `Authorization failed: ${error.message}`));
+        }
+    };
 }
 
 /**
@@ -161,6 +260,18 @@ function authAndAuthorize(...allowedRoles) {
     return [authenticate({ required: true }), authorize(...allowedRoles)];
 }
 
+export {
+    authenticate,
+    authorize,
+    requireUserOrAdmin,
+    requireAdmin,
+    optionalAuth,
+    authAndAuthorize,
+    requireOwnerOrAdmin,
+    extractToken,
+    resolveTokenUser,
+};
+
 export default {
     authenticate,
     authorize,
@@ -168,5 +279,7 @@ export default {
     requireAdmin,
     optionalAuth,
     authAndAuthorize,
+    requireOwnerOrAdmin,
     extractToken,
+    resolveTokenUser,
 };
\ No newline at end of file
@@ -5,13 +5,18 @@
  * number statusCode - HTTP status code
  * string message - Error message
  * boolean isOperational - Indicates if the error is operational (true) or program error (false)
+ * Object [options] - Additional response data
+ * Object [options.headers] - Headers to send with the error response (e.g. Retry-After)
+ * Array [options.details] - Field-level error details ({ field, message })
  */
 
 class ApiError extends Error {
-  constructor(statusCode, message, isOperational = true) {
+  constructor(statusCode, message, isOperational = true, options = {}) {
     super(message);
     this.statusCode = statusCode;
     this.isOperational = isOperational;
+    this.headers = options.headers;
+    this.details = options.details;
 
     /* Captures the stack trace of the error for debugging
          targetObject: The object that will receive the stack trace.
@@ -42,11 +47,12 @@ const globalErrorHandler = (err, req, res, next) => {
       url: req.originalUrl,
       method: req.method,
       ip: req.ip,
+      requestId: req.id,
     });
   }
 
-  // Handle specific error types
-  if (err.name === "ValidationError") {
+  // Handle specific error types (Joi errors are also named ValidationError, they are handled below)
+  if (err.name === "ValidationError" && !err.isJoi) {
     const message = Object.values(err.errors)
       .map((val) => val.message)
       .join(", ");
@@ -62,17 +68,36 @@ const globalErrorHandler = (err, req, res, next) => {
   // Joi validation error
   if (err.isJoi) {
     const message = err.details.map((detail) => detail.message).join(", ");
-    error = new ApiError(400, message);
+    const details = err.details.map((detail) => ({
+      field: detail.path.join("."),
+      message: detail.message,
+    }));
+    error = new ApiError(400, message, true, { details });
   }
 
+  // A response that already started (e.g. a streamed download) cannot carry an error body;
+  // Express closes the connection instead
+  if (res.headersSent) return next(err);
+
+  // Error specific headers (e.g. Retry-After)
+  if (err.headers) res.set(err.headers);
+
   // Send error response
   res.status(error.statusCode || 500).json({
     success: false,
     error: error.message || "Internal server error",
+    ...(req.id && { requestId: req.id }),
+    ...(error.details && { details: error.details }),
     ...(process.env.NODE_ENV === "development" && { stack: err.stack }),
   });
 };
 
+export {
+  ApiError,
+  catchAsync,
+  globalErrorHandler,
+};
+
 export default {
   ApiError,
   catchAsync,
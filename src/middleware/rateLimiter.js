@@ -0,0 +1,71 @@
+/**
+ * Rate Limiter Middleware
+ * Limits the number of requests per client IP in a fixed time window
+ */
+import { ApiError } from './errorHandler.js';
+import rateLimitStore from '../services/rateLimitStore.js';
+
+// Answer checks, shared by the answer endpoint and room answers so neither can be used to brute-force answers
+const ANSWER_RATE_LIMIT = {
+    name: "answer",
+    windowMs: parseInt(process.env.ANSWER_RATE_LIMIT_WINDOW_MS || "60000", 10), // 1 minute
+    max: parseInt(process.env.ANSWER_RATE_LIMIT_MAX || "30", 10),
+    message: "Too many answers from this IP. Please try again later",
+};
+
+/**
+ * Count a request against a rate limit
+ *
+ * Object options - Rate limit options (see rateLimit)
+ * string ip - Client IP address
+ * return Promise - { count, remaining } after this request
+ * throw ApiError - 429 if the limit is exceeded, with a Retry-After header
+ */
+async function consumeRateLimit(options, ip) {
+    const { name, windowMs, max, message = "Too many requests. Please try again later" } = options;
+    const { count, resetAt } = await rateLimitStore.getRateLimitStore().increment(`${name}:${ip}`, windowMs);
+
+    if (count > max) {
+        const retryAfter = Math.max(1, Math.ceil((resetAt - Date.now()) / 1000));
+        throw new ApiError(429, message, true, {
+            headers: {
+                "X-RateLimit-Limit": String(max),
+                "X-RateLimit-Remaining": "0",
+                "Retry-After": String(retryAfter),
+            },
+        });
+    }
+
+    return { count, remaining: max - count };
+}
+
+/**
+ * Rate limiter middleware factory
+ *
+ * Object options - Rate limit options
+ * string options.name - Limiter name, keeps counters of different routes apart
+ * number options.windowMs - Window length in milliseconds
+ * number options.max - Maximum requests per IP in a window
+ * string [options.message] - Error message when the limit is exceeded
+ * return Function - Express middleware function
+ */
+function rateLimit(options) {
+    return async (req, res, next) => {
+        try {
+            const ip = req.ip || req.connection.remoteAddress;
+            const { remaining } = await consumeRateLimit(options, ip);
+
+            res.set("X-RateLimit-Limit", String(options.max));
+            res.set("X-RateLimit-Remaining", String(remaining));
+
+            next();
+        } catch (error) {
+            if (error instanceof ApiError) return next(error);
+            next(new ApiError(500, `Rate limiting failed: ${error.message}`));
+        }
+    };
+}
+
+export { ANSWER_RATE_LIMIT, consumeRateLimit };
+
+export default rateLimit;
@@ -0,0 +1,23 @@
+/**
+ * Request ID Middleware
+ * Gives every request an ID (req.id) that ties its log lines, error response and audit log entry together
+ *
+ * The ID is always generated here, so clients cannot choose or reuse the ID of an audit log entry. An
+ * X-Request-Id set by a proxy or client is kept separately (req.clientRequestId) if it is well-formed;
+ * the server's ID is returned in the X-Request-Id response header.
+ */
+import crypto from 'crypto';
+
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,128}$/;
+
+const requestId = (req, res, next) => {
+    const incoming = req.get("X-Request-Id");
+
+    req.id = crypto.randomUUID();
+    req.clientRequestId = incoming && REQUEST_ID_PATTERN.test(incoming) ? incoming : null;
+    res.set("X-Request-Id", req.id);
+
+    next();
+};
+
+export default requestId;
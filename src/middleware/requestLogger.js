@@ -14,14 +14,17 @@ const requestLogger = (req, res, next) => {
   const url = req.originalUrl || req.url;
   const ip = req.ip || req.connection.remoteAddress;
 
-  console.log(`${timestamp} - ${method} ${url} - IP: ${ip}`);
+  console.log(`${timestamp} - ${method} ${url} - IP: ${ip} - Request ID: ${req.id}`);
 
   // Log request body for POST/PUT requests (but hide sensitive data)
   if ((method === "POST" || method === "PUT") && req.body) {
     const safeBody = { ...req.body };
     // Hide sensitive fields
     if (safeBody.password) safeBody.password = "[HIDDEN]";
+    if (safeBody.currentPassword) safeBody.currentPassword = "[HIDDEN]";
+    if (safeBody.newPassword) safeBody.newPassword = "[HIDDEN]";
     if (safeBody.token) safeBody.token = "[HIDDEN]";
+    if (safeBody.refreshToken) safeBody.refreshToken = "[HIDDEN]";
 
     console.log(`${timestamp} - Request Body:`, safeBody);
   }
@@ -0,0 +1,30 @@
+/**
+ * Validation Middleware
+ * Validates request payloads against Joi schemas before controllers run
+ *
+ * Unknown fields are stripped and values are normalized (trimmed, converted), and the
+ * sanitized payload replaces req.body. Validation errors are passed to globalErrorHandler,
+ * which turns them into a 400 response with field-level details.
+ */
+
+/**
+ * Validation middleware factory
+ *
+ * Object schema - Joi schema for the request body
+ * return Function - Express middleware function
+ */
+function validate(schema) {
+    return async (req, res, next) => {
+        try {
+            req.body = await schema.validateAsync(req.body ?? {}, {
+                abortEarly: false, // Report every invalid field at once
+                stripUnknown: true,
+            });
+            next();
+        } catch (error) {
+            next(error);
+        }
+    };
+}
+
+export default validate;
@@ -0,0 +1,198 @@
+/**
+ * Audit Log Model
+ * MongoDB-based, append-only record of privileged (admin) actions
+ * Entries are only ever inserted; there are deliberately no update or delete operations
+ */
+import { ObjectId } from 'mongodb';
+import { getAuditLogCollection } from '../db/mongodb.js';
+import { ApiError } from '../middleware/errorHandler.js';
+import pagination from '../utils/pagination.js';
+
+/**
+ * Creates a new AuditLog entry.
+ * Object data
+ * string [data.requestId] - ID the server gave the request (X-Request-Id response header).
+ * string [data.clientRequestId] - X-Request-Id sent by the client or a proxy, as given.
+ * Object data.actor - Admin who acted ({ id, username, role }).
+ * string data.action - Method and route pattern (e.g. "DELETE /riddles/:id").
+ * string data.path - Requested path.
+ * string [data.targetId] - ID of the resource acted on (route parameter).
+ * Object [data.params] - Route parameters.
+ * Object [data.query] - Query parameters.
+ * number data.statusCode - Response status.
+ * Object [data.input] - Summary of the request body.
+ * Object [data.before] - Summary of the resource before the action.
+ * Object [data.after] - Summary of the result (or of the error).
+ * string [data.ip] - Client IP address.
+ * string [data.userAgent] - Client User-Agent.
+ * Date [data.createdAt] - Entry timestamp.
+ */
+class AuditLog {
+    constructor(data) {
+        this.requestId = data.requestId ?? null;
+        this.clientRequestId = data.clientRequestId ?? null;
+        this.actor = data.actor;
+        this.action = data.action;
+        this.path = data.path;
+        this.targetId = data.targetId ?? null;
+        this.params = data.params || {};
+        this.query = data.query || {};
+        this.statusCode = data.statusCode;
+        this.outcome = data.statusCode < 400 ? "success" : "failure";
+        this.input = data.input ?? null;
+        this.before = data.before ?? null;
+        this.after = data.after ?? null;
+        this.ip = data.ip ?? null;
+        this.userAgent = data.userAgent ?? null;
+        this.createdAt = data.createdAt || new Date();
+    }
+
+    /**
+     * Convert to MongoDB document
+     */
+    toDocument() {
+        return {
+            requestId: this.requestId,
+            clientRequestId: this.clientRequestId,
+            actor: this.actor,
+            action: this.action,
+            path: this.path,
+            targetId: this.targetId,
+            params: this.params,
+            query: this.query,
+            statusCode: this.statusCode,
+            outcome: this.outcome,
+            input: this.input,
+            before: this.before,
+            after: this.after,
+            ip: this.ip,
+            userAgent: this.userAgent,
+            createdAt: this.createdAt,
+        };
+    }
+
+    /**
+     * Build a MongoDB filter from audit log query parameters
+     *
+     * Object [query] - Filters
+     * string [query.actor] - Admin's user ID or username
+     * string [query.action] - Exact action (e.g. "DELETE /riddles/:id")
+     * string [query.outcome] - success or failure
+     * string [query.from] - Earliest timestamp (ISO date, inclusive)
+     * string [query.to] - Latest timestamp (ISO date, exclusive)
+     * return Object - MongoDB filter
+     * throw ApiError - If a filter is invalid
+     */
+    static buildFilters(query = {}) {
+        const { actor, action, outcome, from, to } = query;
+        const filters = {};
+
+        if (actor !== undefined) {
+            if (typeof actor !== "string" || !actor.trim())
+                throw new ApiError(400, "Actor must be a user ID or username");
+
+            if (/^\d+$/.test(actor)) filters["actor.id"] = Number(actor);
+            else filters["actor.username"] = actor;
+        }
+
+        if (action !== undefined) {
+            if (typeof action !== "string" || !action.trim()) throw new ApiError(400, "Action must be a string");
+            filters.action = action.trim();
+        }
+
+        if (outcome !== undefined) {
+            if (!["success", "failure"].includes(outcome))
+                throw new ApiError(400, "Outcome must be one of: success, failure");
+            filters.outcome = outcome;
+        }
+
+        const parseDate = (name, value) => {
+            const date = typeof value === "string" ? new Date(value) : null;
+            if (!date || isNaN(date.getTime())) throw new ApiError(400, `'${name}' must be a valid ISO date`);
+            return date;
+        };
+
+        const range = {};
+        if (from !== undefined) range.$gte = parseDate("from", from);
+        if (to !== undefined) range.$lt = parseDate("to", to);
+
+        if (range.$gte && range.$lt && range.$gte >= range.$lt) throw new ApiError(400, "'from' must be before 'to'");
+        if (Object.keys(range).length > 0) filters.createdAt = range;
+
+        return filters;
+    }
+
+    // Static Methods for Database Operations
+
+    /**
+     * Append an entry
+     *
+     * Object data - Entry data (see constructor)
+     * return Promise - Inserted entry ID
+     */
+    static async append(data) {
+        const collection = getAuditLogCollection();
+
+        const result = await collection.insertOne(new AuditLog(data).toDocument());
+        return result.insertedId;
+    }
+
+    /**
+     * Get a page of entries, newest first
+     *
+     * Object filters - MongoDB filter (see buildFilters)
+     * Object options - Pagination options
+     * number options.limit - Page size
+     * Object [options.cursor] - Decoded cursor of the previous page ({ t, id })
+     * boolean [options.includeTotal=false] - Also count all matching entries
+     * return Promise - { items, hasMore, nextCursor, total? }
+     * throw ApiError - If the cursor is invalid
+     */
+    static async findPage(filters, options) {
+        const collection = getAuditLogCollection();
+        const { limit, cursor = null, includeTotal = false } = options;
+
+        let query = filters;
+        if (cursor) {
+            const createdAt = new Date(cursor.t);
+            if (isNaN(createdAt.getTime()) || !ObjectId.isValid(cursor.id))
+                throw new ApiError(400, "Invalid pagination cursor");
+
+            const id = new ObjectId(cursor.id);
+            query = {
+                ...filters,
+                $and: [{ $or: [{ createdAt: { $lt: createdAt } }, { createdAt, _id: { $lt: id } }] }],
+            };
+        }
+
+        const [rows, total] = await Promise.all([
+            collection
+                .find(query)
+                .sort({ createdAt: -1, _id: -1 })
+                .limit(limit + 1)
+                .toArray(),
+            includeTotal ? collection.countDocuments(filters) : undefined,
+        ]);
+
+        const page = pagination.buildPage(rows, limit, (last) => ({
+            t: last.createdAt.toISOString(),
+            id: last._id.toString(),
+        }));
+
+        return includeTotal ? { ...page, total } : page;
+    }
+
+    /**
+     * Get a cursor over all matching entries, oldest first (for exports)
+     *
+     * Object filters - MongoDB filter (see buildFilters)
+     * return FindCursor - MongoDB cursor
+     */
+    static findCursor(filters) {
+        const collection = getAuditLogCollection();
+
+        return collection.find(filters).sort({ createdAt: 1, _id: 1 });
+    }
+}
+
+export default AuditLog;
@@ -0,0 +1,119 @@
+/**
+ * Daily Riddle Model
+ * MongoDB-based model for the riddle assigned to each calendar day
+ */
+import { ObjectId } from 'mongodb';
+import { getDailyRiddlesCollection } from '../db/mongodb.js';
+import { ApiError } from '../middleware/errorHandler.js';
+
+/**
+ * Creates a new DailyRiddle instance.
+ * Object data
+ * string data.date - Calendar day (YYYY-MM-DD) in the daily riddle timezone.
+ * string|ObjectId data.riddleId - Riddle assigned to the day.
+ * boolean [data.pinned=false] - Chosen by an admin instead of the automatic pick.
+ * Object [data.pinnedBy] - Admin who pinned the riddle ({ id, username }).
+ * Date [data.createdAt] - Assignment timestamp.
+ */
+class DailyRiddle {
+    constructor(data) {
+        this.date = data.date;
+        this.riddleId = new ObjectId(data.riddleId);
+        this.pinned = data.pinned || false;
+        this.pinnedBy = data.pinnedBy || null;
+        this.createdAt = data.createdAt || new Date();
+    }
+
+    /**
+     * Convert to MongoDB document
+     */
+    toDocument() {
+        return {
+            date: this.date,
+            riddleId: this.riddleId,
+            pinned: this.pinned,
+            pinnedBy: this.pinnedBy,
+            createdAt: this.createdAt,
+        };
+    }
+
+    // Static Methods for Database Operations
+
+    /**
+     * Find the assignment of a day
+     *
+     * string date - Calendar day (YYYY-MM-DD)
+     * return Promise - Daily riddle document or null
+     */
+    static async findByDate(date) {
+        const collection = getDailyRiddlesCollection();
+
+        return await collection.findOne({ date });
+    }
+
+    /**
+     * Find the assignments of a range of days
+     *
+     * string from - First day (inclusive)
+     * string to - Last day (exclusive)
+     * return Promise - Daily riddle documents ordered by date
+     */
+    static async findBetween(from, to) {
+        const collection = getDailyRiddlesCollection();
+
+        return await collection
+            .find({ date: { $gte: from, $lt: to } })
+            .sort({ date: 1 })
+            .toArray();
+    }
+
+    /**
+     * Store the automatic pick of a day
+     * Only inserts: if another request (or an admin pin) got there first, that assignment wins
+     *
+     * string date - Calendar day (YYYY-MM-DD)
+     * string riddleId - Picked riddle
+     * return Promise - The day's assignment
+     */
+    static async assign(date, riddleId) {
+        const collection = getDailyRiddlesCollection();
+        const daily = new DailyRiddle({ date, riddleId });
+
+        try {
+            await collection.updateOne({ date }, { $setOnInsert: daily.toDocument() }, { upsert: true });
+        } catch (error) {
+            // Two concurrent upserts can both try to insert; the unique index keeps the first one
+            if (error.code !== 11000) throw error;
+        }
+
+        return await collection.findOne({ date });
+    }
+
+    /**
+     * Replace the assignment of a day
+     *
+     * string date - Calendar day (YYYY-MM-DD)
+     * string riddleId - Riddle to assign
+     * Object [pinnedBy] - Admin pinning the riddle (req.user); automatic picks have none
+     * return Promise - The day's assignment
+     */
+    static async replace(date, riddleId, pinnedBy = null) {
+        const collection = getDailyRiddlesCollection();
+
+        if (!ObjectId.isValid(riddleId)) throw new ApiError(400, "Invalid riddle ID format");
+
+        const daily = new DailyRiddle({
+            date,
+            riddleId,
+            pinned: Boolean(pinnedBy),
+            pinnedBy: pinnedBy ? { id: pinnedBy.id, username: pinnedBy.username } : null,
+        });
+
+        return await collection.findOneAndReplace({ date }, daily.toDocument(), {
+            upsert: true,
+            returnDocument: "after",
+        });
+    }
+}
+
+export default DailyRiddle;
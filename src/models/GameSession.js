@@ -0,0 +1,287 @@
+/**
+ * Game Session Model
+ * Supabase-based model for server-timed game sessions
+ */
+import { supabase } from '../db/supabase.js';
+import { ApiError } from '../middleware/errorHandler.js';
+
+/**
+ * class GameSession
+ *
+ * Object data - Session data (game_sessions row)
+ * string data.id - Unique identifier for the session (uuid)
+ * number data.player_id - Player the session is bound to (null for anonymous sessions)
+ * boolean [data.anonymous=false] - Anonymous play; bound to a session token and kept off the leaderboard
+ * string [data.token_hash] - SHA-256 hash of the session token of anonymous sessions
+ * string data.riddle_id - Riddle handed out for the session
+ * string [data.locale] - Locale the riddle is served in; hints and answers use the same one
+ * string data.status - Session status (active, completed, failed, expired)
+ * string [data.daily_date] - Calendar day (YYYY-MM-DD) of a daily riddle session; one per player and day
+ * number [data.hints_used=0] - Number of hints revealed so far
+ * string data.started_at - Server-side start time
+ * string data.expires_at - Time after which the session can no longer be completed
+ * string [data.completed_at] - Server-side completion time
+ * number [data.time_to_solve] - Elapsed time in milliseconds, computed by the server
+ */
+class GameSession {
+    constructor(data) {
+        this.id = data.id;
+        this.player_id = data.player_id ?? null;
+        this.anonymous = data.anonymous || false;
+        this.token_hash = data.token_hash || null;
+        this.riddle_id = data.riddle_id;
+        this.locale = data.locale || null;
+        this.daily_date = data.daily_date || null;
+        this.status = data.status;
+        this.hints_used = data.hints_used || 0;
+        this.started_at = data.started_at;
+        this.expires_at = data.expires_at;
+        this.completed_at = data.completed_at || null;
+        this.time_to_solve = data.time_to_solve ?? null;
+    }
+
+    /**
+     * Check whether the session can no longer be completed
+     *
+     * Date [now=new Date()] - Reference time
+     * return boolean - True if the session expired
+     */
+    isExpired(now = new Date()) {
+        return this.status === "expired" || now.getTime() > new Date(this.expires_at).getTime();
+    }
+
+    // Static Methods for Database Operations
+
+    /**
+     * Start a new session
+     *
+     * number|null playerId - Player's ID (null for anonymous sessions)
+     * string riddleId - Riddle's ID
+     * number ttlMs - Session lifetime in milliseconds
+     * Object [options] - Session options
+     * string [options.tokenHash] - Session token hash; makes the session anonymous
+     * string [options.dailyDate] - Calendar day of a daily riddle session
+     * string [options.locale] - Locale the riddle is served in
+     * return Promise - Newly created GameSession instance
+     * throw ApiError - If session creation fails, 409 if the player already has a session for the daily date
+     */
+    static async create(playerId, riddleId, ttlMs, options = {}) {
+        const { tokenHash = null, dailyDate = null, locale = null } = options;
+
+        try {
+            const startedAt = new Date();
+            const expiresAt = new Date(startedAt.getTime() + ttlMs);
+
+            const { data, error } = await supabase
+                .from("game_sessions")
+                .insert([
+                    {
+                        player_id: playerId,
+                        anonymous: Boolean(tokenHash),
+                        token_hash: tokenHash,
+                        riddle_id: riddleId,
+                        locale,
+                        daily_date: dailyDate,
+                        status: "active",
+                        hints_used: 0,
+                        started_at: startedAt.toISOString(),
+                        expires_at: expiresAt.toISOString(),
+                    },
+                ])
+                .select()
+                .single();
+
+            if (error) {
+                // Unique (player_id, daily_date): a concurrent request started the day's session first
+                if (error.code === "23505" && dailyDate)
+                    throw new ApiError(409, "You have already played today's daily riddle");
+
+                throw error;
+            }
+
+            return new GameSession(data);
+        } catch (error) {
+            if (error instanceof ApiError) throw error;
+            throw new ApiError(500, `Failed to create game session: ${error.message}`);
+        }
+    }
+
+    /**
+     * Find session by ID
+     *
+     * string id - Session ID
+     * return Promise - GameSession instance or null if not found
+     * throw ApiError - If session lookup fails
+     */
+    static async findById(id) {
+        try {
+            const { data, error } = await supabase.from("game_sessions").select("*").eq("id", id).single();
+
+            if (error) {
+                // Record not found, or an id that is not a valid uuid
+                if (error.code === "PGRST116" || error.code === "22P02") return null;
+
+                throw error;
+            }
+
+            return new GameSession(data);
+        } catch (error) {
+            throw new ApiError(500, `Failed to find game session: ${error.message}`);
+        }
+    }
+
+    /**
+     * Find a player's daily riddle session
+     *
+     * number playerId - Player's ID
+     * string date - Calendar day (YYYY-MM-DD)
+     * return Promise - GameSession instance or null if the player has not played that day
+     * throw ApiError - If session lookup fails
+     */
+    static async findDaily(playerId, date) {
+        try {
+            const { data, error } = await supabase
+                .from("game_sessions")
+                .select("*")
+                .eq("player_id", playerId)
+                .eq("daily_date", date)
+                .maybeSingle();
+
+            if (error) throw error;
+
+            return data ? new GameSession(data) : null;
+        } catch (error) {
+            throw new ApiError(500, `Failed to find daily game session: ${error.message}`);
+        }
+    }
+
+    /**
+     * Find a player's most recent finished ranked sessions
+     * Active sessions past their expiry count as finished (abandoned) even before they are marked expired
+     *
+     * number playerId - Player's ID
+     * number [limit=20] - Number of sessions
+     * return Promise - GameSession instances, newest first
+     * throw ApiError - If session lookup fails
+     */
+    static async findRecentFinished(playerId, limit = 20) {
+        try {
+            const { data, error } = await supabase
+                .from("game_sessions")
+                .select("*")
+                .eq("player_id", playerId)
+                .or(`status.neq.active,expires_at.lt.${new Date().toISOString()}`)
+                .order("started_at", { ascending: false })
+                .limit(limit);
+
+            if (error) throw error;
+
+            return data.map((row) => new GameSession(row));
+        } catch (error) {
+            throw new ApiError(500, `Failed to find recent game sessions: ${error.message}`);
+        }
+    }
+
+    /**
+     * Complete an active session
+     * The status check makes this atomic, so a session can only be completed once
+     *
+     * string id - Session ID
+     * Date completedAt - Server-side completion time
+     * number timeToSolve - Elapsed time in milliseconds
+     * return Promise - Updated GameSession instance or null if the session was no longer active
+     * throw ApiError - If the update fails
+     */
+    static async complete(id, completedAt, timeToSolve) {
+        try {
+            const { data, error } = await supabase
+                .from("game_sessions")
+                .update({ status: "completed", completed_at: completedAt.toISOString(), time_to_solve: timeToSolve })
+                .eq("id", id)
+                .eq("status", "active")
+                .select()
+                .maybeSingle();
+
+            if (error) throw error;
+
+            return data ? new GameSession(data) : null;
+        } catch (error) {
+            throw new ApiError(500, `Failed to complete game session: ${error.message}`);
+        }
+    }
+
+    /**
+     * Record that the next hint of an active session was revealed
+     * Only succeeds if hints_used still has the expected value, so concurrent requests cannot skip a hint
+     *
+     * string id - Session ID
+     * number expectedHintsUsed - Hints used as read by the caller
+     * return Promise - Updated GameSession instance or null if the session changed in the meantime
+     * throw ApiError - If the update fails
+     */
+    static async useHint(id, expectedHintsUsed) {
+        try {
+            const { data, error } = await supabase
+                .from("game_sessions")
+                .update({ hints_used: expectedHintsUsed + 1 })
+                .eq("id", id)
+                .eq("status", "active")
+                .eq("hints_used", expectedHintsUsed)
+                .select()
+                .maybeSingle();
+
+            if (error) throw error;
+
+            return data ? new GameSession(data) : null;
+        } catch (error) {
+            throw new ApiError(500, `Failed to record hint: ${error.message}`);
+        }
+    }
+
+    /**
+     * End an active session without a solve (a wrong answer in a one-attempt session)
+     *
+     * string id - Session ID
+     * return Promise - Updated GameSession instance or null if the session was no longer active
+     * throw ApiError - If the update fails
+     */
+    static async fail(id) {
+        try {
+            const { data, error } = await supabase
+                .from("game_sessions")
+                .update({ status: "failed", completed_at: new Date().toISOString() })
+                .eq("id", id)
+                .eq("status", "active")
+                .select()
+                .maybeSingle();
+
+            if (error) throw error;
+
+            return data ? new GameSession(data) : null;
+        } catch (error) {
+            throw new ApiError(500, `Failed to end game session: ${error.message}`);
+        }
+    }
+
+    /**
+     * Mark an active session as expired
+     *
+     * string id - Session ID
+     * throw ApiError - If the update fails
+     */
+    static async expire(id) {
+        try {
+            const { error } = await supabase
+                .from("game_sessions")
+                .update({ status: "expired" })
+                .eq("id", id)
+                .eq("status", "active");
+
+            if (error) throw error;
+        } catch (error) {
+            throw new ApiError(500, `Failed to expire game session: ${error.message}`);
+        }
+    }
+}
+
+export default GameSession;
@@ -4,6 +4,38 @@
  */
 import { supabase } from '../db/supabase.js';
 import { ApiError } from '../middleware/errorHandler.js';
+import pagination from '../utils/pagination.js';
+import scoring from '../utils/scoring.js';
+import scoreEvents from '../utils/scoreEvents.js';
+
+// Configuration constants
+const HINT_PENALTY_MS = parseInt(process.env.HINT_PENALTY_MS || "30000", 10); // Added to the solve time per hint
+
+const SCORE_BATCH_SIZE = 1000; // PostgREST returns at most this many rows per request by default
+const ID_BATCH_SIZE = 100; // IDs per "in" filter, keeping request URLs short
+
+// Columns of a leaderboard entry
+const LEADERBOARD_COLUMNS = "id, username, best_time, total_points, hints_used, riddles_solved";
+
+// Leaderboard ranking metrics: column to rank by, sort direction and the filter for players with a value
+// (deleted players are never ranked)
+const LEADERBOARD_METRICS = {
+    points: {
+        column: "total_points",
+        ascending: false,
+        filter: (query) => query.gt("total_points", 0).is("deleted_at", null),
+    },
+    best_time: {
+        column: "best_time",
+        ascending: true,
+        filter: (query) => query.gt("best_time", 0).is("deleted_at", null),
+    },
+    solved: {
+        column: "riddles_solved",
+        ascending: false,
+        filter: (query) => query.gt("riddles_solved", 0).is("deleted_at", null),
+    },
+};
 
 /**
  * class Player
@@ -12,8 +44,13 @@ import { ApiError } from '../middleware/errorHandler.js';
  * number data.id - Unique identifier for the player
  * string data.username - Player's username
  * Date data.created_at - Timestamp when the player was created
- * number [data.best_time=0] - Player's best time in milliseconds
+ * number [data.best_time=0] - Player's best time in milliseconds (including hint penalties)
+ * number [data.hints_used=0] - Total number of hints the player used in ranked play
+ * number [data.total_points=0] - Cumulative points of all ranked solves
+ * number [data.riddles_solved=0] - Number of ranked solves
  * string [data.role='user'] - Player's role (guest, user, admin)
+ * string [data.deleted_at] - When the player was moved to the trash (soft deleted)
+ * number [data.deleted_by] - ID of the admin who deleted the player
  */
 class Player {
     constructor(data) {
@@ -21,7 +58,32 @@ class Player {
         this.username = data.username;
         this.created_at = data.created_at;
         this.best_time = data.best_time || 0;
+        this.hints_used = data.hints_used || 0;
+        this.total_points = data.total_points || 0;
+        this.riddles_solved = data.riddles_solved || 0;
         this.role = data.role || "user";
+        this.deleted_at = data.deleted_at ?? null;
+        this.deleted_by = data.deleted_by ?? null;
+    }
+
+    /**
+     * Check whether a leaderboard ranking metric is supported
+     *
+     * string metric - Metric name
+     * return boolean - True for points, best_time and solved
+     */
+    static isLeaderboardMetric(metric) {
+        return Object.hasOwn(LEADERBOARD_METRICS, metric);
+    }
+
+    /**
+     * Time penalty for using hints
+     *
+     * number hintsUsed - Number of hints revealed
+     * return number - Penalty in milliseconds
+     */
+    static hintPenalty(hintsUsed) {
+        return Math.max(0, hintsUsed || 0) * HINT_PENALTY_MS;
     }
 
     // Static Methods for Database Operations
@@ -55,12 +117,17 @@ class Player {
     /**
      * Find player by username
      * string username - Player's username
+     * Object [options] - Lookup options
+     * boolean [options.includeDeleted=false] - Also find soft deleted players
      * retur Promise - Player instance or null if not found
      * throw ApiError - If player lookup fails
      */
-    static async findByUsername(username) {
+    static async findByUsername(username, { includeDeleted = false } = {}) {
         try {
-            const { data, error } = await supabase.from("players").select("*").eq("username", username).single();
+            let query = supabase.from("players").select("*").eq("username", username);
+            if (!includeDeleted) query = query.is("deleted_at", null);
+
+            const { data, error } = await query.single();
 
             if (error) {
                 if (error.code === "PGRST116") return null; // Record not found
@@ -75,24 +142,48 @@ class Player {
     }
 
     /**
-     * Get all players
+     * Get all players using cursor (keyset) pagination
+     * Ordered by best time (players without one last), then ID; each page continues after the last player
+     * of the previous one
      *
-     * number [limit=50] - Maximum number of players to return
-     * number [offset=0] - Offset for pagination
-     * return Promise - Array of Player instances
-     * throw ApiError - If player retrieval fails
+     * Object [options] - Pagination options
+     * number [options.limit=50] - Page size
+     * Object [options.cursor] - Decoded cursor of the previous page ({ b, id }, b is null for no best time)
+     * boolean [options.includeTotal=false] - Also count all players
+     * return Promise - { items, hasMore, nextCursor, total? } with Player instances as items
+     * throw ApiError - If the cursor is invalid or player retrieval fails
      */
-    static async findAll(limit = 50, offset = 0) {
+    static async findAll(options = {}) {
+        const { limit = 50, cursor = null, includeTotal = false } = options;
+
+        if (cursor && !((cursor.b === null || Number.isFinite(cursor.b)) && Number.isInteger(cursor.id)))
+            throw new ApiError(400, "Invalid pagination cursor");
+
         try {
-            const { data, error } = await supabase
+            let query = supabase
                 .from("players")
-                .select("*")
+                .select("*", includeTotal ? { count: "exact" } : undefined)
+                .is("deleted_at", null)
                 .order("best_time", { ascending: true, nullsFirst: false })
-                .range(offset, offset + limit - 1);
+                .order("id", { ascending: true })
+                .limit(limit + 1);
+
+            // NULL best times sort last, so they follow every value and only the ID orders them
+            if (cursor && cursor.b === null) query = query.is("best_time", null).gt("id", cursor.id);
+            else if (cursor)
+                query = query.or(
+                    `best_time.gt.${cursor.b},best_time.is.null,and(best_time.eq.${cursor.b},id.gt.${cursor.id})`
+                );
+
+            const { data, error, count } = await query;
 
             if (error) throw error;
 
-            return data.map((row) => new Player(row));
+            // The cursor is taken from the raw row: Player turns a missing best time into 0
+            const page = pagination.buildPage(data, limit, (last) => ({ b: last.best_time ?? null, id: last.id }));
+            const players = { ...page, items: page.items.map((row) => new Player(row)) };
+
+            return includeTotal ? { ...players, total: count } : players;
         } catch (error) {
             throw new ApiError(500, `Failed to get players: ${error.message}`);
         }
@@ -106,7 +197,12 @@ class Player {
      */
     static async findById(id) {
         try {
-            const { data, error } = await supabase.from("players").select("*").eq("id", id).single();
+            const { data, error } = await supabase
+                .from("players")
+                .select("*")
+                .eq("id", id)
+                .is("deleted_at", null)
+                .single();
 
             if (error) {
                 if (error.code === "PGRST116") throw new ApiError(404, "Player not found"); // Record not found
@@ -123,100 +219,245 @@ class Player {
 
     /**
      * Submit a score for a player and riddle
+     * Every hint used adds HINT_PENALTY_MS to the time that counts for the player's best time
+     * Points are awarded by the scoring engine and added to the player's cumulative score
+     * Every recorded score is announced on scoreEvents ("score") for live leaderboards
      *
      * number playerId - Player's ID
      * number riddleId - Riddle's ID
      * number timeToSolve - Time taken to solve the riddle in milliseconds
-     * return Promise - Result of the score submission
+     * Object [options] - Additional score data
+     * string [options.sessionId] - Game session that produced the score
+     * number [options.hintsUsed=0] - Number of hints revealed while solving
+     * string [options.level='medium'] - Difficulty level of the riddle
+     * string [options.dailyDate] - Calendar day if the score comes from a daily riddle session
+     * return Promise - Result of the score submission ({ success, points, penaltyMs, scoredTime })
      * throw ApiError || superbaseError - If score submission fails
      */
-    static async submitScore(playerId, riddleId, timeToSolve) {
+    static async submitScore(playerId, riddleId, timeToSolve, options = {}) {
+        const { sessionId = null, hintsUsed = 0, level = "medium", dailyDate = null } = options;
+        const penaltyMs = Player.hintPenalty(hintsUsed);
+        const scoredTime = timeToSolve + penaltyMs;
+        const points = scoring.calculatePoints({ level, timeToSolve, hintsUsed });
+
         try {
             // Insert the score
-            const { error: scoreError } = await supabase
-                .from("player_scores")
-                .insert([{ player_id: playerId, riddle_id: riddleId, time_to_solve: timeToSolve }]);
+            const { error: scoreError } = await supabase.from("player_scores").insert([
+                {
+                    player_id: playerId,
+                    riddle_id: riddleId,
+                    time_to_solve: timeToSolve,
+                    session_id: sessionId,
+                    hints_used: hintsUsed,
+                    penalty_ms: penaltyMs,
+                    riddle_level: level,
+                    daily_date: dailyDate,
+                    points,
+                },
+            ]);
 
             if (scoreError) throw scoreError;
 
-            // Get current best time
-            const { data: playerData, error: playerError } = await supabase
-                .from("players")
-                .select("best_time")
-                .eq("id", playerId)
-                .single();
+            // Totals and best time in one atomic update, so concurrent solves cannot lose an increment
+            // (see supabase/migrations)
+            const { data: newBest, error: updateError } = await supabase.rpc("record_player_solve", {
+                p_player_id: playerId,
+                p_points: points,
+                p_scored_time: scoredTime,
+                p_hints_used: hintsUsed,
+            });
 
-            if (playerError) throw playerError;
+            if (updateError) throw updateError;
 
-            // Update best time if applicable
-            if (playerData.best_time === 0 || timeToSolve < playerData.best_time) {
-                const { error: updateError } = await supabase
-                    .from("players")
-                    .update({ best_time: timeToSolve })
-                    .eq("id", playerId);
+            scoreEvents.emit("score", { playerId, riddleId, points, scoredTime, newBest, level, dailyDate });
 
-                if (updateError) throw updateError;
-            }
-
-            return { success: true };
+            return { success: true, points, penaltyMs, scoredTime };
         } catch (error) {
             throw new ApiError(500, `Failed to submit score: ${error.message}`);
         }
     }
 
     /**
-     * Get leaderboard (top players by best time)
+     * Get leaderboard (top players by points, best time or riddles solved)
      *
      * number [limit=10] - Number of players to return
-     * return Promise - Array of player objects with id, username, best_time, and riddles_solved
+     * string [by='best_time'] - Ranking metric (points, best_time, solved)
+     * return Promise - Array of player objects (id, username, best_time, total_points, hints_used, riddles_solved)
      * throw ApiError || superbaseError - If leaderboard retrieval fails
      */
-    static async getLeaderboard(limit = 10) {
+    static async getLeaderboard(limit = 10, by = "best_time") {
+        if (!Player.isLeaderboardMetric(by)) throw new ApiError(400, `Unknown leaderboard metric: ${by}`);
+
+        const metric = LEADERBOARD_METRICS[by];
+
         try {
-            // First get players with best times
-            const { data: players, error: playersError } = await supabase
-                .from("players")
-                .select("id, username, best_time")
-                .not("best_time", "eq", 0)
-                .order("best_time", { ascending: true })
+            // A single query: the totals are kept up to date on the players table by submitScore (solves from
+            // before the totals existed are backfilled by a migration, see supabase/migrations)
+            const { data: players, error: playersError } = await metric
+                .filter(supabase.from("players").select(LEADERBOARD_COLUMNS))
+                .order(metric.column, { ascending: metric.ascending })
+                .order("id", { ascending: true }) // Ties broken by ID
                 .limit(limit);
 
             if (playersError) throw playersError;
 
-            // Get riddles solved count for each player
-            const playersWithRiddleCounts = await Promise.all(
-                players.map(async (player) => {
-                    const { count, error: countError } = await supabase
+            return players;
+        } catch (error) {
+            throw new ApiError(500, `Failed to get leaderboard: ${error.message}`);
+        }
+    }
+
+    /**
+     * Get a player's all-time rank for a leaderboard metric
+     * Players with the same value share a rank (1, 2, 2, 4); within a tie the lower ID is listed first
+     *
+     * number playerId - Player's ID
+     * string [by='best_time'] - Ranking metric (points, best_time, solved)
+     * return Promise - { rank, position, player } or null if the player is not on the leaderboard
+     * throw ApiError || superbaseError - If the rank lookup fails
+     */
+    static async getRank(playerId, by = "best_time") {
+        if (!Player.isLeaderboardMetric(by)) throw new ApiError(400, `Unknown leaderboard metric: ${by}`);
+
+        const metric = LEADERBOARD_METRICS[by];
+
+        try {
+            const { data: player, error: playerError } = await metric
+                .filter(supabase.from("players").select(LEADERBOARD_COLUMNS))
+                .eq("id", playerId)
+                .maybeSingle();
+
+            if (playerError) throw playerError;
+            if (!player) return null;
+
+            const value = player[metric.column];
+            const countPlayers = async (applyFilter) => {
+                const { count, error } = await applyFilter(
+                    metric.filter(supabase.from("players").select("*", { count: "exact", head: true }))
+                );
 
-                        .from("player_scores")
-                        .select("*", { count: "exact", head: true }) // exact for accurate count, head to avoid returning rows
-                        .eq("player_id", player.id);
+                if (error) throw error;
 
-                    if (countError) throw countError;
+                return count || 0;
+            };
 
-                    return {
-                        ...player,
-                        riddles_solved: count || 0,
-                    };
-                })
-            );
+            const [ahead, tiedBefore] = await Promise.all([
+                countPlayers((query) =>
+                    metric.ascending ? query.lt(metric.column, value) : query.gt(metric.column, value)
+                ),
+                countPlayers((query) => query.eq(metric.column, value).lt("id", playerId)),
+            ]);
 
-            return playersWithRiddleCounts;
+            return { rank: ahead + 1, position: ahead + tiedBefore + 1, player };
         } catch (error) {
-            throw new ApiError(500, `Failed to get leaderboard: ${error.message}`);
+            throw new ApiError(500, `Failed to get player rank: ${error.message}`);
+        }
+    }
+
+    /**
+     * Get the IDs of all riddles a player has solved
+     *
+     * number playerId - Player's ID
+     * return Promise - Distinct riddle IDs
+     * throw ApiError - If the lookup fails
+     */
+    static async getSolvedRiddleIds(playerId) {
+        try {
+            const riddleIds = new Set();
+
+            // PostgREST caps the rows of a single response, so read the history in batches
+            for (let from = 0; ; from += SCORE_BATCH_SIZE) {
+                const { data, error } = await supabase
+                    .from("player_scores")
+                    .select("riddle_id")
+                    .eq("player_id", playerId)
+                    .order("id", { ascending: true })
+                    .range(from, from + SCORE_BATCH_SIZE - 1);
+
+                if (error) throw error;
+
+                data.forEach((row) => riddleIds.add(row.riddle_id));
+                if (data.length < SCORE_BATCH_SIZE) return [...riddleIds];
+            }
+        } catch (error) {
+            throw new ApiError(500, `Failed to get solved riddles: ${error.message}`);
+        }
+    }
+
+    /**
+     * Check whether a player already has a score for a riddle
+     *
+     * number playerId - Player's ID
+     * string riddleId - Riddle ID
+     * return Promise<boolean> - True if the player scored the riddle before
+     * throw ApiError - If the lookup fails
+     */
+    static async hasScored(playerId, riddleId) {
+        try {
+            const { count, error } = await supabase
+                .from("player_scores")
+                .select("id", { count: "exact", head: true })
+                .eq("player_id", playerId)
+                .eq("riddle_id", riddleId);
+
+            if (error) throw error;
+
+            return count > 0;
+        } catch (error) {
+            throw new ApiError(500, `Failed to check player scores: ${error.message}`);
         }
     }
 
     /**
-     * Get player's stats and history
+     * Get a player's most recent scores
+     *
+     * number playerId - Player's ID
+     * number [limit=20] - Number of scores
+     * return Promise - Scores (riddle_level, time_to_solve, penalty_ms, solved_at), newest first
+     * throw ApiError - If the lookup fails
      */
-    static async getPlayerStats(username) {
+    static async getRecentScores(playerId, limit = 20) {
+        try {
+            const { data, error } = await supabase
+                .from("player_scores")
+                .select("riddle_level, time_to_solve, penalty_ms, solved_at")
+                .eq("player_id", playerId)
+                .order("solved_at", { ascending: false })
+                .limit(limit);
+
+            if (error) throw error;
+
+            return data;
+        } catch (error) {
+            throw new ApiError(500, `Failed to get recent scores: ${error.message}`);
+        }
+    }
+
+    /**
+     * Get a player's stats and a page of their score history
+     * Totals come from the player row and the time figures are summed in the database (see supabase/migrations),
+     * so no score rows are read beyond the requested page
+     *
+     * string username - Player's username
+     * Object [options] - History pagination options
+     * number [options.limit=20] - History page size
+     * Object [options.cursor] - Decoded cursor of the previous history page ({ s, id })
+     * return Promise - { player, stats, history } with history as { items, hasMore, nextCursor }, newest first
+     * throw ApiError - If the player is not found, the cursor is invalid or the lookup fails
+     */
+    static async getPlayerStats(username, options = {}) {
+        const { limit = 20, cursor = null } = options;
+
+        if (cursor && !(typeof cursor.s === "string" && !isNaN(Date.parse(cursor.s)) && Number.isInteger(cursor.id)))
+            throw new ApiError(400, "Invalid pagination cursor");
+
         try {
             // Get player
             const { data: player, error: playerError } = await supabase
                 .from("players")
                 .select("*")
                 .eq("username", username)
+                .is("deleted_at", null)
                 .single();
 
             if (playerError) {
@@ -225,34 +466,258 @@ class Player {
                 throw playerError;
             }
 
-            // Get player's scores
-            const { data: scores, error: scoresError } = await supabase
+            let historyQuery = supabase
                 .from("player_scores")
-                .select("riddle_id, time_to_solve, solved_at")
+                .select("id, riddle_id, riddle_level, time_to_solve, hints_used, penalty_ms, points, solved_at")
                 .eq("player_id", player.id)
-                .order("solved_at", { ascending: false });
+                .order("solved_at", { ascending: false })
+                .order("id", { ascending: false })
+                .limit(limit + 1);
+
+            // Timestamps contain reserved characters, so they are quoted inside the filter
+            if (cursor) {
+                const solvedAt = `"${cursor.s}"`;
+                historyQuery = historyQuery.or(
+                    `solved_at.lt.${solvedAt},and(solved_at.eq.${solvedAt},id.lt.${cursor.id})`
+                );
+            }
 
-            if (scoresError) throw scoresError;
+            const [{ data: scores, error: scoresError }, { data: summary, error: summaryError }] = await Promise.all([
+                historyQuery,
+                supabase.rpc("player_score_summary", { p_player_id: player.id }).single(),
+            ]);
 
-            // Calculate stats
-            const totalSolved = scores.length;
-            const avgTime =
-                totalSolved > 0 ? scores.reduce((sum, row) => sum + row.time_to_solve, 0) / totalSolved : 0;
+            if (scoresError) throw scoresError;
+            if (summaryError) throw summaryError;
 
             return {
-                player,
+                player: new Player(player),
                 stats: {
-                    total_solved: totalSolved,
-                    avg_time: Math.round(avgTime),
-                    best_time: player.best_time,
+                    total_solved: player.riddles_solved || 0,
+                    total_points: player.total_points || 0,
+                    total_time: summary.total_time,
+                    avg_time: summary.avg_time,
+                    best_time: player.best_time || 0,
+                    hints_used: player.hints_used || 0,
+                    solved_without_hints: summary.solved_without_hints,
                 },
-                history: scores,
+                history: pagination.buildPage(scores, limit, (last) => ({ s: last.solved_at, id: last.id })),
             };
         } catch (error) {
             if (error instanceof ApiError) throw error;
             throw new ApiError(500, `Failed to get player stats: ${error.message}`);
         }
     }
+
+    /**
+     * Move a player to the trash (soft delete)
+     * Their scores stay in place; deleted players cannot sign in and are left out of leaderboards
+     *
+     * string username - Player's username
+     * Object deleter - Admin deleting the player (req.user)
+     * return Promise - Deleted Player instance
+     * throw ApiError - If the player is not found or the update fails
+     */
+    static async softDelete(username, deleter) {
+        try {
+            const { data, error } = await supabase
+                .from("players")
+                .update({ deleted_at: new Date().toISOString(), deleted_by: deleter.id })
+                .eq("username", username)
+                .is("deleted_at", null)
+                .select()
+                .maybeSingle();
+
+            if (error) throw error;
+            if (!data) throw new ApiError(404, "Player not found");
+
+            return new Player(data);
+        } catch (error) {
+            if (error instanceof ApiError) throw error;
+            throw new ApiError(500, `Failed to delete player: ${error.message}`);
+        }
+    }
+
+    /**
+     * Take a player out of the trash
+     *
+     * string username - Player's username
+     * return Promise - Restored Player instance
+     * throw ApiError - If the player is not in the trash or the update fails
+     */
+    static async restore(username) {
+        try {
+            const { data, error } = await supabase
+                .from("players")
+                .update({ deleted_at: null, deleted_by: null })
+                .eq("username", username)
+                .not("deleted_at", "is", null)
+                .select()
+                .maybeSingle();
+
+            if (error) throw error;
+            if (!data) throw new ApiError(404, "Player not found in trash");
+
+            return new Player(data);
+        } catch (error) {
+            if (error instanceof ApiError) throw error;
+            throw new ApiError(500, `Failed to restore player: ${error.message}`);
+        }
+    }
+
+    /**
+     * Get the trash: deleted players using cursor (keyset) pagination, most recently deleted first
+     *
+     * Object [options] - Pagination options
+     * number [options.limit=50] - Page size
+     * Object [options.cursor] - Decoded cursor of the previous page ({ d, id })
+     * boolean [options.includeTotal=false] - Also count all deleted players
+     * return Promise - { items, hasMore, nextCursor, total? } with Player instances as items
+     * throw ApiError - If the cursor is invalid or player retrieval fails
+     */
+    static async findDeleted(options = {}) {
+        const { limit = 50, cursor = null, includeTotal = false } = options;
+
+        if (cursor && !(typeof cursor.d === "string" && !isNaN(Date.parse(cursor.d)) && Number.isInteger(cursor.id)))
+            throw new ApiError(400, "Invalid pagination cursor");
+
+        try {
+            let query = supabase
+                .from("players")
+                .select("*", includeTotal ? { count: "exact" } : undefined)
+                .not("deleted_at", "is", null)
+                .order("deleted_at", { ascending: false })
+                .order("id", { ascending: false })
+                .limit(limit + 1);
+
+            // Timestamps contain reserved characters, so they are quoted inside the filter
+            if (cursor) {
+                const deletedAt = `"${cursor.d}"`;
+                query = query.or(`deleted_at.lt.${deletedAt},and(deleted_at.eq.${deletedAt},id.lt.${cursor.id})`);
+            }
+
+            const { data, error, count } = await query;
+
+            if (error) throw error;
+
+            const page = pagination.buildPage(data.map((row) => new Player(row)), limit, (last) => ({
+                d: last.deleted_at,
+                id: last.id,
+            }));
+
+            return includeTotal ? { ...page, total: count } : page;
+        } catch (error) {
+            if (error instanceof ApiError) throw error;
+            throw new ApiError(500, `Failed to get deleted players: ${error.message}`);
+        }
+    }
+
+    /**
+     * Get the IDs of deleted players
+     *
+     * Object [options] - Lookup options
+     * Date [options.before] - Only players deleted before this date
+     * number [options.limit] - Maximum number of IDs, longest deleted first
+     * return Promise - Player IDs
+     * throw ApiError - If the lookup fails
+     */
+    static async findDeletedIds(options = {}) {
+        const { before = null, limit = null } = options;
+
+        try {
+            let query = supabase
+                .from("players")
+                .select("id")
+                .not("deleted_at", "is", null)
+                .order("deleted_at", { ascending: true });
+
+            if (before) query = query.lt("deleted_at", before.toISOString());
+            if (limit) query = query.limit(limit);
+
+            const { data, error } = await query;
+
+            if (error) throw error;
+
+            return data.map((row) => row.id);
+        } catch (error) {
+            throw new ApiError(500, `Failed to get deleted players: ${error.message}`);
+        }
+    }
+
+    /**
+     * Find which riddles have scores recorded against them
+     * Each riddle is returned once however many scores it has (see supabase/migrations), so a batch never
+     * reaches the API's row limit
+     *
+     * Array riddleIds - Riddle IDs (strings)
+     * return Promise - Set of the riddle IDs that have at least one score
+     * throw ApiError - If the lookup fails
+     */
+    static async findScoredRiddleIds(riddleIds) {
+        const scored = new Set();
+
+        try {
+            for (let i = 0; i < riddleIds.length; i += ID_BATCH_SIZE) {
+                const batch = riddleIds.slice(i, i + ID_BATCH_SIZE);
+                const { data, error } = await supabase.rpc("scored_riddle_ids", { p_riddle_ids: batch });
+
+                if (error) throw error;
+
+                data.forEach((row) => scored.add(row.riddle_id));
+            }
+
+            return scored;
+        } catch (error) {
+            throw new ApiError(500, `Failed to look up riddle scores: ${error.message}`);
+        }
+    }
+
+    /**
+     * Permanently remove deleted players with their scores, game sessions and refresh tokens
+     * Auth events are kept for the statistics, without the link to the player
+     *
+     * Array ids - Player IDs
+     * return Promise - Number of players removed
+     * throw ApiError - If a delete fails
+     */
+    static async purge(ids) {
+        if (ids.length === 0) return 0;
+
+        try {
+            // Only players that are still in the trash (one could have been restored meanwhile)
+            const { data: players, error: findError } = await supabase
+                .from("players")
+                .select("id")
+                .in("id", ids)
+                .not("deleted_at", "is", null);
+
+            if (findError) throw findError;
+            if (players.length === 0) return 0;
+
+            const playerIds = players.map((player) => player.id);
+
+            // Dependent rows first; scores refer to game sessions
+            for (const table of ["player_scores", "game_sessions", "refresh_tokens"]) {
+                const { error } = await supabase.from(table).delete().in("player_id", playerIds);
+                if (error) throw error;
+            }
+
+            const { error: eventsError } = await supabase
+                .from("auth_events")
+                .update({ player_id: null })
+                .in("player_id", playerIds);
+
+            if (eventsError) throw eventsError;
+
+            const { error: deleteError } = await supabase.from("players").delete().in("id", playerIds);
+
+            if (deleteError) throw deleteError;
+
+            return playerIds.length;
+        } catch (error) {
+            throw new ApiError(500, `Failed to purge players: ${error.message}`);
+        }
+    }
 }
 
 export default Player;
\ No newline at end of file
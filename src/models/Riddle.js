@@ -5,21 +5,128 @@
 import { ObjectId } from 'mongodb';
 import { getRiddlesCollection } from '../db/mongodb.js';
 import { ApiError } from '../middleware/errorHandler.js';
+import pagination from '../utils/pagination.js';
+import answerMatcher from '../utils/answerMatcher.js';
+import localeUtil from '../utils/locale.js';
+import RiddleRevision from './RiddleRevision.js';
+
+const RIDDLE_LEVELS = ["easy", "medium", "hard"];
+const RIDDLE_STATUSES = ["pending", "approved", "rejected", "changes_requested"];
+const BULK_BATCH_SIZE = 1000; // Documents per bulk write or cursor batch
+
+// Riddles that are not in the trash (soft deleted); documents from before soft deletes have no deletedAt
+const NOT_DELETED_FILTER = { deletedAt: null };
+const DELETED_FILTER = { deletedAt: { $ne: null } };
+
+// Published riddles; documents created before moderation existed have no status and count as approved
+const PUBLISHED_FILTER = { status: { $in: ["approved", null] }, ...NOT_DELETED_FILTER };
+
+// Riddles their author may still change: neither published nor deleted
+const UNPUBLISHED_FILTER = { status: { $nin: ["approved", null] }, ...NOT_DELETED_FILTER };
+
+// Moderation actions and the status they lead to
+const MODERATION_ACTIONS = {
+    approve: "approved",
+    reject: "rejected",
+    request_changes: "changes_requested",
+};
+
+// Sort options for riddle listings (_id keeps the order stable for equal values)
+const SORT_OPTIONS = {
+    newest: { createdAt: -1, _id: -1 },
+    oldest: { createdAt: 1, _id: 1 },
+    question: { question: 1, _id: 1 },
+    relevance: { score: { $meta: "textScore" }, _id: 1 },
+};
+
+/**
+ * Record riddle revisions (see RiddleRevision.record)
+ * Failures are logged and swallowed: the change itself already succeeded
+ *
+ * Array entries - { action, before, after, by, restoredFrom? }
+ * return Promise - Resolves when the revisions are stored (or dropped)
+ */
+async function recordRevisions(entries) {
+    if (entries.length === 0) return;
+
+    try {
+        await RiddleRevision.record(entries);
+    } catch (error) {
+        console.error("✘ Failed to record riddle revisions:", error.message);
+    }
+}
+
+/**
+ * Filter limiting a change to the riddles a user may make it to
+ * Admins may change any riddle, others only their own unpublished ones. Part of the update itself, so a
+ * riddle published after the authorization check is not changed.
+ *
+ * Object [user] - User making the change (req.user)
+ * return Object - MongoDB filter
+ */
+function changeableBy(user) {
+    if (!user || user.role === "admin") return NOT_DELETED_FILTER;
+
+    return { "createdBy.id": user.id, ...UNPUBLISHED_FILTER };
+}
+
+/**
+ * Error for a change that matched no riddle: 404 if it does not exist, 403 if the user may not change it
+ *
+ * Collection collection - Riddles collection
+ * string id - Riddle ID
+ * return Promise - ApiError to throw
+ */
+async function unchangeableError(collection, id) {
+    const exists = await collection.countDocuments({ _id: new ObjectId(id), ...NOT_DELETED_FILTER }, { limit: 1 });
+
+    return exists > 0
+        ? new ApiError(403, "Published riddles can only be changed by an admin")
+        : new ApiError(404, "Riddle not found");
+}
 
 /**
  * Creates a new Riddle instance.
- * Object params
- * number [params.id] - The unique identifier for the riddle.
- * string params.name - The name or title of the riddle.
- * string params.taskDescription - The text describing the riddle.
- * string params.correctAnswer - The correct answer to the riddle.
+ * Object data
+ * string data.question - The text describing the riddle.
+ * string data.answer - The correct answer to the riddle.
+ * Array [data.alternativeAnswers=[]] - Other answers accepted as correct.
+ * Array [data.hints=[]] - Ordered hints, revealed one at a time during a game session.
+ * string [data.locale] - Language of the fields above, the riddle's default locale (defaults to DEFAULT_LOCALE).
+ * Object [data.translations={}] - Other locales: { [locale]: { question, answer, alternativeAnswers, hints } }.
+ * string [data.level='medium'] - Difficulty level (easy, medium, hard).
+ * string [data.category] - Category the riddle belongs to.
+ * Array [data.tags=[]] - Free-form tags (stored lowercase, without duplicates).
+ * string [data.status='approved'] - Moderation status (pending, approved, rejected, changes_requested).
+ * Object [data.createdBy] - Author ({ id, username }).
+ * Object [data.updatedBy] - Last editor ({ id, username }), set together with updatedAt on updates.
+ * Object [data.moderation] - Last review ({ action, reason, reviewedBy, reviewedAt }).
+ * Date [data.createdAt] - Creation timestamp.
+ * Date [data.deletedAt] - When the riddle was moved to the trash (soft deleted).
+ * Object [data.deletedBy] - User who deleted it ({ id, username }).
+ *
+ * questionKey is derived from the question (see Riddle.questionKey) and identifies duplicates; like search,
+ * it uses the default locale only.
  */
 class Riddle {
     constructor(data) {
         this.question = data.question;
+        this.questionKey = Riddle.questionKey(data.question);
         this.answer = data.answer;
+        this.alternativeAnswers = data.alternativeAnswers || [];
+        this.hints = data.hints || [];
+        this.locale = localeUtil.canonicalize(data.locale) || localeUtil.DEFAULT_LOCALE;
+        this.translations = data.translations || {};
         this.level = data.level || "medium";
+        this.category = Riddle.normalizeCategory(data.category);
+        this.tags = Riddle.normalizeTags(data.tags);
+        this.status = data.status || "approved";
+        this.createdBy = data.createdBy || null;
+        this.updatedBy = data.updatedBy || null;
+        this.moderation = data.moderation || null;
         this.createdAt = data.createdAt || new Date();
+        this.deletedAt = data.deletedAt || null;
+        this.deletedBy = data.deletedBy || null;
     }
 
     /**
@@ -28,9 +135,211 @@ class Riddle {
     toDocument() {
         return {
             question: this.question,
+            questionKey: this.questionKey,
             answer: this.answer,
+            alternativeAnswers: this.alternativeAnswers,
+            hints: this.hints,
+            locale: this.locale,
+            translations: this.translations,
             level: this.level,
+            category: this.category,
+            tags: this.tags,
+            status: this.status,
+            createdBy: this.createdBy,
+            updatedBy: this.updatedBy,
+            moderation: this.moderation,
             createdAt: this.createdAt,
+            deletedAt: this.deletedAt,
+            deletedBy: this.deletedBy,
+        };
+    }
+
+    /**
+     * Duplicate detection key of a question
+     * Questions differing only in case, accents, punctuation or spacing share a key
+     *
+     * string question - Question text
+     * return string - Normalized question
+     */
+    static questionKey(question) {
+        return answerMatcher.normalizeAnswer(question);
+    }
+
+    /**
+     * Normalize a category name
+     *
+     * string category - Raw category
+     * return string|null - Lowercase, trimmed category or null if empty
+     */
+    static normalizeCategory(category) {
+        if (typeof category !== "string") return null;
+        return category.trim().toLowerCase() || null;
+    }
+
+    /**
+     * Normalize a list of tags
+     *
+     * Array|string tags - Tags as an array or a comma separated string
+     * return Array - Lowercase, trimmed, unique tags
+     */
+    static normalizeTags(tags) {
+        const list = typeof tags === "string" ? tags.split(",") : Array.isArray(tags) ? tags : [];
+        const normalized = list
+            .filter((tag) => typeof tag === "string")
+            .map((tag) => tag.trim().toLowerCase())
+            .filter(Boolean);
+
+        return [...new Set(normalized)];
+    }
+
+    /**
+     * Build MongoDB query parts for a riddle search
+     *
+     * Object params - Search parameters
+     * string [params.q] - Full-text search over question text
+     * string [params.level] - Difficulty level
+     * string [params.category] - Category
+     * Array|string [params.tags] - Tags the riddle must all carry
+     * string [params.sort] - newest, oldest, question or relevance (defaults to relevance when searching)
+     * return Object - { filters, sort, sortName, projection }
+     * throw ApiError - If a parameter is invalid
+     */
+    static buildSearchQuery(params = {}) {
+        const { q, level, category, tags } = params;
+        const filters = {};
+        const projection = {};
+
+        if (level) {
+            if (!RIDDLE_LEVELS.includes(level))
+                throw new ApiError(400, `Level must be one of: ${RIDDLE_LEVELS.join(", ")}`);
+            filters.level = level;
+        }
+
+        if (category) filters.category = Riddle.normalizeCategory(category);
+
+        const tagList = Riddle.normalizeTags(tags);
+        if (tagList.length > 0) filters.tags = { $all: tagList };
+
+        const search = typeof q === "string" ? q.trim() : "";
+        if (search) {
+            filters.$text = { $search: search };
+            projection.score = { $meta: "textScore" };
+        }
+
+        const sortName = params.sort || (search ? "relevance" : "newest");
+        if (!Object.hasOwn(SORT_OPTIONS, sortName))
+            throw new ApiError(400, `Sort must be one of: ${Object.keys(SORT_OPTIONS).join(", ")}`);
+        if (sortName === "relevance" && !search)
+            throw new ApiError(400, "Sorting by relevance requires a search query (q)");
+
+        return { filters, sort: SORT_OPTIONS[sortName], sortName, projection };
+    }
+
+    /**
+     * Filter matching riddles that are published (eligible for public play)
+     *
+     * return Object - MongoDB filter
+     */
+    static publishedFilter() {
+        return { ...PUBLISHED_FILTER };
+    }
+
+    /**
+     * Filter matching riddles with a moderation status
+     *
+     * string status - Moderation status
+     * return Object - MongoDB filter
+     * throw ApiError - If the status is unknown
+     */
+    static statusFilter(status) {
+        if (!RIDDLE_STATUSES.includes(status))
+            throw new ApiError(400, `Status must be one of: ${RIDDLE_STATUSES.join(", ")}`);
+
+        return status === "approved" ? Riddle.publishedFilter() : { status };
+    }
+
+    /**
+     * Check whether a difficulty level is supported
+     *
+     * string level - Level name
+     * return boolean - True for easy, medium and hard
+     */
+    static isValidLevel(level) {
+        return RIDDLE_LEVELS.includes(level);
+    }
+
+    /**
+     * Check whether a riddle document is published
+     *
+     * Object riddle - Riddle document
+     * return boolean - True if the riddle is approved (or predates moderation)
+     */
+    static isPublished(riddle) {
+        return !riddle.status || riddle.status === "approved";
+    }
+
+    /**
+     * Check whether a user created a riddle
+     *
+     * Object riddle - Riddle document
+     * Object [user] - Authenticated user (req.user)
+     * return boolean - True if the user is the riddle's author
+     */
+    static isAuthor(riddle, user) {
+        return Boolean(user?.id) && riddle.createdBy?.id === user.id;
+    }
+
+    /**
+     * Strip answer data from a riddle document for non-admin readers
+     *
+     * Object riddle - Riddle document
+     * return Object - Riddle document without answer fields
+     */
+    static toPublic(riddle) {
+        if (!riddle) return riddle;
+
+        const { answer, alternativeAnswers, hints, translations, ...publicRiddle } = riddle;
+        return { ...publicRiddle, hintCount: hints?.length || 0 };
+    }
+
+    /**
+     * Locales a riddle is available in, its default locale first
+     *
+     * Object riddle - Riddle document
+     * return Array - Locales
+     */
+    static availableLocales(riddle) {
+        return [riddle.locale || localeUtil.DEFAULT_LOCALE, ...Object.keys(riddle.translations || {})];
+    }
+
+    /**
+     * Serve a riddle in the best available locale
+     * The question, answers and hints are those of the chosen translation (a translation without hints has
+     * none); locale is the served locale, next to defaultLocale and availableLocales
+     *
+     * Object riddle - Riddle document
+     * Array [requested=[]] - Requested locales, most preferred first (see locale.requestedLocales)
+     * return Object - Riddle document in the served locale (the default one if nothing requested matches)
+     */
+    static localize(riddle, requested = []) {
+        if (!riddle) return riddle;
+
+        const defaultLocale = riddle.locale || localeUtil.DEFAULT_LOCALE;
+        const availableLocales = Riddle.availableLocales(riddle);
+        const locale = localeUtil.negotiate(availableLocales, requested) ?? defaultLocale;
+        const translation = locale === defaultLocale ? null : riddle.translations[locale];
+
+        return {
+            ...riddle,
+            ...(translation && {
+                question: translation.question,
+                answer: translation.answer,
+                alternativeAnswers: translation.alternativeAnswers || [],
+                hints: translation.hints || [],
+            }),
+            locale,
+            defaultLocale,
+            availableLocales,
         };
     }
 
@@ -38,23 +347,43 @@ class Riddle {
 
     /**
      * Create a new riddle
+     * Riddles created by admins are published right away, everyone else's wait for review
+     *
+     * Object data - Riddle data
+     * Object [author] - Authenticated user creating the riddle (req.user)
+     * return Promise - Created riddle document
      */
-    static async create(data) {
+    static async create(data, author = null) {
         const collection = getRiddlesCollection();
-        const riddle = new Riddle(data);
+        const riddle = new Riddle({
+            ...data,
+            status: !author || author.role === "admin" ? "approved" : "pending",
+            createdBy: author ? { id: author.id, username: author.username } : null,
+        });
         const result = await collection.insertOne(riddle.toDocument());
-        return { _id: result.insertedId, ...riddle.toDocument() };
+        const created = { _id: result.insertedId, ...riddle.toDocument() };
+
+        await recordRevisions([{ action: "create", before: null, after: created, by: author }]);
+
+        return created;
     }
 
     /**
      * Find riddle by ID
+     * Riddles in the trash are not found unless asked for
+     *
+     * string id - Riddle ID
+     * Object [options] - Lookup options
+     * boolean [options.includeDeleted=false] - Also find soft deleted riddles
+     * return Promise - Riddle document or null
      */
-    static async findById(id) {
+    static async findById(id, options = {}) {
         const collection = getRiddlesCollection();
+        const { includeDeleted = false } = options;
 
         if (!ObjectId.isValid(id)) throw new ApiError(400, "Invalid riddle ID format");
 
-        return await collection.findOne({ _id: new ObjectId(id) });
+        return await collection.findOne({ _id: new ObjectId(id), ...(!includeDeleted && NOT_DELETED_FILTER) });
     }
 
     /**
@@ -65,75 +394,625 @@ class Riddle {
      * number [options.limit=50] - Number of riddles to return
      * number [options.skip=0] - Number of riddles to skip
      * Object [options.sort={ createdAt: -1 }] - Sorting options
+     * Object [options.projection] - Projection (e.g. text search score)
      * return Promise - Array of riddle documents
      * throw ApiError - If no riddles found or invalid parameters
      */
     static async findAll(filters = {}, options = {}) {
         const collection = getRiddlesCollection();
-        const { limit = 50, skip = 0, sort = { createdAt: -1 } } = options;
+        const { limit = 50, skip = 0, sort = { createdAt: -1 }, projection = {} } = options;
 
-        return await collection.find(filters).sort(sort).skip(skip).limit(limit).toArray();
+        return await collection
+            .find({ ...filters, ...NOT_DELETED_FILTER }, { projection })
+            .sort(sort)
+            .skip(skip)
+            .limit(limit)
+            .toArray();
+    }
+
+    /**
+     * Get a page of riddles using cursor (keyset) pagination
+     * Pages continue after the last riddle of the previous page instead of skipping rows,
+     * so deep pages stay as fast as the first one
+     *
+     * Object filters - MongoDB query filters
+     * Object options - Pagination options
+     * number options.limit - Page size
+     * Object [options.cursor] - Decoded cursor of the previous page
+     * string [options.sortName='newest'] - Sort option name (see buildSearchQuery)
+     * Object [options.projection] - Projection (e.g. text search score)
+     * boolean [options.includeTotal=false] - Also count all matching riddles
+     * boolean [options.deleted=false] - List the trash (soft deleted riddles) instead
+     * return Promise - { items, hasMore, nextCursor, total? }
+     * throw ApiError - If the cursor does not belong to this sort order
+     */
+    static async findPage(filters = {}, options = {}) {
+        const collection = getRiddlesCollection();
+        const { limit, cursor = null, sortName = "newest", projection = {}, includeTotal = false } = options;
+        const { deleted = false } = options;
+        const scoped = { ...filters, ...(deleted ? DELETED_FILTER : NOT_DELETED_FILTER) };
+        const sort = SORT_OPTIONS[sortName];
+        const [sortField] = Object.keys(sort);
+
+        if (cursor && cursor.s !== sortName) throw new ApiError(400, "Cursor does not match the requested sort order");
+
+        let query = scoped;
+        let skip = 0;
+
+        if (sortName === "relevance") {
+            // Text scores cannot be used as a range bound, so relevance pages continue from an offset
+            skip = cursor ? cursor.o : 0;
+            if (!Number.isInteger(skip) || skip < 0) throw new ApiError(400, "Invalid pagination cursor");
+        } else if (cursor) {
+            query = { ...scoped, $and: [...(scoped.$and || []), Riddle.keysetCondition(sort, cursor)] };
+        }
+
+        const [rows, total] = await Promise.all([
+            collection.find(query, { projection }).sort(sort).skip(skip).limit(limit + 1).toArray(),
+            includeTotal ? collection.countDocuments(scoped) : undefined,
+        ]);
+
+        const page = pagination.buildPage(rows, limit, (last, count) => {
+            if (sortName === "relevance") return { s: sortName, o: skip + count };
+
+            const value = last[sortField];
+            return {
+                s: sortName,
+                v: value instanceof Date ? value.toISOString() : value,
+                t: value instanceof Date ? "date" : typeof value,
+                id: last._id.toString(),
+            };
+        });
+
+        return includeTotal ? { ...page, total } : page;
+    }
+
+    /**
+     * Build the condition selecting riddles after a cursor position
+     *
+     * Object sort - Sort specification ({ field: direction, _id: direction })
+     * Object cursor - Decoded cursor ({ v, t, id })
+     * return Object - MongoDB filter
+     * throw ApiError - If the cursor is malformed
+     */
+    static keysetCondition(sort, cursor) {
+        const [field] = Object.keys(sort);
+        const operator = sort[field] === 1 ? "$gt" : "$lt";
+
+        if (!ObjectId.isValid(cursor.id) || cursor.v === undefined)
+            throw new ApiError(400, "Invalid pagination cursor");
+
+        const value = cursor.t === "date" ? new Date(cursor.v) : cursor.v;
+        const id = new ObjectId(cursor.id);
+
+        return { $or: [{ [field]: { [operator]: value } }, { [field]: value, _id: { [operator]: id } }] };
+    }
+
+    /**
+     * Count published riddles per tag and per category
+     *
+     * return Promise - { tags: [{ name, count }], categories: [{ name, count }] }
+     */
+    static async getFacets() {
+        const collection = getRiddlesCollection();
+
+        const [facets] = await collection
+            .aggregate([
+                { $match: PUBLISHED_FILTER },
+                {
+                    $facet: {
+                        tags: [
+                            { $unwind: "$tags" },
+                            { $group: { _id: "$tags", count: { $sum: 1 } } },
+                            { $sort: { count: -1, _id: 1 } },
+                        ],
+                        categories: [
+                            { $match: { category: { $type: "string" } } },
+                            { $group: { _id: "$category", count: { $sum: 1 } } },
+                            { $sort: { count: -1, _id: 1 } },
+                        ],
+                    },
+                },
+            ])
+            .toArray();
+
+        const toList = (buckets) => buckets.map(({ _id, count }) => ({ name: _id, count }));
+
+        return { tags: toList(facets.tags), categories: toList(facets.categories) };
     }
 
     /**
      * Get random riddle
+     * Only published riddles are eligible
+     *
+     * Object [filters] - Additional MongoDB query filters (e.g. level, tags)
+     * Array [excludeIds] - Riddle IDs that must not be picked
+     * return Promise - Riddle document or null if no riddle matches
      */
-    static async findRandom() {
+    static async findRandom(filters = {}, excludeIds = []) {
         const collection = getRiddlesCollection();
-        const count = await collection.countDocuments();
+        const match = { ...filters, ...PUBLISHED_FILTER };
 
-        if (count === 0) throw new ApiError(404, "No riddles found in database");
+        const excluded = excludeIds.filter((id) => ObjectId.isValid(id)).map((id) => new ObjectId(id));
+        if (excluded.length > 0) match._id = { $nin: excluded };
 
-        const random = Math.floor(Math.random() * count);
-        const riddle = await collection.find().limit(1).skip(random).toArray();
-        return riddle[0];
+        // $sample picks without counting and skipping through the collection
+        const [riddle] = await collection.aggregate([{ $match: match }, { $sample: { size: 1 } }]).toArray();
+        return riddle ?? null;
+    }
+
+    /**
+     * Get the IDs of all published riddles
+     *
+     * return Promise - Riddle IDs as strings, in a stable (_id) order
+     */
+    static async findPublishedIds() {
+        const collection = getRiddlesCollection();
+        const riddles = await collection
+            .find(PUBLISHED_FILTER, { projection: { _id: 1 } })
+            .sort({ _id: 1 })
+            .toArray();
+
+        return riddles.map((riddle) => riddle._id.toString());
+    }
+
+    /**
+     * Review a pending riddle
+     *
+     * string id - Riddle ID
+     * string action - approve, reject or request_changes
+     * Object moderator - Admin reviewing the riddle (req.user)
+     * string [reason] - Reason shown to the author (required unless approving)
+     * return Promise - Updated riddle document
+     * throw ApiError - If the action is invalid or the riddle is missing or not pending
+     */
+    static async moderate(id, action, moderator, reason = null) {
+        const collection = getRiddlesCollection();
+
+        if (!ObjectId.isValid(id)) throw new ApiError(400, "Invalid riddle ID format");
+
+        const status = MODERATION_ACTIONS[action];
+        if (!status) throw new ApiError(400, `Action must be one of: ${Object.keys(MODERATION_ACTIONS).join(", ")}`);
+        if (action !== "approve" && !reason)
+            throw new ApiError(400, "A reason is required to reject or request changes");
+
+        const moderation = {
+            action,
+            reason: reason || null,
+            reviewedBy: { id: moderator.id, username: moderator.username },
+            reviewedAt: new Date(),
+        };
+
+        // Only pending riddles can be reviewed; the filter makes concurrent reviews safe
+        const before = await collection.findOneAndUpdate(
+            { _id: new ObjectId(id), status: "pending", ...NOT_DELETED_FILTER },
+            { $set: { status, moderation } },
+            { returnDocument: "before" }
+        );
+
+        if (!before) {
+            const riddle = await this.findById(id);
+            if (!riddle) throw new ApiError(404, "Riddle not found");
+            throw new ApiError(409, `Riddle is not pending review (status: ${riddle.status || "approved"})`);
+        }
+
+        const after = await this.findById(id);
+        await recordRevisions([{ action: "moderate", before, after, by: moderator }]);
+
+        return after;
     }
 
     /**
      * Update riddle by ID
+     * Edits by non-admins (authors of unpublished riddles) send the riddle back to the moderation queue
+     *
+     * string id - Riddle ID
+     * Object updateData - Fields to change
+     * Object [editor] - User making the change (req.user)
+     * return Promise - Updated riddle document
+     * throw ApiError - 404 if the riddle is not found, 403 if a non-admin may not (or no longer) change it
      */
-    static async updateById(id, updateData) {
+    static async updateById(id, updateData, editor = null) {
         const collection = getRiddlesCollection();
 
         if (!ObjectId.isValid(id)) throw new ApiError(400, "Invalid riddle ID format");
 
-        const result = await collection.updateOne({ _id: new ObjectId(id) }, { $set: updateData });
+        const changes = { ...updateData };
+        if ("tags" in changes) changes.tags = Riddle.normalizeTags(changes.tags);
+        if ("category" in changes) changes.category = Riddle.normalizeCategory(changes.category);
+        if ("question" in changes) changes.questionKey = Riddle.questionKey(changes.question);
+
+        if (editor) {
+            changes.updatedBy = { id: editor.id, username: editor.username };
+            changes.updatedAt = new Date();
+            if (editor.role !== "admin") changes.status = "pending";
+        }
+
+        const before = await collection.findOneAndUpdate(
+            { _id: new ObjectId(id), ...changeableBy(editor) },
+            { $set: changes },
+            { returnDocument: "before" }
+        );
+
+        if (!before) throw await unchangeableError(collection, id);
 
-        if (result.matchedCount === 0) throw new ApiError(404, "Riddle not found");
+        const after = await this.findById(id);
+        await recordRevisions([{ action: "update", before, after, by: editor }]);
 
-        return await this.findById(id);
+        return after;
+    }
+
+    /**
+     * Add or replace a translation of a riddle
+     *
+     * string id - Riddle ID
+     * string locale - Locale of the translation
+     * Object translation - { question, answer, alternativeAnswers?, hints? }
+     * Object [editor] - Admin making the change (req.user)
+     * return Promise - { riddle, created } with the updated riddle document
+     * throw ApiError - If the ID or locale is invalid, the locale is the default one, or the riddle is not found
+     */
+    static async setTranslation(id, locale, translation, editor = null) {
+        const collection = getRiddlesCollection();
+
+        if (!ObjectId.isValid(id)) throw new ApiError(400, "Invalid riddle ID format");
+
+        const canonical = localeUtil.canonicalize(locale);
+        if (!canonical) throw new ApiError(400, `'${locale}' is not a valid language tag`);
+
+        const riddle = await this.findById(id);
+        if (!riddle) throw new ApiError(404, "Riddle not found");
+
+        if (canonical === (riddle.locale || localeUtil.DEFAULT_LOCALE))
+            throw new ApiError(400, `'${canonical}' is the riddle's default locale; edit it with PUT /riddles/${id}`);
+
+        const changes = {
+            [`translations.${canonical}`]: {
+                question: translation.question,
+                answer: translation.answer,
+                alternativeAnswers: translation.alternativeAnswers || [],
+                hints: translation.hints || [],
+            },
+        };
+        if (editor) {
+            changes.updatedBy = { id: editor.id, username: editor.username };
+            changes.updatedAt = new Date();
+        }
+
+        const before = await collection.findOneAndUpdate(
+            { _id: new ObjectId(id), ...NOT_DELETED_FILTER },
+            { $set: changes },
+            { returnDocument: "before" }
+        );
+
+        if (!before) throw new ApiError(404, "Riddle not found");
+
+        const after = await this.findById(id);
+        await recordRevisions([{ action: "update", before, after, by: editor }]);
+
+        return { riddle: after, created: !before.translations?.[canonical] };
     }
 
     /**
      * Delete riddle by ID
+     * The riddle is moved to the trash (soft deleted), so scores that refer to it stay valid;
+     * admins can restore it until it is purged
+     *
+     * string id - Riddle ID
+     * Object [deleter] - User deleting the riddle (req.user)
+     * return Promise - { deletedId, deletedAt }
+     * throw ApiError - 404 if the riddle is not found, 403 if a non-admin may not (or no longer) delete it
      */
-    static async deleteById(id) {
+    static async deleteById(id, deleter = null) {
         const collection = getRiddlesCollection();
 
         if (!ObjectId.isValid(id)) throw new ApiError(400, "Invalid riddle ID format");
 
-        const result = await collection.deleteOne({ _id: new ObjectId(id) });
+        const deletion = {
+            deletedAt: new Date(),
+            deletedBy: deleter ? { id: deleter.id, username: deleter.username } : null,
+        };
+
+        const before = await collection.findOneAndUpdate(
+            { _id: new ObjectId(id), ...changeableBy(deleter) },
+            { $set: deletion },
+            { returnDocument: "before" }
+        );
+
+        if (!before) throw await unchangeableError(collection, id);
+
+        await recordRevisions([{ action: "delete", before, after: { ...before, ...deletion }, by: deleter }]);
+
+        return { deletedId: id, deletedAt: deletion.deletedAt };
+    }
+
+    /**
+     * Take a riddle out of the trash
+     *
+     * string id - Riddle ID
+     * Object admin - Admin restoring the riddle (req.user)
+     * return Promise - Restored riddle document
+     * throw ApiError - If the riddle is not in the trash
+     */
+    static async undelete(id, admin) {
+        const collection = getRiddlesCollection();
+
+        if (!ObjectId.isValid(id)) throw new ApiError(400, "Invalid riddle ID format");
+
+        const before = await collection.findOneAndUpdate(
+            { _id: new ObjectId(id), ...DELETED_FILTER },
+            {
+                $set: {
+                    deletedAt: null,
+                    deletedBy: null,
+                    updatedBy: { id: admin.id, username: admin.username },
+                    updatedAt: new Date(),
+                },
+            },
+            { returnDocument: "before" }
+        );
+
+        if (!before) throw new ApiError(404, "Riddle not found in trash");
+
+        const after = await this.findById(id);
+        await recordRevisions([{ action: "undelete", before, after, by: admin }]);
+
+        return after;
+    }
+
+    /**
+     * Find riddles that have been in the trash since before a date
+     *
+     * Date before - Deletion cutoff
+     * number limit - Maximum number of riddles
+     * Object [after] - Last riddle of the previous page ({ _id, deletedAt }), to continue after it
+     * return Promise - Riddles ({ _id, deletedAt }), longest deleted first
+     */
+    static async findDeletedBefore(before, limit, after = null) {
+        const collection = getRiddlesCollection();
+        const filters = { deletedAt: { $ne: null, $lt: before } };
+
+        if (after) {
+            filters.$or = [
+                { deletedAt: { $gt: after.deletedAt } },
+                { deletedAt: after.deletedAt, _id: { $gt: after._id } },
+            ];
+        }
+
+        return await collection
+            .find(filters, { projection: { _id: 1, deletedAt: 1 } })
+            .sort({ deletedAt: 1, _id: 1 })
+            .limit(limit)
+            .toArray();
+    }
+
+    /**
+     * Permanently remove riddles from the trash
+     * Their revision history is kept, so a purged riddle can still be restored from a revision
+     *
+     * Array ids - Riddle IDs (ObjectId)
+     * return Promise - Number of riddles removed
+     */
+    static async purge(ids) {
+        const collection = getRiddlesCollection();
+        if (ids.length === 0) return 0;
+
+        const riddles = await collection.find({ _id: { $in: ids }, ...DELETED_FILTER }).toArray();
+        if (riddles.length === 0) return 0;
+
+        // Only riddles that are still in the trash (one could have been restored meanwhile)
+        const purgeIds = riddles.map((riddle) => riddle._id);
+        const result = await collection.deleteMany({ _id: { $in: purgeIds }, ...DELETED_FILTER });
+        await recordRevisions(riddles.map((before) => ({ action: "purge", before, after: null, by: null })));
+
+        return result.deletedCount;
+    }
+
+    /**
+     * Restore a riddle to one of its revisions
+     * Deleted (also purged) riddles come back with their original ID; the restore is itself a new revision
+     *
+     * string id - Riddle ID
+     * number revision - Revision number to go back to
+     * Object admin - Admin restoring the riddle (req.user)
+     * return Promise - Restored riddle document
+     * throw ApiError - If the revision does not exist
+     */
+    static async restoreRevision(id, revision, admin) {
+        const collection = getRiddlesCollection();
+
+        const target = await RiddleRevision.findByNumber(id, revision);
+        if (!target) throw new ApiError(404, "Revision not found");
+
+        // A restored riddle is live again, whatever state the revision captured
+        const { _id, updatedBy, updatedAt, deletedAt, deletedBy, ...content } = target.snapshot;
+        const document = {
+            ...new Riddle(content).toDocument(),
+            updatedBy: { id: admin.id, username: admin.username },
+            updatedAt: new Date(),
+        };
+
+        const before = await collection.findOneAndReplace({ _id }, document, {
+            upsert: true,
+            returnDocument: "before",
+        });
+        const after = { _id, ...document };
 
-        if (result.deletedCount === 0) throw new ApiError(404, "Riddle not found");
+        await recordRevisions([{ action: "restore", before, after, by: admin, restoredFrom: revision }]);
 
-        return { deletedId: id };
+        return after;
+    }
+
+    /**
+     * Store the question key on riddles created before duplicate detection existed
+     *
+     * return Promise - Number of riddles updated
+     */
+    static async backfillQuestionKeys() {
+        const collection = getRiddlesCollection();
+        const cursor = collection.find({ questionKey: { $exists: false } }, { projection: { question: 1 } });
+        let operations = [];
+        let updated = 0;
+
+        const flush = async () => {
+            if (operations.length === 0) return;
+            await collection.bulkWrite(operations, { ordered: false });
+            updated += operations.length;
+            operations = [];
+        };
+
+        for await (const riddle of cursor) {
+            operations.push({
+                updateOne: {
+                    filter: { _id: riddle._id },
+                    update: { $set: { questionKey: Riddle.questionKey(riddle.question) } },
+                },
+            });
+            if (operations.length >= BULK_BATCH_SIZE) await flush();
+        }
+        await flush();
+
+        return updated;
+    }
+
+    /**
+     * Find riddles by question key
+     * Riddles in the trash do not count as duplicates
+     *
+     * Array keys - Question keys (see Riddle.questionKey)
+     * return Promise - Map of question key to riddle ID (the oldest riddle if there are several)
+     */
+    static async findIdsByQuestionKeys(keys) {
+        const collection = getRiddlesCollection();
+        if (keys.length === 0) return new Map();
+
+        const riddles = await collection
+            .find({ questionKey: { $in: keys }, ...NOT_DELETED_FILTER }, { projection: { questionKey: 1 } })
+            .sort({ _id: -1 })
+            .toArray();
+
+        return new Map(riddles.map((riddle) => [riddle.questionKey, riddle._id]));
+    }
+
+    /**
+     * Find the levels of riddles, including riddles in the trash
+     *
+     * Array ids - Riddle IDs (invalid IDs are ignored)
+     * return Promise - Map of riddle ID (string) to level
+     */
+    static async findLevelsByIds(ids) {
+        const collection = getRiddlesCollection();
+        const objectIds = ids.filter((id) => ObjectId.isValid(id)).map((id) => new ObjectId(id));
+        if (objectIds.length === 0) return new Map();
+
+        const riddles = await collection
+            .find({ _id: { $in: objectIds } }, { projection: { level: 1 } })
+            .toArray();
+
+        return new Map(riddles.map((riddle) => [riddle._id.toString(), riddle.level]));
+    }
+
+    /**
+     * Iterate over riddles in a stable (_id) order without loading them all
+     * Riddles in the trash are left out
+     *
+     * Object [filters] - MongoDB query filters
+     * return FindCursor - Async iterable cursor of riddle documents
+     */
+    static findCursor(filters = {}) {
+        const collection = getRiddlesCollection();
+
+        return collection
+            .find({ ...filters, ...NOT_DELETED_FILTER })
+            .sort({ _id: 1 })
+            .batchSize(BULK_BATCH_SIZE);
+    }
+
+    /**
+     * Insert new riddles and overwrite existing ones in one round trip
+     *
+     * Array inserts - Riddle data to insert
+     * Array updates - { id, data } with the riddle fields to overwrite (fields left out keep their value)
+     * Object [importer] - User running the import (req.user)
+     * return Promise - { inserted, updated }
+     */
+    static async bulkImport(inserts, updates, importer = null) {
+        const collection = getRiddlesCollection();
+        const by = importer ? { id: importer.id, username: importer.username } : null;
+        const now = new Date();
+
+        if (inserts.length === 0 && updates.length === 0) return { inserted: 0, updated: 0 };
+
+        // IDs are assigned up front so the revisions can refer to the new riddles
+        const created = inserts.map((data) => ({
+            _id: new ObjectId(),
+            ...new Riddle({ ...data, createdBy: by }).toDocument(),
+        }));
+        const changed = updates.map(({ id, data }) => {
+            // Only the fields given are overwritten (normalized like new riddles); anything else, such as the
+            // status, locale, authorship and translations, stays with the existing riddle
+            const document = new Riddle(data).toDocument();
+            const given = Object.keys(data).filter((field) => field in document);
+            const fields = Object.fromEntries(given.map((field) => [field, document[field]]));
+
+            return { id, fields: { ...fields, questionKey: document.questionKey, updatedBy: by, updatedAt: now } };
+        });
+
+        const previous =
+            changed.length > 0 ? await collection.find({ _id: { $in: changed.map(({ id }) => id) } }).toArray() : [];
+
+        const result = await collection.bulkWrite(
+            [
+                ...created.map((document) => ({ insertOne: { document } })),
+                ...changed.map(({ id, fields }) => ({ updateOne: { filter: { _id: id }, update: { $set: fields } } })),
+            ],
+            { ordered: false }
+        );
+
+        const updatedFields = new Map(changed.map(({ id, fields }) => [id.toString(), fields]));
+        await recordRevisions([
+            ...created.map((after) => ({ action: "create", before: null, after, by: importer })),
+            ...previous.map((before) => ({
+                action: "update",
+                before,
+                after: { ...before, ...updatedFields.get(before._id.toString()) },
+                by: importer,
+            })),
+        ]);
+
+        return { inserted: result.insertedCount, updated: result.modifiedCount };
     }
 
     /**
      * Batch insert riddles for initial setup
+     * Riddles whose question already exists (or repeats within the batch) are skipped, so seeds can be re-run
+     *
+     * Array riddles - Riddle data
+     * Object [loader] - User loading the riddles (req.user), recorded in the revision history
+     * return Promise - { success, inserted, skipped, ids }
      */
-    static async loadInitial(riddles) {
+    static async loadInitial(riddles, loader = null) {
         const collection = getRiddlesCollection();
 
         if (!Array.isArray(riddles) || riddles.length === 0)
             throw new ApiError(400, "Invalid riddles data. Expected non-empty array");
 
+        await Riddle.backfillQuestionKeys();
+
         const documents = riddles.map((riddle) => new Riddle(riddle).toDocument());
-        const result = await collection.insertMany(documents);
+        const existing = await Riddle.findIdsByQuestionKeys([...new Set(documents.map((doc) => doc.questionKey))]);
+        const seen = new Set(existing.keys());
+        const fresh = documents.filter((doc) => !seen.has(doc.questionKey) && seen.add(doc.questionKey));
+
+        const result = fresh.length > 0 ? await collection.insertMany(fresh) : { insertedCount: 0, insertedIds: {} };
+
+        // insertMany sets _id on the inserted documents
+        await recordRevisions(fresh.map((after) => ({ action: "create", before: null, after, by: loader })));
 
         return {
             success: true,
             inserted: result.insertedCount,
+            skipped: documents.length - fresh.length,
             ids: result.insertedIds,
         };
     }
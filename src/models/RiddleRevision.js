@@ -0,0 +1,211 @@
+/**
+ * Riddle Revision Model
+ * MongoDB-based model for the change history of riddles
+ */
+import { ObjectId } from 'mongodb';
+import { getRiddleRevisionsCollection } from '../db/mongodb.js';
+import { ApiError } from '../middleware/errorHandler.js';
+import pagination from '../utils/pagination.js';
+
+// Bookkeeping fields that are not shown in diffs (every change would list them)
+const UNTRACKED_FIELDS = ["_id", "questionKey", "updatedBy", "updatedAt"];
+
+// Attempts at numbering a revision when concurrent changes take the same number
+const MAX_NUMBERING_ATTEMPTS = 3;
+
+/**
+ * Creates a new RiddleRevision instance.
+ * Object data
+ * string|ObjectId data.riddleId - Riddle the revision belongs to.
+ * number data.revision - Revision number, counting from 1 per riddle.
+ * string data.action - create, update, moderate, delete, undelete, restore, purge or baseline (the state of a
+ *   riddle from before revisions were recorded, stored ahead of its first recorded change).
+ * Array [data.changes=[]] - Field-level diff ({ field, from, to }).
+ * Object data.snapshot - The riddle after the change (before it, for purges), so it can be restored.
+ * number [data.restoredFrom] - Revision number a restore went back to.
+ * Object [data.by] - User who made the change ({ id, username }).
+ * Date [data.createdAt] - Revision timestamp.
+ */
+class RiddleRevision {
+    constructor(data) {
+        this.riddleId = new ObjectId(data.riddleId);
+        this.revision = data.revision;
+        this.action = data.action;
+        this.changes = data.changes || [];
+        this.snapshot = data.snapshot;
+        this.restoredFrom = data.restoredFrom ?? null;
+        this.by = data.by || null;
+        this.createdAt = data.createdAt || new Date();
+    }
+
+    /**
+     * Convert to MongoDB document
+     */
+    toDocument() {
+        return {
+            riddleId: this.riddleId,
+            revision: this.revision,
+            action: this.action,
+            changes: this.changes,
+            snapshot: this.snapshot,
+            restoredFrom: this.restoredFrom,
+            by: this.by,
+            createdAt: this.createdAt,
+        };
+    }
+
+    /**
+     * Field-level diff between two versions of a riddle
+     *
+     * Object|null before - Riddle before the change (null when created)
+     * Object|null after - Riddle after the change (null when purged)
+     * return Array - { field, from, to } for every changed field
+     */
+    static diff(before, after) {
+        const fields = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+        const changes = [];
+
+        for (const field of fields) {
+            if (UNTRACKED_FIELDS.includes(field)) continue;
+
+            const from = before?.[field] ?? null;
+            const to = after?.[field] ?? null;
+            if (JSON.stringify(from) !== JSON.stringify(to)) changes.push({ field, from, to });
+        }
+
+        return changes;
+    }
+
+    // Static Methods for Database Operations
+
+    /**
+     * Get the latest revision number of riddles
+     *
+     * Array riddleIds - Riddle IDs (ObjectId)
+     * return Promise - Map of riddle ID string to its latest revision number
+     */
+    static async findLatestNumbers(riddleIds) {
+        const collection = getRiddleRevisionsCollection();
+
+        const latest = await collection
+            .aggregate([
+                { $match: { riddleId: { $in: riddleIds } } },
+                { $group: { _id: "$riddleId", revision: { $max: "$revision" } } },
+            ])
+            .toArray();
+
+        return new Map(latest.map((entry) => [entry._id.toString(), entry.revision]));
+    }
+
+    /**
+     * Record changes to riddles
+     * Revisions are numbered after the latest one of their riddle; numbers taken by a concurrent
+     * change (unique index) are retried. The first recorded change to a riddle that existed before
+     * revisions were recorded is preceded by a baseline revision of its previous state, so it can be restored.
+     *
+     * Array entries - { action, before, after, by, restoredFrom? } with before/after riddle documents
+     * return Promise - Resolves when the revisions are stored
+     */
+    static async record(entries) {
+        const collection = getRiddleRevisionsCollection();
+        let pending = entries;
+
+        for (let attempt = 1; pending.length > 0; attempt++) {
+            const riddleIds = pending.map(({ before, after }) => (after ?? before)._id);
+            const latest = await RiddleRevision.findLatestNumbers(riddleIds);
+            const documents = [];
+            const sources = []; // Entry of each document (null for baselines)
+
+            const add = (entry, data) => {
+                const riddleId = data.snapshot._id;
+                const revision = (latest.get(riddleId.toString()) || 0) + 1;
+                latest.set(riddleId.toString(), revision);
+
+                documents.push(new RiddleRevision({ riddleId, revision, ...data }).toDocument());
+                sources.push(entry);
+            };
+
+            for (const entry of pending) {
+                const { action, before, after, by, restoredFrom } = entry;
+
+                if (before && !latest.has(before._id.toString())) {
+                    add(null, {
+                        action: "baseline",
+                        snapshot: before,
+                        createdAt: before.updatedAt ?? before.createdAt,
+                    });
+                }
+
+                add(entry, {
+                    action,
+                    changes: RiddleRevision.diff(before, after),
+                    snapshot: after ?? before,
+                    restoredFrom,
+                    by: by ? { id: by.id, username: by.username } : null,
+                });
+            }
+
+            try {
+                await collection.insertMany(documents, { ordered: false });
+                return;
+            } catch (error) {
+                const writeErrors = error.writeErrors ?? [];
+                const conflicts = writeErrors.filter((writeError) => writeError.code === 11000);
+
+                const retryable = conflicts.length > 0 && conflicts.length === writeErrors.length;
+                if (!retryable || attempt >= MAX_NUMBERING_ATTEMPTS) throw error;
+
+                // A conflicting baseline means a concurrent change already recorded one
+                pending = conflicts.map((conflict) => sources[conflict.index]).filter(Boolean);
+            }
+        }
+    }
+
+    /**
+     * Get a page of a riddle's revisions, newest first
+     * Snapshots are left out; the diffs describe each change
+     *
+     * string riddleId - Riddle ID
+     * Object options - Pagination options
+     * number options.limit - Page size
+     * Object [options.cursor] - Decoded cursor of the previous page
+     * return Promise - { items, hasMore, nextCursor }
+     * throw ApiError - If the riddle ID or cursor is invalid
+     */
+    static async findPage(riddleId, options) {
+        const collection = getRiddleRevisionsCollection();
+        const { limit, cursor = null } = options;
+
+        if (!ObjectId.isValid(riddleId)) throw new ApiError(400, "Invalid riddle ID format");
+        if (cursor && !Number.isInteger(cursor.r)) throw new ApiError(400, "Invalid pagination cursor");
+
+        const filters = { riddleId: new ObjectId(riddleId) };
+        if (cursor) filters.revision = { $lt: cursor.r };
+
+        const rows = await collection
+            .find(filters, { projection: { snapshot: 0 } })
+            .sort({ revision: -1 })
+            .limit(limit + 1)
+            .toArray();
+
+        return pagination.buildPage(rows, limit, (last) => ({ r: last.revision }));
+    }
+
+    /**
+     * Find one revision of a riddle
+     *
+     * string riddleId - Riddle ID
+     * number revision - Revision number
+     * return Promise - Revision document or null
+     * throw ApiError - If the riddle ID is invalid
+     */
+    static async findByNumber(riddleId, revision) {
+        const collection = getRiddleRevisionsCollection();
+
+        if (!ObjectId.isValid(riddleId)) throw new ApiError(400, "Invalid riddle ID format");
+
+        return await collection.findOne({ riddleId: new ObjectId(riddleId), revision });
+    }
+}
+
+export default RiddleRevision;
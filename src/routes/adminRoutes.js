@@ -0,0 +1,17 @@
+/**
+ * Admin Routes
+ * Every route requires admin authentication (and is therefore recorded in the audit log)
+ */
+import express from 'express';
+import * as adminController from '../controllers/adminController.js';
+import { authenticate, requireAdmin } from '../middleware/authMiddleware.js';
+
+const router = express.Router();
+
+// Get the audit log of admin actions - requires admin authentication only
+router.get("/audit", authenticate(), requireAdmin(), adminController.getAuditLog);
+
+// Export the audit log as JSON, NDJSON or CSV - requires admin authentication only
+router.get("/audit/export", authenticate(), requireAdmin(), adminController.exportAuditLog);
+
+export default router;
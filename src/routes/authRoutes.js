@@ -6,18 +6,38 @@
 import express from "express";
 import authController from "../controllers/authController.js";
 import { authenticate, requireAdmin } from "../middleware/authMiddleware.js";
+import rateLimit from "../middleware/rateLimiter.js";
+import loginAttemptService from "../services/loginAttemptService.js";
 
 const router = express.Router();
 
+// Per-IP rate limits for credential endpoints
+const loginLimiter = rateLimit({
+    name: "login",
+    windowMs: parseInt(process.env.LOGIN_RATE_LIMIT_WINDOW_MS || "900000", 10), // 15 minutes
+    max: parseInt(process.env.LOGIN_RATE_LIMIT_MAX || "20", 10),
+    message: "Too many login attempts from this IP. Please try again later",
+});
+
+const registerLimiter = rateLimit({
+    name: "register",
+    windowMs: parseInt(process.env.REGISTER_RATE_LIMIT_WINDOW_MS || "3600000", 10), // 1 hour
+    max: parseInt(process.env.REGISTER_RATE_LIMIT_MAX || "5", 10),
+    message: "Too many registrations from this IP. Please try again later",
+});
+
 /**
  * Public authentication routes (no authentication required)
  */
 
 // User registration
-router.post("/register", authController.register);
+router.post("/register", registerLimiter, authController.register);
 
 // User login
-router.post("/login", authController.login);
+router.post("/login", loginLimiter, authController.login);
+
+// Exchange a refresh token for new tokens
+router.post("/refresh", authController.refresh);
 
 /**
  * Protected authentication routes (authentication required)
@@ -29,10 +49,13 @@ router.get("/profile", authenticate(), authController.getProfile);
 // Validate current token
 router.post("/validate", authenticate(), authController.validateToken);
 
-// Logout (for logging purposes)
+// Logout (revokes the current tokens)
 router.post("/logout", authenticate(), authController.logout);
 
-// Change password (bonus feature)
+// Logout from all devices
+router.post("/logout-all", authenticate(), authController.logoutAll);
+
+// Change password (logs out other sessions)
 router.put("/change-password", authenticate(), authController.changePassword);
 
 /**
@@ -42,4 +65,12 @@ router.put("/change-password", authenticate(), authController.changePassword);
 // Get authentication statistics
 router.get("/stats", authenticate(), requireAdmin(), authController.getAuthStats);
 
+// Clear a login lockout
+router.delete(
+    "/lockouts/:username",
+    authenticate(),
+    requireAdmin((req) => loginAttemptService.getState(req.params.username)),
+    authController.clearLockout
+);
+
 export default router;
\ No newline at end of file
@@ -4,23 +4,50 @@
  */
 import express from 'express';
 import playersController from '../controllers/playersController.js';
-import { optionalAuth, authenticate, authorize } from '../middleware/authMiddleware.js';
+import Player from '../models/Player.js';
+import { optionalAuth, authenticate, authorize, requireAdmin } from '../middleware/authMiddleware.js';
+import validate from '../middleware/validate.js';
+import playerSchemas from '../validators/playerSchemas.js';
 
 const router = express.Router();
 
+// The player an admin acts on, as it was before (also from the trash), for the audit log
+const loadPlayer = (req) => Player.findByUsername(req.params.username, { includeDeleted: true });
+
 // Get all players - admin only
 router.get("/", authenticate(), authorize("admin"), playersController.getAllPlayers);
 
-// Get leaderboard - public access
-router.get("/leaderboard", playersController.getLeaderboard);
+// Get deleted players (the trash) - admin only
+router.get("/trash", authenticate(), authorize("admin"), playersController.getPlayerTrash);
+
+// Get leaderboard - public access (optional authentication adds the caller's own rank)
+router.get("/leaderboard", optionalAuth(), playersController.getLeaderboard);
+
+// Stream leaderboard updates (Server-Sent Events) - public access
+router.get("/leaderboard/stream", playersController.streamLeaderboard);
 
 // Create a new player - public access
-router.post("/", playersController.createPlayer);
+router.post("/", validate(playerSchemas.createPlayer), playersController.createPlayer);
+
+// Get riddles contributed by a player - public access (optional authentication shows unpublished ones)
+router.get("/:username/riddles", optionalAuth(), playersController.getPlayerRiddles);
 
 // Get player by username - optional authentication (better experience for authenticated users)
 router.get("/:username", optionalAuth(), playersController.getPlayerByUsername);
 
-// Submit a score - public access (anyone can play)
-router.post("/submit-score", playersController.submitScore);
+// Move a player to the trash - admin only
+router.delete("/:username", authenticate(), requireAdmin(loadPlayer), playersController.deletePlayer);
+
+// Restore a deleted player from the trash - admin only
+router.post("/:username/restore", authenticate(), requireAdmin(loadPlayer), playersController.restorePlayer);
+
+// Submit a score - requires user or admin authentication (guests play anonymous sessions instead)
+router.post(
+    "/submit-score",
+    authenticate(),
+    authorize("user", "admin"),
+    validate(playerSchemas.submitScore),
+    playersController.submitScore
+);
 
 export default router;
\ No newline at end of file
@@ -4,29 +4,153 @@
  */
 import express from 'express';
 import riddlesController from '../controllers/riddlesController.js';
-import { authenticate, requireUserOrAdmin, requireAdmin } from '../middleware/authMiddleware.js';
+import Riddle from '../models/Riddle.js';
+import DailyRiddle from '../models/DailyRiddle.js';
+import {
+    authenticate,
+    optionalAuth,
+    requireUserOrAdmin,
+    requireAdmin,
+    requireOwnerOrAdmin,
+} from '../middleware/authMiddleware.js';
+import validate from '../middleware/validate.js';
+import rateLimit, { ANSWER_RATE_LIMIT } from '../middleware/rateLimiter.js';
+import riddleSchemas from '../validators/riddleSchemas.js';
 
 const router = express.Router();
 
+// Per-IP rate limit for answer checks, so the public endpoint cannot be used to brute-force answers
+const answerLimiter = rateLimit(ANSWER_RATE_LIMIT);
+
+// The riddle an admin acts on, as it was before (also from the trash), for the audit log
+const loadRiddle = (req) => Riddle.findById(req.params.id, { includeDeleted: true });
+
+// Authors may change their own riddles until they are published
+const requireRiddleAuthorOrAdmin = () =>
+    requireOwnerOrAdmin((req) => Riddle.findById(req.params.id), {
+        getOwnerId: (riddle) => riddle.createdBy?.id,
+        canOwnerAct: (riddle) => !Riddle.isPublished(riddle),
+        deniedMessage: "Published riddles can only be changed by an admin",
+    });
+
 // Get all riddles - requires user or admin authentication
 router.get("/", authenticate(), requireUserOrAdmin(), riddlesController.getAllRiddles);
 
-// Get random riddle - public access (anyone can play)
-router.get("/random", riddlesController.getRandomRiddle);
+// Get riddle counts per tag and category - requires user or admin authentication
+router.get("/tags", authenticate(), requireUserOrAdmin(), riddlesController.getRiddleFacets);
+
+// Get the moderation queue - requires admin authentication only
+router.get("/moderation", authenticate(), requireAdmin(), riddlesController.getModerationQueue);
+
+// Get deleted riddles (the trash) - requires admin authentication only
+router.get("/trash", authenticate(), requireAdmin(), riddlesController.getRiddleTrash);
+
+// Export riddles as JSON, NDJSON or CSV - requires admin authentication only
+router.get("/export", authenticate(), requireAdmin(), riddlesController.exportRiddles);
+
+// Get own submitted riddles and their moderation status - requires user or admin authentication
+router.get("/mine", authenticate(), requireUserOrAdmin(), riddlesController.getMyRiddles);
+
+// Get random riddle - public access (anyone can play), players get unsolved riddles, answer only included for admins
+router.get("/random", optionalAuth(), riddlesController.getRandomRiddle);
+
+// Get today's daily riddle - public access (optional authentication shows own attempt)
+router.get("/daily", optionalAuth(), riddlesController.getDailyRiddle);
+
+// Get a daily riddle leaderboard - public access (optional authentication adds own rank)
+router.get("/daily/leaderboard", optionalAuth(), riddlesController.getDailyLeaderboard);
+
+// Pin a riddle for a future date - requires admin authentication only
+router.put(
+    "/daily/:date",
+    authenticate(),
+    requireAdmin((req) => DailyRiddle.findByDate(req.params.date)),
+    validate(riddleSchemas.pinDailyRiddle),
+    riddlesController.pinDailyRiddle
+);
+
+// Get the revision history of a riddle - requires admin, or the riddle's author
+router.get(
+    "/:id/history",
+    authenticate(),
+    requireUserOrAdmin(),
+    requireOwnerOrAdmin((req) => Riddle.findById(req.params.id), { getOwnerId: (riddle) => riddle.createdBy?.id }),
+    riddlesController.getRiddleHistory
+);
+
+// Restore a riddle to a previous revision - requires admin authentication only
+router.post(
+    "/:id/history/:revision/restore",
+    authenticate(),
+    requireAdmin(loadRiddle),
+    riddlesController.restoreRiddleRevision
+);
+
+// Add or replace a translation of a riddle - requires admin authentication only
+router.put(
+    "/:id/translations/:locale",
+    authenticate(),
+    requireAdmin(loadRiddle),
+    validate(riddleSchemas.setTranslation),
+    riddlesController.setRiddleTranslation
+);
+
+// Restore a deleted riddle from the trash - requires admin authentication only
+router.post("/:id/restore", authenticate(), requireAdmin(loadRiddle), riddlesController.restoreRiddle);
 
 // Get riddle by ID - requires user or admin authentication
 router.get("/:id", authenticate(), requireUserOrAdmin(), riddlesController.getRiddleById);
 
-// Create a new riddle - requires user or admin authentication
-router.post("/", authenticate(), requireUserOrAdmin(), riddlesController.createRiddle);
+// Check an answer - public access (anyone can play)
+router.post("/:id/answer", answerLimiter, validate(riddleSchemas.checkAnswer), riddlesController.checkAnswer);
+
+// Create a new riddle - requires user or admin authentication (users' riddles await review)
+router.post(
+    "/",
+    authenticate(),
+    requireUserOrAdmin(),
+    validate(riddleSchemas.createRiddle),
+    riddlesController.createRiddle
+);
 
-// Update a riddle - requires admin authentication only
-router.put("/:id", authenticate(), requireAdmin(), riddlesController.updateRiddle);
+// Review a pending riddle (approve, reject, request changes) - requires admin authentication only
+router.post(
+    "/:id/moderation",
+    authenticate(),
+    requireAdmin(loadRiddle),
+    validate(riddleSchemas.moderateRiddle),
+    riddlesController.moderateRiddle
+);
 
-// Delete a riddle - requires admin authentication only
-router.delete("/:id", authenticate(), requireAdmin(), riddlesController.deleteRiddle);
+// Update a riddle - requires admin, or the author while unpublished
+router.put(
+    "/:id",
+    authenticate(),
+    requireUserOrAdmin(),
+    requireRiddleAuthorOrAdmin(),
+    validate(riddleSchemas.updateRiddle),
+    riddlesController.updateRiddle
+);
+
+// Delete a riddle - requires admin, or the author while unpublished
+router.delete(
+    "/:id",
+    authenticate(),
+    requireUserOrAdmin(),
+    requireRiddleAuthorOrAdmin(),
+    riddlesController.deleteRiddle
+);
 
 // Load initial riddles - requires admin authentication only
-router.post("/load-initial", authenticate(), requireAdmin(), riddlesController.loadInitialRiddles);
+router.post(
+    "/load-initial",
+    authenticate(),
+    requireAdmin(),
+    validate(riddleSchemas.loadInitialRiddles),
+    riddlesController.loadInitialRiddles
+);
+
+// Import riddles from a JSON, NDJSON or CSV upload - requires admin authentication only
+router.post("/import", authenticate(), requireAdmin(), riddlesController.importRiddles);
 
 export default router;
\ No newline at end of file
@@ -12,27 +12,63 @@ router.get("/", (req, res) => {
         features: {
             databases: "MongoDB for Riddles and Supabase (postgres) for Players",
             riddles: [
-                "GET /riddles - Get all riddles (requires user/admin auth)",
-                "GET /riddles/random - Get random riddle (public)",
-                "GET /riddles/:id - Get riddle by ID (requires user/admin auth)",
-                "POST /riddles - Create new riddle (requires user/admin auth)",
-                "PUT /riddles/:id - Update riddle (requires admin auth)",
-                "DELETE /riddles/:id - Delete riddle (requires admin auth)",
-                "POST /riddles/load-initial - Load initial riddles (requires admin auth)",
+                "GET /riddles - Search riddles by q, level, category, tags with sort (requires user/admin auth)",
+                "GET /riddles/tags - Get riddle counts per tag and category (requires user/admin auth)",
+                "GET /riddles/random?level=&tag=&exclude=&adaptive= - Get an unsolved random riddle (optional auth)",
+                "GET /riddles/daily - Get today's daily riddle (optional auth)",
+                "GET /riddles/daily/leaderboard?date= - Get a daily riddle leaderboard (optional auth)",
+                "PUT /riddles/daily/:date - Pin a riddle for a future date (requires admin auth)",
+                "GET /riddles/:id?lang= - Get riddle by ID, translated where available (requires user/admin auth)",
+                "POST /riddles/:id/answer - Check an answer (public)",
+                "POST /riddles - Create new riddle, pending review unless admin (requires user/admin auth)",
+                "GET /riddles/mine - Get own submissions and their status (requires user/admin auth)",
+                "GET /riddles/moderation - Get the moderation queue (requires admin auth)",
+                "POST /riddles/:id/moderation - Approve, reject or request changes (requires admin auth)",
+                "PUT /riddles/:id/translations/:locale - Add or update a translation (requires admin auth)",
+                "PUT /riddles/:id - Update riddle (requires admin auth, or author while unpublished)",
+                "DELETE /riddles/:id - Move riddle to the trash (requires admin auth, or author while unpublished)",
+                "GET /riddles/trash - Get deleted riddles (requires admin auth)",
+                "POST /riddles/:id/restore - Restore a deleted riddle from the trash (requires admin auth)",
+                "GET /riddles/:id/history - Get a riddle's revision history (requires admin auth or authorship)",
+                "POST /riddles/:id/history/:revision/restore - Restore a riddle revision (requires admin auth)",
+                "POST /riddles/load-initial - Load initial riddles, skipping duplicates (requires admin auth)",
+                "GET /riddles/export?format=json|ndjson|csv - Export riddles (requires admin auth)",
+                "POST /riddles/import?format=&mode=skip|upsert&dryRun= - Import riddles (requires admin auth)",
             ],
             players: [
-                "GET /players/leaderboard - Get leaderboard (public)",
+                "GET /players/leaderboard?by=&period=&level= - Get leaderboard with own rank (optional auth)",
+                "GET /players/leaderboard/stream?by=&period=&level= - Stream leaderboard updates (SSE)",
                 "POST /players - Create player (public)",
                 "GET /players/:username - Get player stats (optional auth)",
-                "POST /players/submit-score - Submit score (public)",
+                "GET /players/:username/riddles - Get riddles contributed by a player (optional auth)",
+                "DELETE /players/:username - Move player to the trash (requires admin auth)",
+                "GET /players/trash - Get deleted players (requires admin auth)",
+                "POST /players/:username/restore - Restore a deleted player from the trash (requires admin auth)",
+                "POST /players/submit-score - Finish a game session and submit its score (requires user/admin auth)",
+            ],
+            sessions: [
+                "POST /sessions - Start a timed game session (ranked or daily requires auth, guests play anonymously)",
+                "POST /sessions/:id/hint - Reveal the next hint, adds a time penalty (requires session owner)",
+                "POST /sessions/:id/answer - Answer the session riddle (requires session owner or session token)",
+            ],
+            rooms: [
+                "WS /ws/rooms?token= - Multiplayer rooms: create_room, join_room, start_game, answer (requires auth)",
             ],
             auth: [
                 "POST /auth/register - Register new user",
                 "POST /auth/login - Login user",
+                "POST /auth/refresh - Exchange a refresh token for new tokens",
                 "GET /auth/profile - Get user profile (requires auth)",
                 "POST /auth/validate - Validate token (requires auth)",
-                "POST /auth/logout - Logout (requires auth)",
+                "POST /auth/logout - Logout and revoke tokens (requires auth)",
+                "POST /auth/logout-all - Logout from all devices (requires auth)",
+                "PUT /auth/change-password - Change password and logout other sessions (requires auth)",
                 "GET /auth/stats - Get auth stats (admin only)",
+                "DELETE /auth/lockouts/:username - Clear a login lockout (admin only)",
+            ],
+            admin: [
+                "GET /admin/audit?actor=&action=&outcome=&from=&to= - Get the audit log of admin actions (admin only)",
+                "GET /admin/audit/export?format=json|ndjson|csv - Export the audit log (admin only)",
             ],
             system: ["GET /health - Health check"],
         },
@@ -0,0 +1,23 @@
+/**
+ * Game Sessions Routes
+ * Ranked sessions are bound to the authenticated player who started them,
+ * anonymous sessions to the session token handed out when they started
+ */
+import express from 'express';
+import * as sessionsController from '../controllers/sessionsController.js';
+import { optionalAuth } from '../middleware/authMiddleware.js';
+import validate from '../middleware/validate.js';
+import playerSchemas from '../validators/playerSchemas.js';
+
+const router = express.Router();
+
+// Start a game session - ranked play requires authentication, guests play anonymously
+router.post("/", optionalAuth(), validate(playerSchemas.startSession), sessionsController.startSession);
+
+// Reveal the next hint - requires the session owner (player or session token)
+router.post("/:id/hint", optionalAuth(), validate(playerSchemas.sessionHint), sessionsController.revealHint);
+
+// Answer the session's riddle - requires the session owner (player or session token)
+router.post("/:id/answer", optionalAuth(), validate(playerSchemas.sessionAnswer), sessionsController.submitAnswer);
+
+export default router;
@@ -10,6 +10,7 @@ config({ quiet: true });
 // Import middleware
 import { globalErrorHandler } from './middleware/errorHandler.js';
 import requestLogger from './middleware/requestLogger.js';
+import requestId from './middleware/requestId.js';
 
 // Create Express application
 const app = express();
@@ -23,11 +24,16 @@ app.use(
     cors({
         origin: process.env.ALLOWED_ORIGINS?.split(",") || ["http://localhost:3000"],
         methods: ["GET", "POST", "PUT", "DELETE"],
+        exposedHeaders: ["X-Request-Id"],
     })
 );
 
-// Basic middleware
-app.use(express.json({ limit: "10mb" }));
+// Request IDs (logs, error responses and the audit log refer to them)
+app.use(requestId);
+
+// Basic middleware (riddle imports read their own body as a stream, see services/riddleTransferService.js)
+const isStreamedUpload = (req) => req.method === "POST" && req.path === "/riddles/import";
+app.use(express.json({ limit: "10mb", type: (req) => !isStreamedUpload(req) && Boolean(req.is("application/json")) }));
 app.use(express.urlencoded({ extended: true, limit: "10mb" }));
 
 // Request logger
@@ -38,11 +44,15 @@ import rootRoutes from './routes/rootRoutes.js';
 import riddlesRoutes from './routes/riddlesRoutes.js';
 import playersRoutes from './routes/playersRoutes.js';
 import authRoutes from './routes/authRoutes.js';
+import sessionsRoutes from './routes/sessionsRoutes.js';
+import adminRoutes from './routes/adminRoutes.js';
 
 app.use("/", rootRoutes);
 app.use("/riddles", riddlesRoutes);
 app.use("/players", playersRoutes);
 app.use("/auth", authRoutes);
+app.use("/sessions", sessionsRoutes);
+app.use("/admin", adminRoutes);
 
 // Health check endpoint
 app.get("/health", (req, res) => {
@@ -0,0 +1,208 @@
+/**
+ * Audit Service
+ * Records every admin action in the append-only audit log and reads it back
+ *
+ * Tracking starts in the authorization middleware once an admin passes an admin-only check (or acts on
+ * someone else's resource), so routes are covered without extra wiring. The entry is written when the
+ * response has been sent: it holds the actor, the route, the target, the status, and summaries of the
+ * request body, the resource before the action (where the middleware loaded it) and the response data.
+ */
+import AuditLog from "../models/AuditLog.js";
+import recordStream from "../utils/recordStream.js";
+import responseStream from "../utils/responseStream.js";
+import { ApiError } from "../middleware/errorHandler.js";
+
+// Configuration constants
+const MAX_SUMMARY_FIELDS = 20;
+const MAX_STRING_LENGTH = 200;
+const SENSITIVE_FIELDS = ["password", "currentPassword", "newPassword", "password_hash", "token", "refreshToken"];
+const TARGET_PARAMS = ["id", "username", "date"]; // Route parameters naming the resource acted on
+const EXPORT_FIELDS = [
+    "createdAt",
+    "requestId",
+    "clientRequestId",
+    "actorId",
+    "actorUsername",
+    "action",
+    "path",
+    "targetId",
+    "statusCode",
+    "outcome",
+    "ip",
+    "input",
+    "before",
+    "after",
+];
+
+/**
+ * Reduce a value to a small, log-friendly summary
+ * Long strings are cut, lists become counts, nested objects with an ID are reduced to it, deeper
+ * nesting is dropped and secrets are left out
+ *
+ * any value - Value to summarize
+ * number [depth=0] - Nesting level (internal)
+ * return any - Summary, or null for empty values
+ */
+function summarize(value, depth = 0) {
+    if (value === undefined || value === null) return null;
+    if (value instanceof Date) return value.toISOString();
+    if (value?._bsontype === "ObjectId") return value.toString();
+    if (typeof value === "string")
+        return value.length > MAX_STRING_LENGTH ? `${value.slice(0, MAX_STRING_LENGTH)}…` : value;
+    if (typeof value !== "object") return value;
+    if (Array.isArray(value)) return depth === 0 ? { count: value.length } : value.length;
+
+    const id = value._id ?? value.id;
+    if (depth > 0 && id !== undefined) return summarize(id, depth + 1);
+    if (depth > 1) return null;
+
+    const summary = {};
+    for (const [field, fieldValue] of Object.entries(value).slice(0, MAX_SUMMARY_FIELDS)) {
+        if (SENSITIVE_FIELDS.includes(field)) continue;
+        summary[field] = summarize(fieldValue, depth + 1);
+    }
+
+    return summary;
+}
+
+/**
+ * Start tracking an admin request; the audit entry is written once the response is finished
+ * Tracking the same request again only adds a missing "before" summary
+ *
+ * Request req - Request of an authenticated admin
+ * Response res - Response
+ * Object [options] - Tracking options
+ * any [options.before] - The resource before the action
+ */
+function track(req, res, options = {}) {
+    const { before } = options;
+
+    if (req.audit) {
+        if (before !== undefined && req.audit.before === null) req.audit.before = summarize(before);
+        return;
+    }
+
+    // Captured now: the route and parameters are only set while the route is running
+    const targetParam = TARGET_PARAMS.find((name) => req.params?.[name] !== undefined);
+    const { token, ...query } = req.query || {}; // Access tokens may be passed as ?token=
+
+    req.audit = {
+        action: `${req.method} ${req.baseUrl}${req.route?.path ?? req.path}`,
+        path: `${req.baseUrl}${req.path}`,
+        targetId: targetParam ? String(req.params[targetParam]) : null,
+        params: { ...req.params },
+        query,
+        input: req.body && Object.keys(req.body).length > 0 ? summarize(req.body) : null,
+        before: before === undefined ? null : summarize(before),
+        after: null,
+    };
+
+    // Capture the response data (or error) as the "after" summary
+    const json = res.json.bind(res);
+    res.json = (body) => {
+        req.audit.after = summarize(body?.success === false ? { error: body.error } : body?.data);
+        return json(body);
+    };
+
+    let written = false;
+    const write = () => {
+        if (written) return;
+        written = true;
+
+        AuditLog.append({
+            requestId: req.id,
+            clientRequestId: req.clientRequestId ?? null,
+            actor: { id: req.user.id, username: req.user.username, role: req.user.role },
+            action: req.audit.action,
+            path: req.audit.path,
+            targetId: req.audit.targetId,
+            params: req.audit.params,
+            query: req.audit.query,
+            statusCode: res.statusCode,
+            input: req.audit.input,
+            before: req.audit.before,
+            after: req.audit.after,
+            ip: req.ip,
+            userAgent: req.get("User-Agent") ?? null,
+        }).catch((error) => console.error("✘ Failed to write audit log entry:", error.message));
+    };
+
+    res.on("finish", write);
+    res.on("close", write); // Aborted responses (e.g. a cancelled export) are logged too
+}
+
+/**
+ * Get a page of the audit log, newest first
+ *
+ * Object [query] - Filters (actor, action, outcome, from, to; see AuditLog.buildFilters)
+ * Object options - Pagination options ({ limit, cursor, includeTotal })
+ * return Promise - { items, hasMore, nextCursor, total? }
+ * throw ApiError - If a filter or the cursor is invalid
+ */
+async function getEntries(query, options) {
+    return await AuditLog.findPage(AuditLog.buildFilters(query), options);
+}
+
+/**
+ * Flat export view of an audit entry
+ *
+ * Object entry - Audit log document
+ * return Object - Record with the EXPORT_FIELDS
+ */
+function toExportRecord(entry) {
+    return {
+        createdAt: entry.createdAt.toISOString(),
+        requestId: entry.requestId,
+        clientRequestId: entry.clientRequestId ?? null,
+        actorId: entry.actor?.id ?? null,
+        actorUsername: entry.actor?.username ?? null,
+        action: entry.action,
+        path: entry.path,
+        targetId: entry.targetId,
+        statusCode: entry.statusCode,
+        outcome: entry.outcome,
+        ip: entry.ip,
+        input: entry.input,
+        before: entry.before,
+        after: entry.after,
+    };
+}
+
+/**
+ * Export the audit log to a response, oldest entry first
+ * Summaries are written as JSON text in CSV cells
+ *
+ * Response res - Response to stream to
+ * Object [query] - Filters (actor, action, outcome, from, to) and format (json, ndjson or csv)
+ * return Promise - Resolves when the export is written
+ * throw ApiError|Error - If the format or a filter is invalid, or reading the log fails (the response is destroyed)
+ */
+async function exportEntries(res, query = {}) {
+    const { format = "json", actor, action, outcome, from, to } = query;
+
+    if (!recordStream.isFormat(format))
+        throw new ApiError(400, `Format must be one of: ${recordStream.FORMATS.join(", ")}`);
+
+    const cursor = AuditLog.findCursor(AuditLog.buildFilters({ actor, action, outcome, from, to }));
+    const date = new Date().toISOString().slice(0, 10);
+
+    await responseStream.streamRecords(res, cursor, {
+        format,
+        filename: `audit-log-${date}`,
+        toRecord: toExportRecord,
+        csvHeader: EXPORT_FIELDS,
+        toCsvRow: (record) =>
+            EXPORT_FIELDS.map((field) =>
+                record[field] !== null && typeof record[field] === "object"
+                    ? JSON.stringify(record[field])
+                    : record[field]
+            ),
+    });
+}
+
+export default {
+    summarize,
+    track,
+    getEntries,
+    exportEntries,
+};
@@ -3,14 +3,19 @@
  * Handles user authentication, token generation and validation
  * Implements SOLID principles with single responsibility for auth operations
  */
+import crypto from "crypto";
 import bcrypt from "bcrypt";
 import jwt from "jsonwebtoken";
 import { ApiError } from "../middleware/errorHandler.js";
 import { supabase } from "../db/supabase.js";
+import tokenRevocationStore from "./tokenRevocationStore.js";
+import authStatsService from "./authStatsService.js";
+import loginAttemptService from "./loginAttemptService.js";
 
 // Configuration constants
 const SALT_ROUNDS = 10;
-const DEFAULT_TOKEN_EXPIRATION = process.env.JWT_EXPIRES_IN || "7d";
+const DEFAULT_TOKEN_EXPIRATION = process.env.JWT_EXPIRES_IN || "15m";
+const REFRESH_TOKEN_TTL_MS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS || "30", 10) * 24 * 60 * 60 * 1000;
 
 /**
  * Hash a password using bcrypt
@@ -54,6 +59,7 @@ async function comparePassword(password, hash) {
  * number user.id - User ID
  * string user.username - Username
  * string user.role - User role
+ * number [user.token_version=0] - Current token version of the user
  * return string - JWT token
  * throw Error - If token generation fails
  */
@@ -68,11 +74,13 @@ function generateToken(user) {
             id: user.id,
             username: user.username,
             role: user.role,
+            ver: user.token_version || 0, // Bumped on password change to invalidate older tokens
         };
 
         const expiresIn = DEFAULT_TOKEN_EXPIRATION;
 
-        return jwt.sign(payload, process.env.JWT_SECRET, { expiresIn });
+        // A unique token ID lets a single token be revoked
+        return jwt.sign(payload, process.env.JWT_SECRET, { expiresIn, jwtid: crypto.randomUUID() });
     } catch (error) {
         throw new Error(`Failed to generate token: ${error.message}`);
     }
@@ -103,6 +111,217 @@ function verifyToken(token) {
     }
 }
 
+/**
+ * Hash a refresh token for storage
+ * Refresh tokens are random, so a fast hash is enough and allows lookups by hash
+ *
+ * string token - Plain refresh token
+ * return string - Hex encoded SHA-256 hash
+ */
+function hashRefreshToken(token) {
+    return crypto.createHash("sha256").update(token).digest("hex");
+}
+
+/**
+ * Issue a new refresh token
+ *
+ * number userId - User ID
+ * string [familyId] - Rotation family; a new family is started when omitted (new login)
+ * return Promise - Plain refresh token (only its hash is stored)
+ * throw ApiError - If the token cannot be stored
+ */
+async function issueRefreshToken(userId, familyId = crypto.randomUUID()) {
+    const refreshToken = crypto.randomBytes(48).toString("base64url");
+
+    const { error } = await supabase.from("refresh_tokens").insert([
+        {
+            player_id: userId,
+            token_hash: hashRefreshToken(refreshToken),
+            family_id: familyId,
+            expires_at: new Date(Date.now() + REFRESH_TOKEN_TTL_MS).toISOString(),
+        },
+    ]);
+
+    if (error) throw new ApiError(500, `Failed to issue refresh token: ${error.message}`);
+
+    return refreshToken;
+}
+
+/**
+ * Create an access token and a refresh token for a user
+ *
+ * Object user - User object (id, username, role)
+ * string [familyId] - Refresh token family to continue
+ * return Promise - { token, refreshToken }
+ */
+async function createAuthTokens(user, familyId) {
+    const token = generateToken(user);
+    const refreshToken = await issueRefreshToken(user.id, familyId);
+
+    return { token, refreshToken };
+}
+
+/**
+ * Revoke every refresh token of a rotation family
+ *
+ * string familyId - Refresh token family
+ * throw ApiError - If the update fails
+ */
+async function revokeRefreshTokenFamily(familyId) {
+    const { error } = await supabase
+        .from("refresh_tokens")
+        .update({ revoked_at: new Date().toISOString() })
+        .eq("family_id", familyId)
+        .is("revoked_at", null);
+
+    if (error) throw new ApiError(500, `Failed to revoke refresh tokens: ${error.message}`);
+}
+
+/**
+ * Revoke every refresh token of a user
+ *
+ * number userId - User ID
+ * throw ApiError - If the update fails
+ */
+async function revokeUserRefreshTokens(userId) {
+    const { error } = await supabase
+        .from("refresh_tokens")
+        .update({ revoked_at: new Date().toISOString() })
+        .eq("player_id", userId)
+        .is("revoked_at", null);
+
+    if (error) throw new ApiError(500, `Failed to revoke refresh tokens: ${error.message}`);
+}
+
+/**
+ * Exchange a refresh token for a new access token and refresh token
+ * Refresh tokens are single-use; presenting a used or revoked token again is treated as theft
+ * and revokes the whole family, logging out every client that shares it
+ *
+ * string refreshToken - Refresh token from the client
+ * return Promise - User object with new token and refreshToken
+ * throw ApiError - If the refresh token is invalid, expired or reused
+ */
+async function refreshAuthTokens(refreshToken) {
+    if (!refreshToken || typeof refreshToken !== "string") throw new ApiError(400, "Refresh token is required");
+
+    try {
+        const { data: stored, error: findError } = await supabase
+            .from("refresh_tokens")
+            .select("id, player_id, family_id, expires_at, used_at, revoked_at")
+            .eq("token_hash", hashRefreshToken(refreshToken))
+            .maybeSingle();
+
+        if (findError) throw new ApiError(500, `Failed to find refresh token: ${findError.message}`);
+        if (!stored) throw new ApiError(401, "Invalid refresh token");
+
+        if (stored.used_at || stored.revoked_at) {
+            await revokeRefreshTokenFamily(stored.family_id);
+            throw new ApiError(401, "Refresh token reuse detected. Please login again");
+        }
+
+        if (new Date(stored.expires_at).getTime() <= Date.now()) throw new ApiError(401, "Refresh token has expired");
+
+        // Mark as used; the used_at check makes sure only one concurrent request can rotate it
+        const { data: rotated, error: rotateError } = await supabase
+            .from("refresh_tokens")
+            .update({ used_at: new Date().toISOString() })
+            .eq("id", stored.id)
+            .is("used_at", null)
+            .select("id")
+            .maybeSingle();
+
+        if (rotateError) throw new ApiError(500, `Failed to rotate refresh token: ${rotateError.message}`);
+
+        if (!rotated) {
+            await revokeRefreshTokenFamily(stored.family_id);
+            throw new ApiError(401, "Refresh token reuse detected. Please login again");
+        }
+
+        const user = await getUserById(stored.player_id);
+        if (!user) throw new ApiError(401, "User not found or has been deleted");
+
+        const tokens = await createAuthTokens(user, stored.family_id);
+
+        authStatsService.recordAuthEvent("token_refresh", { userId: user.id, username: user.username });
+
+        return {
+            user: {
+                id: user.id,
+                username: user.username,
+                role: user.role,
+            },
+            ...tokens,
+        };
+    } catch (error) {
+        if (error instanceof ApiError) {
+            throw error;
+        }
+        throw new ApiError(500, `Token refresh failed: ${error.message}`);
+    }
+}
+
+/**
+ * Check whether an access token was revoked (logout, logout from all devices)
+ *
+ * Object tokenData - Decoded token payload
+ * return Promise<boolean> - True if the token must be rejected
+ */
+async function isTokenRevoked(tokenData) {
+    return tokenRevocationStore.getRevocationStore().isRevoked(tokenData);
+}
+
+/**
+ * Log out the current session
+ * Revokes the access token and, when given, the refresh token family it belongs to
+ *
+ * Object tokenData - Decoded access token payload
+ * string [refreshToken] - Refresh token of the same client
+ * throw ApiError - If the refresh token belongs to another user or revocation fails
+ */
+async function logoutUser(tokenData, refreshToken = null) {
+    await tokenRevocationStore.getRevocationStore().revokeToken(tokenData.jti, tokenData.exp);
+
+    if (!refreshToken) return;
+
+    const { data: stored, error } = await supabase
+        .from("refresh_tokens")
+        .select("player_id, family_id")
+        .eq("token_hash", hashRefreshToken(refreshToken))
+        .maybeSingle();
+
+    if (error) throw new ApiError(500, `Failed to find refresh token: ${error.message}`);
+    if (!stored) return; // Unknown or already purged, nothing left to revoke
+
+    if (stored.player_id !== tokenData.id) throw new ApiError(403, "Refresh token belongs to another user");
+
+    await revokeRefreshTokenFamily(stored.family_id);
+}
+
+/**
+ * Log out every session of a user
+ * Revokes all access tokens issued so far and all refresh tokens
+ *
+ * Access tokens are revoked by bumping the user's token version (see resolveTokenUser), which is stored
+ * with the user, so it holds across restarts and instances and also covers tokens issued in the same second
+ *
+ * Object tokenData - Decoded access token payload of the requesting client
+ * throw ApiError - If revocation fails, 404 if the user no longer exists
+ */
+async function logoutAllDevices(tokenData) {
+    await tokenRevocationStore.getRevocationStore().revokeToken(tokenData.jti, tokenData.exp);
+
+    // Incremented in the database, so a concurrent bump (e.g. a password change) cannot cancel this one out
+    const { data: newVersion, error: updateError } = await supabase.rpc("increment_token_version", {
+        p_player_id: tokenData.id,
+    });
+
+    if (updateError) throw new ApiError(500, `Failed to revoke tokens: ${updateError.message}`);
+    if (newVersion === null) throw new ApiError(404, "User not found");
+
+    await revokeUserRefreshTokens(tokenData.id);
+}
+
 /**
  * Validate user role
  *
@@ -114,21 +333,36 @@ function isValidRole(role) {
     return validRoles.includes(role);
 }
 
+/**
+ * Validate password strength
+ * Shared by registration and password change
+ *
+ * string password - Password to validate
+ * string [field='Password'] - Field name used in error messages
+ * throw ApiError - If the password is too weak
+ */
+function validatePassword(password, field = "Password") {
+    if (typeof password !== "string") throw new ApiError(400, `${field} must be a string`);
+    if (password.length < 8) throw new ApiError(400, `${field} must be at least 8 characters long`);
+}
+
 /**
  * Register a new user
  *
  * string username - Username
  * string password - Password
  * string [adminCode] - Optional admin code for admin registration
- * return Promise - User object with token
+ * Object [context] - Request context for statistics
+ * string [context.ip] - Client IP address
+ * return Promise - User object with token and refreshToken
  * throw ApiError - If registration fails
  */
-async function registerUser(username, password, adminCode = null) {
+async function registerUser(username, password, adminCode = null, context = {}) {
     // Input validation
     if (!username || !password) throw new ApiError(400, "Username and password are required");
 
     if (username.length < 5) throw new ApiError(400, "Username must be at least 5 characters long");
-    if (password.length < 8) throw new ApiError(400, "Password must be at least 8 characters long");
+    validatePassword(password);
 
     try {
         // Check if username already exists
@@ -162,7 +396,7 @@ async function registerUser(username, password, adminCode = null) {
                     role,
                 },
             ])
-            .select("id, username, role, created_at")
+            .select("id, username, role, token_version, created_at")
             .single();
 
         if (createError) {
@@ -172,8 +406,10 @@ async function registerUser(username, password, adminCode = null) {
             throw new ApiError(500, `Failed to create user: ${createError.message}`);
         }
 
-        // Generate token
-        const token = generateToken(newUser);
+        // Generate tokens
+        const tokens = await createAuthTokens(newUser);
+
+        authStatsService.recordAuthEvent("register", { userId: newUser.id, username, ip: context.ip });
 
         return {
             user: {
@@ -182,7 +418,7 @@ async function registerUser(username, password, adminCode = null) {
                 role: newUser.role,
                 created_at: newUser.created_at,
             },
-            token,
+            ...tokens,
         };
     } catch (error) {
         if (error instanceof ApiError) {
@@ -197,40 +433,57 @@ async function registerUser(username, password, adminCode = null) {
  *
  * string username - Username
  * string password - Password
- * return Promise - User object with token
- * throw ApiError - If login fails
+ * Object [context] - Request context for statistics
+ * string [context.ip] - Client IP address
+ * return Promise - User object with token and refreshToken
+ * throw ApiError - If login fails, 423/429 if the account is locked or attempts are too frequent
  */
-async function loginUser(username, password) {
+async function loginUser(username, password, context = {}) {
     // Input validation
     if (!username || !password) throw new ApiError(400, "Username and password are required");
 
+    // Brute-force protection (progressive delays and temporary lockout)
+    await loginAttemptService.assertCanAttempt(username);
+
+    // Record a failed attempt and build the error to throw
+    const rejectLogin = async (userId, message) => {
+        authStatsService.recordAuthEvent("login_failure", { userId, username, ip: context.ip });
+        await loginAttemptService.recordFailure(username);
+        return new ApiError(401, message);
+    };
+
     try {
-        // Find user by username
+        // Find user by username (deleted players cannot sign in)
         const { data: user, error: userError } = await supabase
             .from("players")
-            .select("id, username, password_hash, role, created_at")
+            .select("id, username, password_hash, role, token_version, created_at")
             .eq("username", username)
+            .is("deleted_at", null)
             .single();
 
         if (userError) {
             if (userError.code === "PGRST116") {
-                throw new ApiError(401, "Invalid username or password");
+                throw await rejectLogin(null, "Invalid username or password");
             }
             throw new ApiError(500, `Failed to find user: ${userError.message}`);
         }
 
         // Check if user has a password (not a legacy user)
         if (!user.password_hash)
-            throw new ApiError(401, "User exists but has no password set. Please contact administrator.");
+            throw await rejectLogin(user.id, "User exists but has no password set. Please contact administrator.");
 
         // Verify password
         const isPasswordValid = await comparePassword(password, user.password_hash);
         if (!isPasswordValid) {
-            throw new ApiError(401, "Invalid username or password");
+            throw await rejectLogin(user.id, "Invalid username or password");
         }
 
-        // Generate token
-        const token = generateToken(user);
+        await loginAttemptService.recordSuccess(username);
+
+        // Generate tokens
+        const tokens = await createAuthTokens(user);
+
+        authStatsService.recordAuthEvent("login_success", { userId: user.id, username, ip: context.ip });
 
         return {
             user: {
@@ -239,7 +492,7 @@ async function loginUser(username, password) {
                 role: user.role,
                 created_at: user.created_at,
             },
-            token,
+            ...tokens,
         };
     } catch (error) {
         if (error instanceof ApiError) {
@@ -249,20 +502,101 @@ async function loginUser(username, password) {
     }
 }
 
+/**
+ * Change a user's password
+ * Bumps the user's token version, which invalidates every token issued before the change,
+ * and revokes all refresh tokens. Fresh tokens are returned so the current client stays logged in.
+ *
+ * number userId - User ID
+ * string currentPassword - Current password
+ * string newPassword - New password
+ * return Promise - User object with new token and refreshToken
+ * throw ApiError - If the current password is wrong, the new one is too weak or the update fails
+ */
+async function changePassword(userId, currentPassword, newPassword) {
+    if (!currentPassword || !newPassword) throw new ApiError(400, "Current password and new password are required");
+
+    validatePassword(newPassword, "New password");
+
+    if (currentPassword === newPassword)
+        throw new ApiError(400, "New password must be different from the current password");
+
+    try {
+        const { data: user, error: userError } = await supabase
+            .from("players")
+            .select("id, username, password_hash, role, token_version")
+            .eq("id", userId)
+            .single();
+
+        if (userError) {
+            if (userError.code === "PGRST116") {
+                throw new ApiError(404, "User not found");
+            }
+            throw new ApiError(500, `Failed to find user: ${userError.message}`);
+        }
+
+        if (!user.password_hash)
+            throw new ApiError(400, "User has no password set. Please contact administrator.");
+
+        const isPasswordValid = await comparePassword(currentPassword, user.password_hash);
+        if (!isPasswordValid) {
+            throw new ApiError(401, "Current password is incorrect");
+        }
+
+        const passwordHash = await hashPassword(newPassword);
+        const currentVersion = user.token_version || 0;
+
+        // The version check rejects a concurrent change that already bumped the version
+        const { data: updatedUser, error: updateError } = await supabase
+            .from("players")
+            .update({
+                password_hash: passwordHash,
+                token_version: currentVersion + 1,
+                password_changed_at: new Date().toISOString(),
+            })
+            .eq("id", userId)
+            .eq("token_version", currentVersion)
+            .select("id, username, role, token_version")
+            .maybeSingle();
+
+        if (updateError) throw new ApiError(500, `Failed to update password: ${updateError.message}`);
+        if (!updatedUser) throw new ApiError(409, "Password was changed concurrently. Please login again");
+
+        await revokeUserRefreshTokens(userId);
+
+        const tokens = await createAuthTokens(updatedUser);
+
+        return {
+            user: {
+                id: updatedUser.id,
+                username: updatedUser.username,
+                role: updatedUser.role,
+            },
+            ...tokens,
+        };
+    } catch (error) {
+        if (error instanceof ApiError) {
+            throw error;
+        }
+        throw new ApiError(500, `Password change failed: ${error.message}`);
+    }
+}
+
 /**
  * Validate user exists and get user data by ID
  * Used by authentication middleware
  *
  * number userId - User ID from token
- * return Promise - User data or null if not found
+ * return Promise - User data or null if not found (or deleted)
  * throw ApiError - If database error occurs
  */
 async function getUserById(userId) {
     try {
         const { data: user, error } = await supabase
             .from("players")
-            .select("id, username, role")
+            .select("id, username, role, token_version")
             .eq("id", userId)
+            .is("deleted_at", null)
             .single();
 
         if (error) {
@@ -290,4 +624,9 @@ export default {
     registerUser,
     loginUser,
     getUserById,
+    refreshAuthTokens,
+    isTokenRevoked,
+    logoutUser,
+    logoutAllDevices,
+    changePassword,
 };
\ No newline at end of file
@@ -0,0 +1,227 @@
+/**
+ * Authentication Statistics Service
+ * Records authentication events and aggregates authentication and gameplay statistics for admins
+ *
+ * Every figure is answered by a count query (no rows are transferred), and the aggregated
+ * result is cached for a short time since the admin dashboard polls it.
+ */
+import { supabase } from "../db/supabase.js";
+import { ApiError } from "../middleware/errorHandler.js";
+
+// Configuration constants
+const STATS_CACHE_TTL_MS = parseInt(process.env.AUTH_STATS_CACHE_TTL_MS || "60000", 10);
+const ROLES = ["guest", "user", "admin"];
+const EVENT_TYPES = ["register", "login_success", "login_failure", "token_refresh"];
+const ACTIVITY_EVENTS = ["register", "login_success", "token_refresh"];
+const DAY_MS = 24 * 60 * 60 * 1000;
+const WINDOWS = { last24h: DAY_MS, last7d: 7 * DAY_MS, last30d: 30 * DAY_MS };
+
+let cachedStats = null;
+let cachedAt = 0;
+
+/**
+ * Record an authentication event
+ * Failures are logged and swallowed: statistics must never break authentication
+ *
+ * string type - Event type (register, login_success, login_failure, token_refresh)
+ * Object [context] - Event context
+ * number [context.userId] - User ID, if known
+ * string [context.username] - Username as submitted
+ * string [context.ip] - Client IP address
+ * return Promise - Resolves when the event is stored (or dropped)
+ */
+async function recordAuthEvent(type, context = {}) {
+    const { userId = null, username = null, ip = null } = context;
+
+    try {
+        if (!EVENT_TYPES.includes(type)) throw new Error(`Unknown auth event type: ${type}`);
+
+        const now = new Date().toISOString();
+        const { error } = await supabase
+            .from("auth_events")
+            .insert([{ type, player_id: userId, username, ip, created_at: now }]);
+
+        if (error) throw error;
+
+        // Keep the last activity on the player so active user counts are a single count query
+        if (userId && ACTIVITY_EVENTS.includes(type)) {
+            const { error: activityError } = await supabase
+                .from("players")
+                .update({ last_active_at: now })
+                .eq("id", userId);
+
+            if (activityError) throw activityError;
+        }
+    } catch (error) {
+        console.error(`✘ Failed to record auth event (${type}):`, error.message);
+    }
+}
+
+/**
+ * Run a count query
+ *
+ * string table - Table to count rows in
+ * Function [applyFilters] - Receives the query builder and returns it with filters applied
+ * return Promise<number> - Number of matching rows
+ * throw Error - If the query fails
+ */
+async function count(table, applyFilters = (query) => query) {
+    const { count: total, error } = await applyFilters(
+        supabase.from(table).select("*", { count: "exact", head: true })
+    );
+
+    if (error) throw error;
+
+    return total || 0;
+}
+
+/**
+ * Count auth events of a type since a point in time
+ *
+ * string type - Event type
+ * Date since - Range start (inclusive)
+ * return Promise<number> - Number of events
+ */
+function countEvents(type, since) {
+    return count("auth_events", (query) => query.eq("type", type).gte("created_at", since.toISOString()));
+}
+
+/**
+ * Build consecutive time buckets, the last one ending at the end of the current UTC day
+ *
+ * number size - Bucket length in milliseconds
+ * number amount - Number of buckets
+ * Date now - Reference time
+ * return Array - Buckets from oldest to newest ({ start, end })
+ */
+function buildBuckets(size, amount, now) {
+    const endOfToday = new Date(now);
+    endOfToday.setUTCHours(24, 0, 0, 0);
+
+    return Array.from({ length: amount }, (_, i) => {
+        const end = new Date(endOfToday.getTime() - (amount - 1 - i) * size);
+        return { start: new Date(end.getTime() - size), end };
+    });
+}
+
+/**
+ * Count registrations per bucket
+ * Counted from the players' creation time, so players created before auth events were recorded and
+ * players created through POST /players are included
+ *
+ * Array buckets - Buckets from buildBuckets
+ * return Promise - Array of { start, end, count }
+ */
+async function countRegistrations(buckets) {
+    const counts = await Promise.all(
+        buckets.map(({ start, end }) =>
+            count("players", (query) =>
+                query.gte("created_at", start.toISOString()).lt("created_at", end.toISOString())
+            )
+        )
+    );
+
+    return buckets.map(({ start, end }, i) => ({
+        start: start.toISOString(),
+        end: end.toISOString(),
+        count: counts[i],
+    }));
+}
+
+/**
+ * Count values per time window
+ *
+ * Function countSince - Receives the window start date and resolves with a count
+ * Date now - Reference time
+ * return Promise - Object keyed by window name (last24h, last7d, last30d)
+ */
+async function countPerWindow(countSince, now) {
+    const entries = await Promise.all(
+        Object.entries(WINDOWS).map(async ([name, size]) => [name, await countSince(new Date(now - size))])
+    );
+
+    return Object.fromEntries(entries);
+}
+
+/**
+ * Compute authentication and gameplay statistics
+ *
+ * return Promise - Statistics object
+ */
+async function computeStats() {
+    const now = Date.now();
+    const since = (column, date) => (query) => query.gte(column, date.toISOString());
+
+    const [roleCounts, legacyPlayers, registrationsPerDay, registrationsPerWeek, logins, failedLogins, active] =
+        await Promise.all([
+            Promise.all(ROLES.map((role) => count("players", (query) => query.eq("role", role)))),
+            count("players", (query) => query.is("password_hash", null)),
+            countRegistrations(buildBuckets(DAY_MS, 7, now)),
+            countRegistrations(buildBuckets(7 * DAY_MS, 4, now)),
+            countPerWindow((date) => countEvents("login_success", date), now),
+            countPerWindow((date) => countEvents("login_failure", date), now),
+            countPerWindow((date) => count("players", since("last_active_at", date)), now),
+        ]);
+
+    const [sessionsStarted, sessionsCompleted, riddlesSolved] = await Promise.all([
+        countPerWindow((date) => count("game_sessions", since("started_at", date)), now),
+        countPerWindow(
+            (date) => count("game_sessions", (query) => since("completed_at", date)(query.eq("status", "completed"))),
+            now
+        ),
+        countPerWindow((date) => count("player_scores", since("solved_at", date)), now),
+    ]);
+
+    const usersByRole = Object.fromEntries(ROLES.map((role, i) => [role, roleCounts[i]]));
+
+    return {
+        users: {
+            total: roleCounts.reduce((sum, value) => sum + value, 0),
+            byRole: usersByRole,
+            legacyWithoutPassword: legacyPlayers,
+        },
+        registrations: {
+            perDay: registrationsPerDay,
+            perWeek: registrationsPerWeek,
+        },
+        logins: {
+            successful: logins,
+            failed: failedLogins,
+        },
+        activeUsers: active,
+        gameplay: {
+            sessionsStarted,
+            sessionsCompleted,
+            riddlesSolved,
+        },
+        generatedAt: new Date(now).toISOString(),
+    };
+}
+
+/**
+ * Get authentication statistics
+ * Served from a short-lived cache unless a refresh is forced
+ *
+ * Object [options] - Options
+ * boolean [options.refresh=false] - Bypass the cache
+ * return Promise - Statistics object
+ * throw ApiError - If the statistics cannot be computed
+ */
+async function getAuthStats(options = {}) {
+    const { refresh = false } = options;
+
+    if (!refresh && cachedStats && Date.now() - cachedAt < STATS_CACHE_TTL_MS) return cachedStats;
+
+    try {
+        cachedStats = await computeStats();
+        cachedAt = Date.now();
+        return cachedStats;
+    } catch (error) {
+        throw new ApiError(500, `Failed to compute auth statistics: ${error.message}`);
+    }
+}
+
+export default {
+    recordAuthEvent,
+    getAuthStats,
+};
@@ -0,0 +1,173 @@
+/**
+ * Daily Riddle Service
+ * Picks one riddle per calendar day, the same for every player
+ *
+ * The pick is a hash of the date over the published riddle pool, skipping riddles used in the
+ * last DAILY_RIDDLE_NO_REPEAT_DAYS days. It is stored on first use, so later changes to the pool
+ * do not change a day's riddle. Admins can pin a riddle for a future day instead.
+ */
+import crypto from "crypto";
+import DailyRiddle from "../models/DailyRiddle.js";
+import GameSession from "../models/GameSession.js";
+import Riddle from "../models/Riddle.js";
+import { ApiError } from "../middleware/errorHandler.js";
+
+// Configuration constants
+const DAILY_TIMEZONE = process.env.DAILY_RIDDLE_TIMEZONE || "UTC";
+const NO_REPEAT_DAYS = parseInt(process.env.DAILY_RIDDLE_NO_REPEAT_DAYS || "30", 10);
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Get the calendar day of a moment in the daily riddle timezone
+ *
+ * Date [now=new Date()] - Reference time
+ * return string - Calendar day (YYYY-MM-DD)
+ */
+function currentDate(now = new Date()) {
+    // en-CA formats dates as YYYY-MM-DD
+    return new Intl.DateTimeFormat("en-CA", { timeZone: DAILY_TIMEZONE }).format(now);
+}
+
+/**
+ * Check that a string is a real calendar day
+ *
+ * string date - Date string
+ * return boolean - True for valid YYYY-MM-DD dates
+ */
+function isValidDate(date) {
+    if (typeof date !== "string" || !DATE_PATTERN.test(date)) return false;
+
+    const parsed = new Date(`${date}T00:00:00Z`);
+    return !Number.isNaN(parsed.getTime()) && parsed.toISOString().startsWith(date);
+}
+
+/**
+ * Move a calendar day by a number of days
+ *
+ * string date - Calendar day (YYYY-MM-DD)
+ * number days - Days to add (negative to go back)
+ * return string - Calendar day (YYYY-MM-DD)
+ */
+function addDays(date, days) {
+    return new Date(Date.parse(`${date}T00:00:00Z`) + days * DAY_MS).toISOString().slice(0, 10);
+}
+
+/**
+ * Pick the riddle of a day from the published pool
+ * Deterministic: the same date, pool and recent history always give the same riddle
+ *
+ * string date - Calendar day (YYYY-MM-DD)
+ * return Promise - Picked riddle ID
+ * throw ApiError - If there are no published riddles
+ */
+async function pickRiddleId(date) {
+    const pool = await Riddle.findPublishedIds();
+    if (pool.length === 0) throw new ApiError(404, "No riddles found in database");
+
+    const recent = await DailyRiddle.findBetween(addDays(date, -NO_REPEAT_DAYS), date);
+    const recentIds = new Set(recent.map((daily) => daily.riddleId.toString()));
+    const candidates = pool.filter((id) => !recentIds.has(id));
+
+    // A pool smaller than the window cannot avoid repeats, so fall back to the whole pool
+    const choices = candidates.length > 0 ? candidates : pool;
+    const hash = crypto.createHash("sha256").update(`daily:${date}`).digest();
+
+    return choices[hash.readUInt32BE(0) % choices.length];
+}
+
+/**
+ * Get the riddle of a day, picking it on first use
+ *
+ * string [date] - Calendar day (YYYY-MM-DD), defaults to today in the daily riddle timezone
+ * return Promise - { date, timezone, pinned, riddle } with the full riddle document
+ * throw ApiError - If the date is invalid or no riddle is available
+ */
+async function getDailyRiddle(date = currentDate()) {
+    if (!isValidDate(date)) throw new ApiError(400, "Date must be a valid YYYY-MM-DD date");
+
+    let daily = await DailyRiddle.findByDate(date);
+    if (!daily) daily = await DailyRiddle.assign(date, await pickRiddleId(date));
+
+    let riddle = await Riddle.findById(daily.riddleId.toString());
+
+    // The day's riddle was removed or unpublished since it was picked: pick again
+    if (!riddle || !Riddle.isPublished(riddle)) {
+        daily = await DailyRiddle.replace(date, await pickRiddleId(date));
+        riddle = await Riddle.findById(daily.riddleId.toString());
+    }
+
+    return { date, timezone: DAILY_TIMEZONE, pinned: daily.pinned, riddle };
+}
+
+/**
+ * Check whether a riddle is today's daily riddle
+ * Its answer may only be checked in a daily session, where a wrong answer ends the attempt
+ *
+ * string riddleId - Riddle ID
+ * return Promise - True if the riddle is assigned to today
+ */
+async function isTodaysRiddle(riddleId) {
+    const daily = await DailyRiddle.findByDate(currentDate());
+    return Boolean(daily) && daily.riddleId.toString() === riddleId;
+}
+
+/**
+ * Get the ID of today's daily riddle, picking it on first use
+ * Other play modes leave it out, so it can only be played in the one daily attempt
+ *
+ * return Promise - Riddle ID, or null if there is no riddle to pick
+ */
+async function getTodaysRiddleId() {
+    try {
+        const { riddle } = await getDailyRiddle();
+        return riddle ? riddle._id.toString() : null;
+    } catch (error) {
+        if (error instanceof ApiError && error.statusCode === 404) return null;
+        throw error;
+    }
+}
+
+/**
+ * Pin a riddle as the daily riddle of a future day
+ *
+ * string date - Calendar day (YYYY-MM-DD), after today
+ * string riddleId - Riddle to pin
+ * Object admin - Admin pinning the riddle (req.user)
+ * return Promise - The day's assignment
+ * throw ApiError - If the date is not in the future or the riddle is not published
+ */
+async function pinDailyRiddle(date, riddleId, admin) {
+    if (!isValidDate(date)) throw new ApiError(400, "Date must be a valid YYYY-MM-DD date");
+    if (date <= currentDate()) throw new ApiError(400, "Daily riddles can only be pinned for future dates");
+
+    const riddle = await Riddle.findById(riddleId);
+    if (!riddle) throw new ApiError(404, "Riddle not found");
+    if (!Riddle.isPublished(riddle)) throw new ApiError(400, "Only published riddles can be pinned");
+
+    return await DailyRiddle.replace(date, riddleId, admin);
+}
+
+/**
+ * Get a player's attempt at a daily riddle
+ *
+ * number playerId - Player's ID
+ * string date - Calendar day (YYYY-MM-DD)
+ * return Promise - { sessionId, status, timeToSolve } or null if the player has not played that day
+ */
+async function getDailyAttempt(playerId, date) {
+    const session = await GameSession.findDaily(playerId, date);
+    if (!session) return null;
+
+    return { sessionId: session.id, status: session.status, timeToSolve: session.time_to_solve };
+}
+
+export default {
+    currentDate,
+    isValidDate,
+    getDailyRiddle,
+    isTodaysRiddle,
+    getTodaysRiddleId,
+    pinDailyRiddle,
+    getDailyAttempt,
+};
@@ -0,0 +1,255 @@
+/**
+ * Game Session Service
+ * Hands out riddles and measures solve times on the server, so clients cannot report their own times
+ */
+import crypto from "crypto";
+import GameSession from "../models/GameSession.js";
+import Riddle from "../models/Riddle.js";
+import Player from "../models/Player.js";
+import dailyRiddleService from "./dailyRiddleService.js";
+import riddleSelectionService from "./riddleSelectionService.js";
+import answerMatcher from "../utils/answerMatcher.js";
+import { ApiError } from "../middleware/errorHandler.js";
+
+// Configuration constants
+const SESSION_TTL_MS = parseInt(process.env.GAME_SESSION_TTL_MS || "600000", 10); // 10 minutes
+
+/**
+ * Hash a session token for storage
+ *
+ * string token - Plain session token
+ * return string - Hex encoded SHA-256 hash
+ */
+function hashSessionToken(token) {
+    return crypto.createHash("sha256").update(token).digest("hex");
+}
+
+/**
+ * Check that the caller is the one the session is bound to
+ * Ranked sessions are bound to a player, anonymous sessions to the token handed out when they started
+ *
+ * GameSession session - Session to check
+ * Object caller - Caller identity
+ * number [caller.playerId] - Authenticated player's ID
+ * string [caller.sessionToken] - Anonymous session token
+ * return boolean - True if the caller owns the session
+ */
+function isSessionOwner(session, caller) {
+    if (!session.anonymous) return caller.playerId !== undefined && session.player_id === caller.playerId;
+
+    if (typeof caller.sessionToken !== "string" || !session.token_hash) return false;
+
+    const expected = Buffer.from(session.token_hash, "hex");
+    const actual = Buffer.from(hashSessionToken(caller.sessionToken), "hex");
+    return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
+
+/**
+ * Start a new game session
+ * Guests can only play anonymously; anyone can opt into anonymous play
+ * Daily sessions play today's daily riddle: one session and one answer per player and day
+ *
+ * Object user - Caller (req.user), role "guest" when not authenticated
+ * Object [options] - Session options
+ * boolean [options.anonymous=false] - Start an anonymous session whose score stays off the leaderboard
+ * boolean [options.daily=false] - Play today's daily riddle (ranked only)
+ * Array [options.locales=[]] - Requested locales; the session keeps the one its riddle is served in
+ * return Promise - Session info with the riddle to solve (without its answer)
+ * throw ApiError - If a guest requests ranked play, the daily riddle was already played,
+ *   no riddle is available or the session cannot be created
+ */
+async function startSession(user, options = {}) {
+    const { anonymous = false, daily = false, locales = [] } = options;
+    const isGuest = !user || user.role === "guest";
+
+    if (isGuest && !anonymous)
+        throw new ApiError(401, "Authentication is required for ranked play. Start an anonymous session instead");
+    if (daily && anonymous) throw new ApiError(400, "The daily riddle can only be played ranked");
+
+    let riddle;
+    let dailyDate = null;
+
+    if (daily) {
+        const today = await dailyRiddleService.getDailyRiddle();
+
+        if (await GameSession.findDaily(user.id, today.date))
+            throw new ApiError(409, "You have already played today's daily riddle");
+
+        riddle = today.riddle;
+        dailyDate = today.date;
+    } else {
+        // Ranked players get riddles they have not solved yet
+        ({ riddle } = await riddleSelectionService.selectRiddle({ playerId: anonymous ? null : user.id }));
+    }
+
+    const riddleId = riddle._id.toString();
+    const localized = Riddle.localize(riddle, locales);
+
+    let session;
+    let sessionToken;
+
+    if (anonymous) {
+        sessionToken = crypto.randomBytes(32).toString("hex");
+        session = await GameSession.create(null, riddleId, SESSION_TTL_MS, {
+            tokenHash: hashSessionToken(sessionToken),
+            locale: localized.locale,
+        });
+    } else {
+        session = await GameSession.create(user.id, riddleId, SESSION_TTL_MS, { dailyDate, locale: localized.locale });
+    }
+
+    return {
+        sessionId: session.id,
+        anonymous: session.anonymous,
+        ...(sessionToken && { sessionToken }),
+        ...(dailyDate && { dailyDate }),
+        startedAt: session.started_at,
+        expiresAt: session.expires_at,
+        riddle: Riddle.toPublic(localized),
+    };
+}
+
+/**
+ * Load a session's riddle in the locale it was served in
+ *
+ * GameSession session - Session
+ * return Promise - Localized riddle document
+ * throw ApiError - If the riddle no longer exists
+ */
+async function getSessionRiddle(session) {
+    const riddle = await Riddle.findById(session.riddle_id);
+
+    if (!riddle) throw new ApiError(404, "Riddle for this session no longer exists");
+
+    return Riddle.localize(riddle, session.locale ? [session.locale] : []);
+}
+
+/**
+ * Load a session and make sure the caller may still answer it
+ *
+ * string sessionId - Session ID
+ * Object caller - Caller identity ({ playerId } or { sessionToken })
+ * return Promise - Active GameSession instance
+ * throw ApiError - If the session is missing, foreign, already used or expired
+ */
+async function getActiveSession(sessionId, caller) {
+    if (!sessionId) throw new ApiError(400, "Session ID is required");
+
+    const session = await GameSession.findById(sessionId);
+
+    if (!session) throw new ApiError(404, "Game session not found");
+    if (!isSessionOwner(session, caller)) throw new ApiError(403, "Game session belongs to another player");
+    if (session.status === "completed") throw new ApiError(409, "Game session has already been completed");
+    if (session.status === "failed") throw new ApiError(409, "Game session has already ended");
+
+    if (session.isExpired()) {
+        await GameSession.expire(session.id);
+        throw new ApiError(410, "Game session has expired");
+    }
+
+    return session;
+}
+
+/**
+ * Reveal the next hint of a session's riddle
+ * Hints are revealed in order; every hint adds a time penalty to a ranked score
+ *
+ * string sessionId - Session ID
+ * Object caller - Caller identity ({ playerId } or { sessionToken })
+ * return Promise - { hint, hintNumber, hintsUsed, hintsRemaining, penaltyMs }
+ * throw ApiError - If the session cannot be played or the riddle has no hints left
+ */
+async function revealHint(sessionId, caller) {
+    const session = await getActiveSession(sessionId, caller);
+    const riddle = await getSessionRiddle(session);
+
+    const hints = riddle.hints || [];
+    if (session.hints_used >= hints.length) throw new ApiError(409, "No more hints available for this riddle");
+
+    // Fails if another request revealed a hint (or finished the session) since the session was read
+    const updated = await GameSession.useHint(session.id, session.hints_used);
+    if (!updated) throw new ApiError(409, "Game session changed, please request the hint again");
+
+    return {
+        hint: hints[updated.hints_used - 1],
+        hintNumber: updated.hints_used,
+        hintsUsed: updated.hints_used,
+        hintsRemaining: hints.length - updated.hints_used,
+        penaltyMs: Player.hintPenalty(updated.hints_used),
+    };
+}
+
+/**
+ * Submit an answer for a session
+ * A correct answer completes the session; ranked sessions also record the score for their player
+ * Daily sessions allow a single answer, so a wrong one ends them
+ *
+ * string sessionId - Session ID
+ * Object caller - Caller identity
+ * number [caller.playerId] - Authenticated player's ID (ranked sessions)
+ * string [caller.sessionToken] - Session token (anonymous sessions)
+ * string answer - Player's guess
+ * return Promise - { correct, timeToSolve, hintsUsed, penaltyMs, points, ranked, sessionEnded }
+ *   times are only set for correct answers, points only for correct ranked answers
+ * throw ApiError - If the session cannot be answered
+ */
+async function submitAnswer(sessionId, caller, answer) {
+    if (typeof answer !== "string" || !answer.trim()) throw new ApiError(400, "Answer is required");
+
+    const session = await getActiveSession(sessionId, caller);
+    const ranked = !session.anonymous;
+    const riddle = await getSessionRiddle(session);
+
+    const { correct } = answerMatcher.matchAnswer(answer, riddle);
+    if (!correct) {
+        const sessionEnded = Boolean(session.daily_date);
+
+        // Fails if a concurrent answer already finished the session
+        if (sessionEnded && !(await GameSession.fail(session.id)))
+            throw new ApiError(409, "Game session has already ended");
+
+        return {
+            correct: false,
+            timeToSolve: null,
+            hintsUsed: session.hints_used,
+            penaltyMs: null,
+            points: null,
+            ranked,
+            sessionEnded,
+        };
+    }
+
+    const completedAt = new Date();
+    const timeToSolve = completedAt.getTime() - new Date(session.started_at).getTime();
+
+    // Only one concurrent request can win the active -> completed transition
+    const completed = await GameSession.complete(session.id, completedAt, timeToSolve);
+    if (!completed) throw new ApiError(409, "Game session has already been completed");
+
+    // Anonymous results stay on the session only, never in player_scores or the leaderboard
+    let points = null;
+    if (ranked) {
+        ({ points } = await Player.submitScore(session.player_id, session.riddle_id, timeToSolve, {
+            sessionId: session.id,
+            hintsUsed: completed.hints_used,
+            level: riddle.level,
+            dailyDate: session.daily_date,
+        }));
+    }
+
+    return {
+        correct: true,
+        timeToSolve,
+        hintsUsed: completed.hints_used,
+        penaltyMs: Player.hintPenalty(completed.hints_used),
+        points,
+        ranked,
+        sessionEnded: true,
+    };
+}
+
+export default {
+    startSession,
+    revealHint,
+    submitAnswer,
+};
@@ -0,0 +1,301 @@
+/**
+ * Leaderboard Service
+ * Builds all-time, time-windowed and per-level leaderboards, including the caller's own rank
+ *
+ * All-time leaderboards over every level are read from the totals kept on the players table.
+ * Windowed or per-level leaderboards are aggregated and ranked from player_scores by the database.
+ * Boards are cached for LEADERBOARD_CACHE_TTL_MS, so their cost does not depend on the requested limit.
+ */
+import { supabase } from "../db/supabase.js";
+import Player from "../models/Player.js";
+import Riddle from "../models/Riddle.js";
+import scoring from "../utils/scoring.js";
+import { ApiError } from "../middleware/errorHandler.js";
+
+// Configuration constants
+const PERIODS = ["daily", "weekly", "monthly", "all"];
+const MAX_LEADERBOARD_SIZE = 100;
+const SCORE_BATCH_SIZE = 1000; // PostgREST returns at most this many rows per request by default
+const CACHE_TTL_MS = parseInt(process.env.LEADERBOARD_CACHE_TTL_MS || "30000", 10); // 0 disables the cache
+
+// How each metric reads its value from a leaderboard entry
+const METRICS = {
+    points: { value: (entry) => entry.total_points },
+    best_time: { value: (entry) => entry.best_time },
+    solved: { value: (entry) => entry.riddles_solved },
+};
+
+// Boards by "metric:period:level"; the caller's own entry is never cached
+const boardCache = new Map();
+
+/**
+ * Start of the current leaderboard period (UTC calendar day, ISO week or month)
+ *
+ * string period - Period name
+ * Date [now=new Date()] - Reference time
+ * return Date|null - Period start, or null for all-time
+ */
+function periodStart(period, now = new Date()) {
+    if (period === "all") return null;
+
+    const start = new Date(now);
+    start.setUTCHours(0, 0, 0, 0);
+
+    if (period === "weekly") start.setUTCDate(start.getUTCDate() - ((start.getUTCDay() + 6) % 7)); // Back to Monday
+    if (period === "monthly") start.setUTCDate(1);
+
+    return start;
+}
+
+/**
+ * Add competition ranks (1, 2, 2, 4) to entries sorted from the top
+ *
+ * Array entries - Sorted leaderboard entries, starting at the first place
+ * Object metric - Metric from METRICS
+ * return Array - Entries with a rank field
+ */
+function assignRanks(entries, metric) {
+    let rank = 0;
+
+    return entries.map((entry, i) => {
+        if (i === 0 || metric.value(entry) !== metric.value(entries[i - 1])) rank = i + 1;
+        return { rank, ...entry };
+    });
+}
+
+/**
+ * Rank players by their scores in a window, aggregated in the database (see supabase/migrations)
+ *
+ * string by - Ranking metric
+ * Date|null since - Earliest solved_at (null for all-time)
+ * string|null level - Riddle level to count (null for every level)
+ * string [dailyDate] - Only count the daily riddle of this calendar day (YYYY-MM-DD)
+ * return PostgrestFilterBuilder - Query of ranked entries ({ position, rank, id, username, ...totals }),
+ *   to be narrowed to the rows needed
+ */
+function rankScores(by, since, level, dailyDate = null) {
+    return supabase.rpc("rank_player_scores", {
+        p_by: by,
+        p_since: since?.toISOString() ?? null,
+        p_level: level,
+        p_daily_date: dailyDate,
+    });
+}
+
+/**
+ * Store the riddle level and points of scores recorded before player_scores had them
+ * Per-level boards filter on riddle_level; the totals of the players whose scores changed are recomputed
+ *
+ * return Promise - Number of scores updated
+ */
+async function backfillScoreLevels() {
+    const playerIds = new Set();
+    let lastId = 0;
+    let updated = 0;
+
+    for (;;) {
+        const { data, error } = await supabase
+            .from("player_scores")
+            .select("id, player_id, riddle_id, time_to_solve, hints_used, points")
+            .is("riddle_level", null)
+            .gt("id", lastId)
+            .order("id", { ascending: true })
+            .limit(SCORE_BATCH_SIZE);
+
+        if (error) throw error;
+        if (data.length === 0) break;
+
+        lastId = data[data.length - 1].id;
+
+        // Scores of riddles that no longer exist keep a null level
+        const levels = await Riddle.findLevelsByIds([...new Set(data.map((score) => score.riddle_id))]);
+        const rows = data
+            .filter((score) => levels.has(score.riddle_id))
+            .map((score) => {
+                const level = levels.get(score.riddle_id);
+                const points =
+                    score.points ||
+                    scoring.calculatePoints({ level, timeToSolve: score.time_to_solve, hintsUsed: score.hints_used });
+                return { ...score, riddle_level: level, points };
+            });
+
+        if (rows.length > 0) {
+            const { error: upsertError } = await supabase.from("player_scores").upsert(rows, { onConflict: "id" });
+            if (upsertError) throw upsertError;
+
+            rows.forEach((row) => playerIds.add(row.player_id));
+            updated += rows.length;
+        }
+
+        if (data.length < SCORE_BATCH_SIZE) break;
+    }
+
+    if (playerIds.size > 0) {
+        const { error } = await supabase.rpc("refresh_player_totals", { p_player_ids: [...playerIds] });
+        if (error) throw error;
+    }
+
+    return updated;
+}
+
+/**
+ * Build the top entries of a metric, time window and level
+ *
+ * string by - Ranking metric
+ * Date|null since - Window start (null for all-time)
+ * string|null level - Riddle level (null for every level)
+ * return Promise - Top MAX_LEADERBOARD_SIZE entries with ranks and usernames
+ */
+async function buildBoard(by, since, level) {
+    if (!since && !level) {
+        const top = await Player.getLeaderboard(MAX_LEADERBOARD_SIZE, by);
+        return assignRanks(top, METRICS[by]);
+    }
+
+    const { data, error } = await rankScores(by, since, level)
+        .lte("position", MAX_LEADERBOARD_SIZE)
+        .order("position", { ascending: true });
+
+    if (error) throw error;
+
+    return data.map(({ position, ...entry }) => entry);
+}
+
+/**
+ * Get a board, served from the cache while it is fresh
+ *
+ * string by - Ranking metric
+ * string period - Time window
+ * string|null level - Riddle level
+ * boolean [refresh=false] - Rebuild the board even if the cached one is fresh
+ * return Promise - { since, level, entries }
+ */
+async function getBoard(by, period, level, refresh = false) {
+    const key = `${by}:${period}:${level ?? "any"}`;
+    const cached = boardCache.get(key);
+
+    if (!refresh && cached && cached.expiresAt > Date.now()) return cached.board;
+
+    const since = periodStart(period);
+    const board = { since, level, entries: await buildBoard(by, since, level) };
+
+    if (CACHE_TTL_MS > 0) boardCache.set(key, { board, expiresAt: Date.now() + CACHE_TTL_MS });
+
+    return board;
+}
+
+/**
+ * Find a player's own entry on a board
+ * Players outside the top entries are ranked with count queries (all-time boards)
+ * or by ranking their scores in the database (windowed and per-level boards)
+ *
+ * Object board - Board from getBoard
+ * string by - Ranking metric
+ * number playerId - Player's ID
+ * return Promise - Entry with rank and position, or null if the player is not on the board
+ */
+async function findOwnEntry(board, by, playerId) {
+    const index = board.entries.findIndex((entry) => entry.id === playerId);
+    if (index !== -1) return { position: index + 1, ...board.entries[index] };
+
+    if (board.since || board.level) {
+        const { data, error } = await rankScores(by, board.since, board.level).eq("id", playerId).maybeSingle();
+
+        if (error) throw error;
+
+        return data;
+    }
+
+    const own = await Player.getRank(playerId, by);
+    return own ? { position: own.position, rank: own.rank, ...own.player } : null;
+}
+
+/**
+ * Get the leaderboard of a daily riddle
+ * Every player has at most one daily score per day, ranked by time including hint penalties
+ *
+ * string date - Calendar day (YYYY-MM-DD)
+ * Object [options] - Leaderboard options
+ * number [options.limit=10] - Number of top entries (at most MAX_LEADERBOARD_SIZE)
+ * number [options.playerId] - Caller's player ID; their own rank is returned as "me"
+ * return Promise - { date, entries, me }
+ * throw ApiError - If the limit is invalid or the leaderboard cannot be built
+ */
+async function getDailyLeaderboard(date, options = {}) {
+    const { limit = 10, playerId = null } = options;
+
+    if (!Number.isInteger(limit) || limit < 1)
+        throw new ApiError(400, `Limit must be an integer between 1 and ${MAX_LEADERBOARD_SIZE}`);
+
+    try {
+        const { data: entries, error } = await rankScores("best_time", null, null, date)
+            .lte("position", Math.min(limit, MAX_LEADERBOARD_SIZE))
+            .order("position", { ascending: true });
+
+        if (error) throw error;
+
+        let me = null;
+
+        if (playerId) {
+            const { data: own, error: ownError } = await rankScores("best_time", null, null, date)
+                .eq("id", playerId)
+                .maybeSingle();
+
+            if (ownError) throw ownError;
+
+            me = own;
+        }
+
+        return { date, entries: entries.map(({ position, ...entry }) => entry), me };
+    } catch (error) {
+        throw new ApiError(500, `Failed to get daily leaderboard: ${error.message}`);
+    }
+}
+
+/**
+ * Get a leaderboard
+ *
+ * Object [options] - Leaderboard options
+ * string [options.by='best_time'] - Ranking metric (points, best_time, solved)
+ * string [options.period='all'] - Time window (daily, weekly, monthly, all)
+ * string [options.level] - Only count riddles of this level (easy, medium, hard)
+ * number [options.limit=10] - Number of top entries (at most MAX_LEADERBOARD_SIZE)
+ * number [options.playerId] - Caller's player ID; their own rank is returned as "me"
+ * boolean [options.refresh=false] - Bypass the cache (the rebuilt board is cached for later requests)
+ * return Promise - { by, period, level, since, entries, me }
+ * throw ApiError - If an option is invalid or the leaderboard cannot be built
+ */
+async function getLeaderboard(options = {}) {
+    const { by = "best_time", period = "all", level = null, limit = 10, playerId = null, refresh = false } = options;
+
+    if (!Player.isLeaderboardMetric(by))
+        throw new ApiError(400, "Leaderboard 'by' must be one of: points, best_time, solved");
+    if (!PERIODS.includes(period)) throw new ApiError(400, `Leaderboard period must be one of: ${PERIODS.join(", ")}`);
+    if (level !== null && !Riddle.isValidLevel(level))
+        throw new ApiError(400, "Leaderboard level must be one of: easy, medium, hard");
+    if (!Number.isInteger(limit) || limit < 1)
+        throw new ApiError(400, `Limit must be an integer between 1 and ${MAX_LEADERBOARD_SIZE}`);
+
+    try {
+        const board = await getBoard(by, period, level, refresh);
+        const me = playerId ? await findOwnEntry(board, by, playerId) : null;
+
+        return {
+            by,
+            period,
+            level,
+            since: board.since?.toISOString() ?? null,
+            entries: board.entries.slice(0, Math.min(limit, MAX_LEADERBOARD_SIZE)),
+            me,
+        };
+    } catch (error) {
+        if (error instanceof ApiError) throw error;
+        throw new ApiError(500, `Failed to get leaderboard: ${error.message}`);
+    }
+}
+
+export default {
+    getLeaderboard,
+    getDailyLeaderboard,
+    backfillScoreLevels,
+};
@@ -0,0 +1,259 @@
+/**
+ * Leaderboard Stream Service
+ * Pushes live leaderboard updates to clients over Server-Sent Events
+ *
+ * Clients asking for the same leaderboard (metric, period, level and limit) share a group with one
+ * current snapshot. Recorded scores (see utils/scoreEvents.js) trigger a debounced rebuild of every
+ * watched board; clients only get an event when their board actually changed.
+ * Event IDs identify snapshots, so a reconnecting client (Last-Event-ID) gets nothing if it is up to date,
+ * or the current board with the rank changes it missed.
+ */
+import crypto from "crypto";
+import leaderboardService from "./leaderboardService.js";
+import scoreEvents from "../utils/scoreEvents.js";
+import { ApiError } from "../middleware/errorHandler.js";
+
+// Configuration constants
+const HEARTBEAT_INTERVAL_MS = parseInt(process.env.LEADERBOARD_STREAM_HEARTBEAT_MS || "15000", 10);
+const REFRESH_DELAY_MS = parseInt(process.env.LEADERBOARD_STREAM_REFRESH_DELAY_MS || "1000", 10); // Batches bursts
+const MAX_CLIENTS = parseInt(process.env.LEADERBOARD_STREAM_MAX_CLIENTS || "1000", 10);
+const RETRY_MS = 5000; // Reconnect delay suggested to EventSource clients
+const HISTORY_SIZE = 20; // Snapshots kept per group to resume from
+
+// Event IDs from before a restart never match, so those clients get a fresh snapshot
+const BOOT_ID = crypto.randomBytes(4).toString("hex");
+
+const groups = new Map(); // "by:period:level:limit" -> { options, clients, current, history }
+let clientCount = 0;
+let eventSequence = 0;
+let refreshTimer = null;
+let refreshing = false; // A refresh is running
+let refreshPending = false; // Scores were recorded during the running refresh
+
+/**
+ * Send the group's current board as an SSE event
+ *
+ * Response res - Client response
+ * Object group - Stream group
+ * Object|null previous - Board the client had, or null to report no rank changes
+ */
+function sendSnapshot(res, group, previous) {
+    const { eventId, board } = group.current;
+    const data = { ...board, changes: previous ? diffRanks(previous.entries, board.entries) : [] };
+
+    res.write(`id: ${eventId}\nevent: leaderboard\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+/**
+ * Rank changes between two boards
+ * Players who dropped off the board have a null rank, new ones a null previousRank
+ *
+ * Array previous - Entries of the older board
+ * Array entries - Entries of the newer board
+ * return Array - { id, username, rank, previousRank }
+ */
+function diffRanks(previous, entries) {
+    const previousRanks = new Map(previous.map((entry) => [entry.id, entry.rank]));
+    const currentIds = new Set(entries.map((entry) => entry.id));
+    const changes = [];
+
+    for (const { id, username, rank } of entries) {
+        const previousRank = previousRanks.get(id) ?? null;
+        if (previousRank !== rank) changes.push({ id, username, rank, previousRank });
+    }
+
+    for (const { id, username, rank } of previous) {
+        if (!currentIds.has(id)) changes.push({ id, username, rank: null, previousRank: rank });
+    }
+
+    return changes;
+}
+
+/**
+ * Store a board as the group's current snapshot and push it to its clients
+ * Boards equal to the current snapshot are ignored
+ *
+ * Object group - Stream group
+ * Object leaderboard - Result of leaderboardService.getLeaderboard
+ */
+function publish(group, leaderboard) {
+    const { by, period, level, since, entries } = leaderboard;
+    const board = { by, period, level, since, entries };
+    const previous = group.current;
+
+    if (previous && JSON.stringify(previous.board) === JSON.stringify(board)) return;
+
+    eventSequence += 1;
+    group.current = { eventId: `${BOOT_ID}-${eventSequence}`, board };
+    group.history.push(group.current);
+    if (group.history.length > HISTORY_SIZE) group.history.shift();
+
+    for (const res of group.clients) sendSnapshot(res, group, previous?.board ?? null);
+}
+
+/**
+ * Rebuild every watched board and push the ones that changed
+ * Groups sharing a board (different limits) rebuild it only once. Refreshes never overlap: scores
+ * recorded while one runs schedule the next once it is done.
+ *
+ * return Promise - Resolves when every group was refreshed
+ */
+async function refreshGroups() {
+    refreshTimer = null;
+    refreshing = true;
+
+    try {
+        await rebuildGroups();
+    } finally {
+        refreshing = false;
+
+        if (refreshPending) {
+            refreshPending = false;
+            scheduleRefresh();
+        }
+    }
+}
+
+/**
+ * Rebuild the board of every group and publish it
+ *
+ * return Promise - Resolves when every group was rebuilt (failures are logged)
+ */
+async function rebuildGroups() {
+    const rebuilt = new Set();
+
+    for (const group of groups.values()) {
+        const { by, period, level } = group.options;
+        const boardKey = `${by}:${period}:${level ?? "any"}`;
+
+        try {
+            const leaderboard = await leaderboardService.getLeaderboard({
+                ...group.options,
+                refresh: !rebuilt.has(boardKey),
+            });
+            rebuilt.add(boardKey);
+
+            // All clients may have left while the board was rebuilt
+            if (groups.has(group.key)) publish(group, leaderboard);
+        } catch (error) {
+            console.error(`✘ Failed to refresh leaderboard stream ${group.key}:`, error.message);
+        }
+    }
+}
+
+/**
+ * Schedule a refresh of the watched boards after a score was recorded
+ */
+function scheduleRefresh() {
+    if (groups.size === 0 || refreshTimer) return;
+    if (refreshing) {
+        refreshPending = true;
+        return;
+    }
+
+    refreshTimer = setTimeout(() => refreshGroups(), REFRESH_DELAY_MS);
+}
+
+scoreEvents.on("score", scheduleRefresh);
+
+/**
+ * Get the group of a leaderboard, creating it with the current board
+ *
+ * Object options - Leaderboard options ({ by, period, level, limit })
+ * return Promise - Stream group
+ * throw ApiError - If an option is invalid or the leaderboard cannot be built
+ */
+async function getGroup(options) {
+    // Validates the options and normalizes the defaults
+    const leaderboard = await leaderboardService.getLeaderboard(options);
+    const { by, period, level } = leaderboard;
+    const key = `${by}:${period}:${level ?? "any"}:${options.limit}`;
+
+    // Another client may have created the group while the board was fetched
+    let group = groups.get(key);
+    if (!group) {
+        group = {
+            key,
+            options: { by, period, level, limit: options.limit },
+            clients: new Set(),
+            current: null,
+            history: [],
+        };
+        groups.set(key, group);
+        publish(group, leaderboard);
+    }
+
+    return group;
+}
+
+/**
+ * Remove a client from its group and release its slot, dropping groups nobody watches
+ *
+ * Object group - Stream group
+ * Response res - Client response
+ */
+function removeClient(group, res) {
+    group.clients.delete(res);
+    clientCount -= 1;
+    if (group.clients.size === 0) groups.delete(group.key);
+}
+
+/**
+ * Open a leaderboard stream on a response
+ * Sends the current board (unless the client is resuming and up to date), then heartbeats and updates
+ * until the client disconnects
+ *
+ * Request req - Client request
+ * Response res - Client response
+ * Object [options] - Leaderboard options (same as leaderboardService.getLeaderboard, without playerId)
+ * return Promise - Resolves once the stream is open
+ * throw ApiError - If too many streams are open or an option is invalid (before anything was sent)
+ */
+async function subscribe(req, res, options = {}) {
+    if (clientCount >= MAX_CLIENTS) throw new ApiError(503, "Too many open leaderboard streams, try again later");
+
+    // The slot is taken before the board is fetched, so concurrent subscribers cannot exceed the limit
+    clientCount += 1;
+
+    const { by, period, level, limit = 10 } = options;
+    let group;
+
+    try {
+        group = await getGroup({ by, period, level, limit });
+    } catch (error) {
+        clientCount -= 1;
+        throw error;
+    }
+
+    // The client may have gone while the board was fetched
+    if (req.socket.destroyed) return removeClient(group, res);
+
+    res.status(200).set({
+        "Content-Type": "text/event-stream",
+        "Cache-Control": "no-cache",
+        Connection: "keep-alive",
+        "X-Accel-Buffering": "no", // Keep proxies such as nginx from buffering the stream
+    });
+    res.flushHeaders();
+    res.write(`retry: ${RETRY_MS}\n\n`);
+
+    const lastEventId = req.headers["last-event-id"];
+    if (lastEventId !== group.current.eventId) {
+        const resumedFrom = group.history.find((snapshot) => snapshot.eventId === lastEventId);
+        sendSnapshot(res, group, resumedFrom?.board ?? null);
+    }
+
+    group.clients.add(res);
+
+    // Comments keep idle connections from being closed by proxies
+    const heartbeat = setInterval(() => res.write(": heartbeat\n\n"), HEARTBEAT_INTERVAL_MS);
+
+    res.on("close", () => {
+        clearInterval(heartbeat);
+        removeClient(group, res);
+    });
+}
+
+export default {
+    subscribe,
+};
@@ -0,0 +1,127 @@
+/**
+ * Login Attempt Service
+ * Tracks failed logins per username, slows down repeated failures and locks accounts temporarily
+ */
+import { ApiError } from "../middleware/errorHandler.js";
+import rateLimitStore from "./rateLimitStore.js";
+
+// Configuration constants
+const FREE_ATTEMPTS = parseInt(process.env.LOGIN_FREE_ATTEMPTS || "3", 10); // Failures before delays start
+const DELAY_BASE_MS = parseInt(process.env.LOGIN_DELAY_BASE_MS || "1000", 10); // Doubles with every failure
+const MAX_DELAY_MS = parseInt(process.env.LOGIN_MAX_DELAY_MS || "60000", 10);
+const LOCKOUT_THRESHOLD = parseInt(process.env.LOGIN_LOCKOUT_THRESHOLD || "10", 10);
+const LOCKOUT_DURATION_MS = parseInt(process.env.LOGIN_LOCKOUT_DURATION_MS || "900000", 10); // 15 minutes
+const FAILURE_WINDOW_MS = parseInt(process.env.LOGIN_FAILURE_WINDOW_MS || "900000", 10); // Failures are forgotten after
+
+/**
+ * Build the store key for a username
+ * Usernames are lowercased so case variations share one counter
+ *
+ * string username - Username
+ * return string - Store key
+ */
+function attemptKey(username) {
+    return `login:${String(username).toLowerCase()}`;
+}
+
+/**
+ * Seconds until a point in time, for the Retry-After header
+ *
+ * number until - Epoch milliseconds
+ * return number - Whole seconds, at least 1
+ */
+function retryAfterSeconds(until) {
+    return Math.max(1, Math.ceil((until - Date.now()) / 1000));
+}
+
+/**
+ * Make sure a login attempt is allowed for a username
+ *
+ * string username - Username
+ * throw ApiError - 423 if the account is locked, 429 if the progressive delay has not passed yet
+ */
+async function assertCanAttempt(username) {
+    const state = await rateLimitStore.getRateLimitStore().get(attemptKey(username));
+    if (!state) return;
+
+    const now = Date.now();
+
+    if (state.lockedUntil && state.lockedUntil > now) {
+        const retryAfter = retryAfterSeconds(state.lockedUntil);
+        throw new ApiError(423, `Account is temporarily locked. Try again in ${retryAfter} seconds`, true, {
+            headers: { "Retry-After": String(retryAfter) },
+        });
+    }
+
+    if (state.nextAttemptAt && state.nextAttemptAt > now) {
+        const retryAfter = retryAfterSeconds(state.nextAttemptAt);
+        throw new ApiError(429, `Too many failed login attempts. Try again in ${retryAfter} seconds`, true, {
+            headers: { "Retry-After": String(retryAfter) },
+        });
+    }
+}
+
+/**
+ * Record a failed login
+ * After FREE_ATTEMPTS failures every further failure doubles the wait before the next attempt,
+ * and LOCKOUT_THRESHOLD failures lock the account for LOCKOUT_DURATION_MS
+ *
+ * string username - Username
+ * return Promise - Updated state ({ failures, nextAttemptAt, lockedUntil })
+ */
+async function recordFailure(username) {
+    const store = rateLimitStore.getRateLimitStore();
+    const key = attemptKey(username);
+    const now = Date.now();
+    const previous = await store.get(key);
+    const failures = (previous?.failures || 0) + 1;
+
+    const state = { failures, nextAttemptAt: null, lockedUntil: null };
+
+    if (failures >= LOCKOUT_THRESHOLD) {
+        state.lockedUntil = now + LOCKOUT_DURATION_MS;
+    } else if (failures >= FREE_ATTEMPTS) {
+        state.nextAttemptAt = now + Math.min(DELAY_BASE_MS * 2 ** (failures - FREE_ATTEMPTS), MAX_DELAY_MS);
+    }
+
+    await store.set(key, state, Math.max(FAILURE_WINDOW_MS, LOCKOUT_DURATION_MS));
+
+    return state;
+}
+
+/**
+ * Forget failed logins after a successful one
+ *
+ * string username - Username
+ */
+async function recordSuccess(username) {
+    await rateLimitStore.getRateLimitStore().delete(attemptKey(username));
+}
+
+/**
+ * Get the failed login state of a username
+ *
+ * string username - Username
+ * return Promise - { failures, nextAttemptAt, lockedUntil } or null if no failures are recorded
+ */
+async function getState(username) {
+    return (await rateLimitStore.getRateLimitStore().get(attemptKey(username))) ?? null;
+}
+
+/**
+ * Clear a lockout and failed login history (admin action)
+ *
+ * string username - Username
+ * return Promise<boolean> - True if there was anything to clear
+ */
+async function clearLockout(username) {
+    return rateLimitStore.getRateLimitStore().delete(attemptKey(username));
+}
+
+export default {
+    assertCanAttempt,
+    recordFailure,
+    recordSuccess,
+    getState,
+    clearLockout,
+};
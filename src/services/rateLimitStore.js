@@ -0,0 +1,117 @@
+/**
+ * Rate Limit Store
+ * Storage for request counters and failed login state
+ *
+ * The default store lives in memory, which is enough for a single server instance.
+ * A shared store (e.g. Redis) can be plugged in with setRateLimitStore for multi-instance deployments.
+ */
+
+/**
+ * In-memory rate limit store
+ *
+ * Any replacement store must implement the same async methods:
+ * increment(key, windowMs), get(key), set(key, value, ttlMs) and delete(key)
+ */
+class MemoryRateLimitStore {
+    constructor() {
+        this.entries = new Map(); // key -> { value, expiresAt }
+    }
+
+    /**
+     * Increment a counter in a fixed time window
+     *
+     * string key - Counter key
+     * number windowMs - Window length; the counter restarts after it
+     * return Promise - { count, resetAt } where resetAt is the window end (epoch ms)
+     */
+    async increment(key, windowMs) {
+        const now = Date.now();
+        const entry = this.entries.get(key);
+
+        if (!entry || entry.expiresAt <= now) {
+            this.removeExpired();
+            this.entries.set(key, { value: 1, expiresAt: now + windowMs });
+            return { count: 1, resetAt: now + windowMs };
+        }
+
+        entry.value += 1;
+        return { count: entry.value, resetAt: entry.expiresAt };
+    }
+
+    /**
+     * Get a stored value
+     *
+     * string key - Entry key
+     * return Promise - Stored value or null if missing or expired
+     */
+    async get(key) {
+        const entry = this.entries.get(key);
+
+        if (!entry) return null;
+
+        if (entry.expiresAt <= Date.now()) {
+            this.entries.delete(key);
+            return null;
+        }
+
+        return entry.value;
+    }
+
+    /**
+     * Store a value
+     *
+     * string key - Entry key
+     * any value - Value to store
+     * number ttlMs - Time to live in milliseconds
+     */
+    async set(key, value, ttlMs) {
+        this.entries.set(key, { value, expiresAt: Date.now() + ttlMs });
+    }
+
+    /**
+     * Delete a value
+     *
+     * string key - Entry key
+     * return Promise<boolean> - True if an entry existed
+     */
+    async delete(key) {
+        return this.entries.delete(key);
+    }
+
+    /**
+     * Drop expired entries
+     */
+    removeExpired() {
+        const now = Date.now();
+
+        for (const [key, entry] of this.entries) {
+            if (entry.expiresAt <= now) this.entries.delete(key);
+        }
+    }
+}
+
+let store = new MemoryRateLimitStore();
+
+/**
+ * Replace the rate limit store
+ *
+ * Object customStore - Store implementing the MemoryRateLimitStore methods
+ */
+function setRateLimitStore(customStore) {
+    store = customStore;
+}
+
+/**
+ * Get the active rate limit store
+ *
+ * return Object - Rate limit store
+ */
+function getRateLimitStore() {
+    return store;
+}
+
+export default {
+    MemoryRateLimitStore,
+    setRateLimitStore,
+    getRateLimitStore,
+};
@@ -0,0 +1,155 @@
+/**
+ * Riddle Selection Service
+ * Picks random riddles a player has not solved yet, optionally adapting the difficulty to their recent results
+ *
+ * The adaptive level starts from the level of the player's latest solve and moves one step up when
+ * they solve most riddles quickly, or one step down when they fail often or solve slowly.
+ * Restrictions are relaxed in order when nothing matches: first the adaptive level, then the solved history.
+ * Explicit level, tag and exclude filters are never relaxed, and today's daily riddle is never picked.
+ */
+import Riddle from "../models/Riddle.js";
+import Player from "../models/Player.js";
+import GameSession from "../models/GameSession.js";
+import dailyRiddleService from "./dailyRiddleService.js";
+import { ApiError } from "../middleware/errorHandler.js";
+
+// Configuration constants
+const LEVEL_ORDER = ["easy", "medium", "hard"];
+const ADAPTIVE_WINDOW = parseInt(process.env.RANDOM_ADAPTIVE_WINDOW || "20", 10); // Recent sessions considered
+const MIN_ADAPTIVE_SESSIONS = 3; // Fewer finished sessions than this leave the level open
+const FAST_SOLVE_MS = parseInt(process.env.RANDOM_FAST_SOLVE_MS || "60000", 10);
+const SLOW_SOLVE_MS = parseInt(process.env.RANDOM_SLOW_SOLVE_MS || "180000", 10);
+const PROMOTE_SUCCESS_RATE = 0.8;
+const DEMOTE_SUCCESS_RATE = 0.5;
+const MAX_EXCLUDED = 100;
+
+/**
+ * Median of a list of numbers
+ *
+ * Array values - Numbers
+ * return number|null - Median, or null for an empty list
+ */
+function median(values) {
+    if (values.length === 0) return null;
+
+    const sorted = [...values].sort((a, b) => a - b);
+    const middle = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+/**
+ * Suggest a difficulty level from a player's recent results
+ *
+ * number playerId - Player's ID
+ * return Promise - { level, successRate, medianTime } with level null when there is not enough history
+ */
+async function suggestLevel(playerId) {
+    const [sessions, scores] = await Promise.all([
+        GameSession.findRecentFinished(playerId, ADAPTIVE_WINDOW),
+        Player.getRecentScores(playerId, ADAPTIVE_WINDOW),
+    ]);
+
+    if (sessions.length < MIN_ADAPTIVE_SESSIONS || scores.length === 0)
+        return { level: null, successRate: null, medianTime: null };
+
+    const successRate = sessions.filter((session) => session.status === "completed").length / sessions.length;
+    const medianTime = median(scores.map((score) => score.time_to_solve + (score.penalty_ms || 0)));
+    const current = LEVEL_ORDER.indexOf(scores[0].riddle_level);
+
+    // Scores from before levels were recorded have none; start in the middle
+    let index = current === -1 ? 1 : current;
+    if (successRate >= PROMOTE_SUCCESS_RATE && medianTime <= FAST_SOLVE_MS) index += 1;
+    else if (successRate < DEMOTE_SUCCESS_RATE || medianTime >= SLOW_SOLVE_MS) index -= 1;
+
+    return {
+        level: LEVEL_ORDER[Math.min(Math.max(index, 0), LEVEL_ORDER.length - 1)],
+        successRate,
+        medianTime,
+    };
+}
+
+/**
+ * Parse random riddle query parameters
+ *
+ * Object query - Request query (req.query)
+ * return Object - { level, tag, exclude, adaptive }
+ * throw ApiError - If a parameter is invalid
+ */
+function parseSelectionQuery(query) {
+    const { level, tag, exclude, adaptive } = query;
+
+    if (level !== undefined && !Riddle.isValidLevel(level))
+        throw new ApiError(400, `Level must be one of: ${LEVEL_ORDER.join(", ")}`);
+
+    const excludeIds = typeof exclude === "string" ? exclude.split(",").map((id) => id.trim()).filter(Boolean) : [];
+
+    if (excludeIds.length > MAX_EXCLUDED) throw new ApiError(400, `At most ${MAX_EXCLUDED} riddles can be excluded`);
+    if (excludeIds.some((id) => !/^[a-f\d]{24}$/i.test(id))) throw new ApiError(400, "Invalid riddle ID in exclude");
+
+    return {
+        level: level ?? null,
+        tag: typeof tag === "string" ? Riddle.normalizeTags([tag])[0] ?? null : null,
+        exclude: excludeIds,
+        adaptive: adaptive === "true",
+    };
+}
+
+/**
+ * Select a random riddle
+ * Today's daily riddle is left out: it may only be played once, in a daily session
+ *
+ * Object [options] - Selection options
+ * number [options.playerId] - Authenticated player; their solved riddles are skipped
+ * string [options.level] - Only riddles of this level
+ * string [options.tag] - Only riddles with this tag
+ * Array [options.exclude=[]] - Riddle IDs to skip
+ * boolean [options.adaptive=false] - Pick the level from the player's recent results (ignored with an explicit level)
+ * return Promise - { riddle, selection } where selection describes the applied restrictions
+ * throw ApiError - 404 if no riddle matches the explicit filters
+ */
+async function selectRiddle(options = {}) {
+    const { playerId = null, level = null, tag = null, exclude = [], adaptive = false } = options;
+
+    const filters = {};
+    if (level) filters.level = level;
+    if (tag) filters.tags = tag;
+
+    const [solvedIds, suggestion, dailyId] = await Promise.all([
+        playerId ? Player.getSolvedRiddleIds(playerId) : [],
+        playerId && adaptive && !level ? suggestLevel(playerId) : null,
+        dailyRiddleService.getTodaysRiddleId(),
+    ]);
+    const excluded = dailyId ? [...exclude, dailyId] : exclude;
+
+    // Most restrictive first; each later attempt relaxes one soft restriction
+    const attempts = [];
+    if (suggestion?.level) attempts.push({ adaptiveLevel: suggestion.level, skipSolved: true });
+    attempts.push({ adaptiveLevel: null, skipSolved: true });
+    if (solvedIds.length > 0) attempts.push({ adaptiveLevel: null, skipSolved: false });
+
+    for (const attempt of attempts) {
+        const riddle = await Riddle.findRandom(
+            attempt.adaptiveLevel ? { ...filters, level: attempt.adaptiveLevel } : filters,
+            attempt.skipSolved ? [...excluded, ...solvedIds] : excluded
+        );
+
+        if (riddle) {
+            return {
+                riddle,
+                selection: {
+                    level: riddle.level,
+                    adaptiveLevel: attempt.adaptiveLevel,
+                    ...(suggestion && { successRate: suggestion.successRate, medianTime: suggestion.medianTime }),
+                    unsolvedOnly: Boolean(playerId) && attempt.skipSolved,
+                },
+            };
+        }
+    }
+
+    throw new ApiError(404, "No riddles found matching the criteria");
+}
+
+export default {
+    parseSelectionQuery,
+    selectRiddle,
+};
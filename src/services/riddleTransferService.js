@@ -0,0 +1,350 @@
+/**
+ * Riddle Transfer Service
+ * Bulk import and export of riddles as a JSON array, NDJSON or CSV
+ *
+ * Exports are streamed from a database cursor and imports are read and written in batches,
+ * so neither holds a whole file in memory. Imported riddles are matched to existing ones by
+ * question key (see Riddle.questionKey): duplicates are skipped, or overwritten in upsert mode
+ * (only the fields a record holds, so a CSV without a status column keeps each riddle's status).
+ * CSV cells hold list fields (alternativeAnswers, hints, tags) as "|" separated values, or as a
+ * JSON array when an item contains "|". Only the default locale is transferred; translations are kept
+ * when a riddle is overwritten.
+ */
+import Riddle from "../models/Riddle.js";
+import riddleSchemas from "../validators/riddleSchemas.js";
+import recordStream from "../utils/recordStream.js";
+import csv from "../utils/csv.js";
+import responseStream from "../utils/responseStream.js";
+import localeUtil from "../utils/locale.js";
+import { ApiError } from "../middleware/errorHandler.js";
+
+// Configuration constants
+const IMPORT_BATCH_SIZE = 500;
+const MAX_IMPORT_ROWS = parseInt(process.env.RIDDLE_IMPORT_MAX_ROWS || "50000", 10);
+const MAX_IMPORT_BYTES = parseInt(process.env.RIDDLE_IMPORT_MAX_BYTES || "20971520", 10); // 20 MB
+const MAX_REPORTED_ERRORS = 100;
+const MAX_PREVIEW_ROWS = 100;
+const IMPORT_MODES = ["skip", "upsert"];
+const LIST_SEPARATOR = "|";
+const LIST_FIELDS = ["alternativeAnswers", "hints", "tags"];
+const EXPORT_FIELDS = [
+    "id",
+    "question",
+    "answer",
+    "alternativeAnswers",
+    "hints",
+    "locale",
+    "level",
+    "category",
+    "tags",
+    "status",
+    "createdAt",
+];
+
+// Upload content types each format is detected from
+const UPLOAD_TYPES = {
+    "application/json": "json",
+    "application/x-ndjson": "ndjson",
+    "application/ndjson": "ndjson",
+    "application/jsonl": "ndjson",
+    "text/csv": "csv",
+};
+
+/**
+ * Resolve the format of a request
+ *
+ * string [format] - Explicit format (?format=)
+ * string [contentType] - Content-Type of an upload, used when no format is given
+ * return string - json, ndjson or csv
+ * throw ApiError - If the format is unknown or cannot be detected
+ */
+function resolveFormat(format, contentType) {
+    if (format === undefined && contentType) format = UPLOAD_TYPES[contentType.split(";")[0].trim().toLowerCase()];
+
+    if (!recordStream.isFormat(format))
+        throw new ApiError(400, `Format must be one of: ${recordStream.FORMATS.join(", ")}`);
+
+    return format;
+}
+
+/**
+ * Export view of a riddle document
+ *
+ * Object riddle - Riddle document
+ * return Object - Record with the EXPORT_FIELDS
+ */
+function toExportRecord(riddle) {
+    return {
+        id: riddle._id.toString(),
+        question: riddle.question,
+        answer: riddle.answer,
+        alternativeAnswers: riddle.alternativeAnswers || [],
+        hints: riddle.hints || [],
+        locale: riddle.locale || localeUtil.DEFAULT_LOCALE,
+        level: riddle.level,
+        category: riddle.category ?? null,
+        tags: riddle.tags || [],
+        status: riddle.status || "approved",
+        createdAt: riddle.createdAt instanceof Date ? riddle.createdAt.toISOString() : null,
+    };
+}
+
+/**
+ * Format a list field for a CSV cell
+ *
+ * Array items - List values
+ * return string - "|" separated values, or a JSON array if a value contains "|"
+ */
+function formatList(items) {
+    return items.some((item) => item.includes(LIST_SEPARATOR)) ? JSON.stringify(items) : items.join(LIST_SEPARATOR);
+}
+
+/**
+ * CSV fields of an export record
+ *
+ * Object record - Export record
+ * return Array - Field values in EXPORT_FIELDS order
+ */
+function toCsvRow(record) {
+    return EXPORT_FIELDS.map((field) => (LIST_FIELDS.includes(field) ? formatList(record[field]) : record[field]));
+}
+
+/**
+ * Parse a CSV cell holding a list field
+ *
+ * string value - Cell text
+ * return Array|string - List values; JSON that does not parse is returned as is and fails validation
+ */
+function parseList(value) {
+    const text = value.trim();
+
+    if (text.startsWith("[")) {
+        try {
+            return JSON.parse(text);
+        } catch {
+            return value;
+        }
+    }
+
+    return text
+        .split(LIST_SEPARATOR)
+        .map((item) => item.trim())
+        .filter(Boolean);
+}
+
+/**
+ * Turn a CSV record into riddle data
+ * Empty cells leave the field unset, so defaults apply. Cells escaped against formulas on export
+ * (see utils/csv.js) are restored.
+ *
+ * Object record - Cells by header name
+ * return Object - Riddle data
+ */
+function fromCsvRecord(record) {
+    const data = {};
+
+    for (const [field, cell] of Object.entries(record)) {
+        if (cell.trim() === "") continue;
+
+        const value = csv.restoreFormula(cell);
+        data[field] = LIST_FIELDS.includes(field) ? parseList(value) : value;
+    }
+
+    return data;
+}
+
+/**
+ * Export riddles to a response
+ * Headers are sent before the first riddle is read; a failure after that aborts the download, so the client
+ * sees it truncated, and is passed on to the error handler
+ *
+ * Response res - Response to stream to
+ * Object [options] - Export options
+ * string [options.format='json'] - json, ndjson or csv
+ * string [options.status] - Only riddles with this moderation status
+ * string [options.level] - Only riddles of this level
+ * string [options.category] - Only riddles of this category
+ * Array|string [options.tags] - Only riddles carrying all these tags
+ * return Promise - Resolves when the export is written
+ * throw ApiError|Error - If an option is invalid, or reading the riddles fails (the response is destroyed)
+ */
+async function exportRiddles(res, options = {}) {
+    const { format = "json", status, level, category, tags } = options;
+
+    resolveFormat(format);
+    const { filters } = Riddle.buildSearchQuery({ level, category, tags });
+    const cursor = Riddle.findCursor(status ? { ...filters, ...Riddle.statusFilter(status) } : filters);
+
+    const date = new Date().toISOString().slice(0, 10);
+
+    await responseStream.streamRecords(res, cursor, {
+        format,
+        filename: `riddles-${date}`,
+        toRecord: toExportRecord,
+        csvHeader: EXPORT_FIELDS,
+        toCsvRow,
+    });
+}
+
+/**
+ * Validate one imported record
+ *
+ * Object data - Riddle data
+ * return Object - { value } or { errors } with field-level errors ({ field, message })
+ */
+function validateRecord(data) {
+    const { value, error } = riddleSchemas.importRiddle.validate(data, { abortEarly: false, stripUnknown: true });
+    if (!error) return { value };
+
+    return { errors: error.details.map((detail) => ({ field: detail.path.join("."), message: detail.message })) };
+}
+
+/**
+ * Record a rejected row in an import report
+ *
+ * Object report - Import report
+ * number row - Record position
+ * Array errors - Field-level errors
+ */
+function addRowError(report, row, errors) {
+    report.invalid += 1;
+    if (report.errors.length < MAX_REPORTED_ERRORS) report.errors.push({ row, errors });
+}
+
+/**
+ * Decide what happens to a batch of valid rows and write it (unless dry-running)
+ *
+ * Array batch - { row, data, key }
+ * Object context - { mode, dryRun, importer, seenRows, report }
+ * return Promise - Resolves when the batch is written
+ * throw ApiError - If the database write fails
+ */
+async function processBatch(batch, context) {
+    const { mode, dryRun, importer, seenRows, report } = context;
+    if (batch.length === 0) return;
+
+    try {
+        const existing = await Riddle.findIdsByQuestionKeys([...new Set(batch.map((item) => item.key))]);
+        const inserts = [];
+        const updates = [];
+
+        for (const { row, data, key } of batch) {
+            const riddleId = existing.get(key)?.toString() ?? null;
+            let outcome;
+
+            if (seenRows.has(key)) {
+                outcome = { action: "skip", reason: `Same question as row ${seenRows.get(key)}` };
+            } else if (riddleId && mode === "skip") {
+                outcome = { action: "skip", riddleId, reason: "Riddle already exists" };
+            } else if (riddleId) {
+                outcome = { action: "update", riddleId };
+                updates.push({ id: existing.get(key), data });
+            } else {
+                outcome = { action: "insert" };
+                inserts.push(data);
+            }
+
+            if (!seenRows.has(key)) seenRows.set(key, row);
+
+            if (outcome.action === "insert") report.inserted += 1;
+            else if (outcome.action === "update") report.updated += 1;
+            else report.skipped += 1;
+
+            if (report.preview && report.preview.length < MAX_PREVIEW_ROWS)
+                report.preview.push({ row, question: data.question, ...outcome });
+        }
+
+        if (!dryRun) await Riddle.bulkImport(inserts, updates, importer);
+    } catch (error) {
+        throw new ApiError(500, `Failed to import riddles: ${error.message}`);
+    }
+}
+
+/**
+ * Import riddles from a stream
+ * Valid rows are written in batches as they are read, so rows before a failure stay imported.
+ * Riddles created before duplicate detection get their question key first (also in dry runs).
+ *
+ * Readable stream - Upload (e.g. the request)
+ * Object options - Import options
+ * string options.format - json, ndjson or csv
+ * string [options.mode='skip'] - What to do with riddles that already exist: skip or upsert (overwrite)
+ * boolean [options.dryRun=false] - Only report what would happen, with a preview of the first rows
+ * Object [options.importer] - User running the import (req.user), recorded as author or editor
+ * return Promise - { format, mode, dryRun, total, inserted, updated, skipped, invalid, truncated, errors, preview? }
+ *   where inserted, updated and skipped are planned counts in a dry run
+ * throw ApiError - If an option is invalid, the upload is too large or malformed or the database write fails
+ */
+async function importRiddles(stream, options = {}) {
+    const { format, mode = "skip", dryRun = false, importer = null } = options;
+
+    if (!recordStream.isFormat(format))
+        throw new ApiError(400, `Format must be one of: ${recordStream.FORMATS.join(", ")}`);
+    if (!IMPORT_MODES.includes(mode)) throw new ApiError(400, `Mode must be one of: ${IMPORT_MODES.join(", ")}`);
+
+    // The upload is not read by express.json, so its size is checked here (declared first, then as it is read)
+    if (Number(stream.headers?.["content-length"]) > MAX_IMPORT_BYTES)
+        throw new ApiError(413, `Uploads must be at most ${MAX_IMPORT_BYTES} bytes`);
+
+    await Riddle.backfillQuestionKeys();
+
+    const report = {
+        format,
+        mode,
+        dryRun,
+        total: 0,
+        inserted: 0,
+        updated: 0,
+        skipped: 0,
+        invalid: 0,
+        truncated: false,
+        errors: [],
+        ...(dryRun && { preview: [] }),
+    };
+    const context = { mode, dryRun, importer, seenRows: new Map(), report };
+    let batch = [];
+
+    try {
+        const records = recordStream.readRecords(stream, format, { maxBytes: MAX_IMPORT_BYTES });
+
+        for await (const { row, record, error } of records) {
+            // Rows past the limit are not read; the report says so
+            if (row > MAX_IMPORT_ROWS) {
+                report.truncated = true;
+                break;
+            }
+
+            report.total = row;
+
+            if (error) {
+                addRowError(report, row, [{ field: null, message: error }]);
+                continue;
+            }
+
+            const { value, errors } = validateRecord(format === "csv" ? fromCsvRecord(record) : record);
+            if (errors) {
+                addRowError(report, row, errors);
+                continue;
+            }
+
+            batch.push({ row, data: value, key: Riddle.questionKey(value.question) });
+            if (batch.length >= IMPORT_BATCH_SIZE) {
+                await processBatch(batch, context);
+                batch = [];
+            }
+        }
+
+        await processBatch(batch, context);
+    } catch (error) {
+        if (error instanceof ApiError) throw error;
+        throw new ApiError(400, `Invalid ${format} upload: ${error.message}`);
+    }
+
+    return report;
+}
+
+export default {
+    resolveFormat,
+    exportRiddles,
+    importRiddles,
+};
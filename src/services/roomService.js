@@ -0,0 +1,409 @@
+/**
+ * Room Service
+ * Multiplayer riddle rooms: a host creates a room, others join with its code and everyone races
+ * through the same riddles. Answers are checked and timed on the server.
+ *
+ * The service is transport independent: members are { id, username, send } where send(message)
+ * delivers a message object to that player (see websocket/roomsSocket.js).
+ */
+import crypto from "crypto";
+import Player from "../models/Player.js";
+import Riddle from "../models/Riddle.js";
+import riddleSelectionService from "./riddleSelectionService.js";
+import answerMatcher from "../utils/answerMatcher.js";
+import localeUtil from "../utils/locale.js";
+import scoring from "../utils/scoring.js";
+import { ApiError } from "../middleware/errorHandler.js";
+
+// Configuration constants
+const MAX_PLAYERS = parseInt(process.env.ROOM_MAX_PLAYERS || "8", 10);
+const MIN_PLAYERS = parseInt(process.env.ROOM_MIN_PLAYERS || "2", 10);
+const DEFAULT_ROUNDS = 5;
+const MAX_ROUNDS = 20;
+const ROUND_TIME_MS = parseInt(process.env.ROOM_ROUND_TIME_MS || "60000", 10);
+const ROUND_BREAK_MS = parseInt(process.env.ROOM_ROUND_BREAK_MS || "5000", 10); // Pause to show standings
+const CODE_ALPHABET = "ABCDEFGHJKLMNPQRSTUVWXYZ23456789"; // No 0/O or 1/I lookalikes
+const CODE_LENGTH = 6;
+
+const rooms = new Map(); // code -> room
+const memberships = new Map(); // player ID -> room code
+
+/**
+ * Generate a room code that is not in use
+ *
+ * return string - Room code
+ */
+function generateCode() {
+    const randomChar = () => CODE_ALPHABET[crypto.randomInt(CODE_ALPHABET.length)];
+    let code;
+
+    do {
+        code = Array.from({ length: CODE_LENGTH }, randomChar).join("");
+    } while (rooms.has(code));
+
+    return code;
+}
+
+/**
+ * Send a message to every member of a room
+ *
+ * Object room - Room
+ * Object message - Message object
+ */
+function broadcast(room, message) {
+    for (const member of room.members.values()) member.send(message);
+}
+
+/**
+ * Current standings of a room, best first
+ * Ranked by points, then by total solve time
+ *
+ * Object room - Room
+ * return Array - { rank, id, username, points, solved, totalTime }
+ */
+function getStandings(room) {
+    const results = [...room.results.values()].sort(
+        (a, b) => b.points - a.points || a.totalTime - b.totalTime || a.id - b.id
+    );
+
+    return results.map((result, i) => ({ rank: i + 1, ...result }));
+}
+
+/**
+ * Public view of a room
+ *
+ * Object room - Room
+ * return Object - Room summary
+ */
+function describeRoom(room) {
+    return {
+        code: room.code,
+        hostId: room.hostId,
+        status: room.status,
+        rounds: room.rounds,
+        locale: room.locale,
+        round: room.roundIndex + 1,
+        players: [...room.members.values()].map(({ id, username }) => ({ id, username })),
+        standings: getStandings(room),
+    };
+}
+
+/**
+ * Get the room a player is in
+ *
+ * number playerId - Player's ID
+ * return Object - Room
+ * throw ApiError - If the player is not in a room
+ */
+function getMemberRoom(playerId) {
+    const room = rooms.get(memberships.get(playerId));
+    if (!room) throw new ApiError(400, "You are not in a room");
+
+    return room;
+}
+
+/**
+ * Add a member to a room
+ *
+ * Object room - Room
+ * Object member - { id, username, send }
+ */
+function addMember(room, member) {
+    room.members.set(member.id, member);
+    memberships.set(member.id, room.code);
+
+    if (!room.results.has(member.id))
+        room.results.set(member.id, { id: member.id, username: member.username, points: 0, solved: 0, totalTime: 0 });
+}
+
+/**
+ * Create a room hosted by a player
+ *
+ * Object host - Member creating the room ({ id, username, send })
+ * Object [options] - Room options
+ * number [options.rounds=DEFAULT_ROUNDS] - Number of riddles to play
+ * string [options.level] - Only riddles of this level
+ * string [options.lang] - Locale to play in; riddles without that translation are played in their default locale
+ * return Object - Room summary
+ * throw ApiError - If the player is already in a room or the options are invalid
+ */
+function createRoom(host, options = {}) {
+    const { rounds = DEFAULT_ROUNDS, level = null, lang = null } = options;
+    const locale = lang === null ? null : localeUtil.canonicalize(lang);
+
+    if (memberships.has(host.id)) throw new ApiError(409, "You are already in a room");
+    if (!Number.isInteger(rounds) || rounds < 1 || rounds > MAX_ROUNDS)
+        throw new ApiError(400, `Rounds must be an integer between 1 and ${MAX_ROUNDS}`);
+    if (level !== null && !Riddle.isValidLevel(level))
+        throw new ApiError(400, "Level must be one of: easy, medium, hard");
+    if (lang !== null && !locale) throw new ApiError(400, "Lang must be a valid language tag");
+
+    const room = {
+        code: generateCode(),
+        hostId: host.id,
+        status: "lobby", // lobby, playing, finished
+        rounds,
+        level,
+        locale,
+        roundIndex: -1,
+        riddles: [],
+        round: null, // { riddle, startedAt, endsAt, solvedBy: Map(playerId -> timeToSolve), timer }
+        members: new Map(),
+        results: new Map(),
+        breakTimer: null,
+    };
+
+    rooms.set(room.code, room);
+    addMember(room, host);
+
+    return describeRoom(room);
+}
+
+/**
+ * Join a room with its code
+ *
+ * string code - Room code
+ * Object member - Member joining ({ id, username, send })
+ * return Object - Room summary
+ * throw ApiError - If the room does not exist, is full or already started
+ */
+function joinRoom(code, member) {
+    const room = rooms.get(String(code || "").toUpperCase());
+
+    if (!room) throw new ApiError(404, "Room not found");
+    if (memberships.has(member.id)) throw new ApiError(409, "You are already in a room");
+    if (room.status !== "lobby") throw new ApiError(409, "The game in this room has already started");
+    if (room.members.size >= MAX_PLAYERS) throw new ApiError(409, "Room is full");
+
+    addMember(room, member);
+    broadcast(room, { type: "player_joined", player: { id: member.id, username: member.username } });
+
+    return describeRoom(room);
+}
+
+/**
+ * Close a room and stop its timers
+ *
+ * Object room - Room
+ */
+function closeRoom(room) {
+    clearTimeout(room.round?.timer);
+    clearTimeout(room.breakTimer);
+
+    for (const id of room.members.keys()) memberships.delete(id);
+    rooms.delete(room.code);
+}
+
+/**
+ * Remove a player from their room (leaving or disconnecting)
+ * The host role passes to the longest-present member; empty rooms are closed
+ *
+ * number playerId - Player's ID
+ * Object [connection] - Only leave if this member object is the one in the room (ignores other connections)
+ */
+function leaveRoom(playerId, connection = null) {
+    const room = rooms.get(memberships.get(playerId));
+    if (!room) return;
+
+    const member = room.members.get(playerId);
+    if (connection && member !== connection) return;
+
+    room.members.delete(playerId);
+    memberships.delete(playerId);
+
+    // Players who never scored leave no trace in the standings
+    if (room.status === "lobby") room.results.delete(playerId);
+
+    if (room.members.size === 0) return closeRoom(room);
+
+    if (room.hostId === playerId) room.hostId = room.members.keys().next().value;
+
+    broadcast(room, { type: "player_left", player: { id: playerId, username: member.username }, hostId: room.hostId });
+
+    // The remaining players may all have solved the current riddle already
+    if (room.status === "playing" && room.round && isRoundComplete(room)) endRound(room);
+}
+
+/**
+ * Check whether every member solved the current riddle
+ *
+ * Object room - Room
+ * return boolean - True if nobody is still answering
+ */
+function isRoundComplete(room) {
+    return [...room.members.keys()].every((id) => room.round.solvedBy.has(id));
+}
+
+/**
+ * Start the game of a room (host only)
+ * Picks all riddles up front so every player gets the same ones
+ *
+ * number playerId - Host's ID
+ * return Promise - Resolves when the first round started
+ * throw ApiError - If the caller is not the host, the room is not ready or there are not enough riddles
+ */
+async function startGame(playerId) {
+    const room = getMemberRoom(playerId);
+
+    if (room.hostId !== playerId) throw new ApiError(403, "Only the host can start the game");
+    if (room.status !== "lobby") throw new ApiError(409, "The game has already started");
+    if (room.members.size < MIN_PLAYERS) throw new ApiError(409, `At least ${MIN_PLAYERS} players are needed to start`);
+
+    room.status = "playing";
+
+    try {
+        const riddles = [];
+        for (let i = 0; i < room.rounds; i++) {
+            const { riddle } = await riddleSelectionService.selectRiddle({
+                level: room.level,
+                exclude: riddles.map((picked) => picked._id.toString()),
+            });
+            riddles.push(Riddle.localize(riddle, room.locale ? [room.locale] : []));
+        }
+        room.riddles = riddles;
+    } catch (error) {
+        room.status = "lobby";
+        if (error instanceof ApiError && error.statusCode === 404)
+            throw new ApiError(409, `Not enough riddles for ${room.rounds} rounds`);
+        throw error;
+    }
+
+    // Everyone may have left while the riddles were picked
+    if (!rooms.has(room.code)) return;
+
+    broadcast(room, { type: "game_started", room: describeRoom(room) });
+    startRound(room);
+}
+
+/**
+ * Start the next round of a room
+ *
+ * Object room - Room
+ */
+function startRound(room) {
+    room.roundIndex += 1;
+
+    const riddle = room.riddles[room.roundIndex];
+    const startedAt = Date.now();
+
+    room.round = {
+        riddle,
+        startedAt,
+        endsAt: startedAt + ROUND_TIME_MS,
+        solvedBy: new Map(),
+        timer: setTimeout(() => endRound(room), ROUND_TIME_MS),
+    };
+
+    broadcast(room, {
+        type: "round_started",
+        round: room.roundIndex + 1,
+        rounds: room.rounds,
+        riddle: Riddle.toPublic(riddle),
+        endsAt: new Date(room.round.endsAt).toISOString(),
+    });
+}
+
+/**
+ * End the current round, reveal the answer and move on (or finish the game)
+ *
+ * Object room - Room
+ */
+function endRound(room) {
+    if (!room.round || !rooms.has(room.code)) return;
+
+    const { riddle, timer } = room.round;
+    clearTimeout(timer);
+    room.round = null;
+
+    const isLastRound = room.roundIndex + 1 >= room.rounds;
+
+    broadcast(room, {
+        type: "round_ended",
+        round: room.roundIndex + 1,
+        answer: riddle.answer,
+        standings: getStandings(room),
+    });
+
+    if (isLastRound) {
+        room.status = "finished";
+        broadcast(room, { type: "game_ended", standings: getStandings(room) });
+        return closeRoom(room);
+    }
+
+    room.breakTimer = setTimeout(() => startRound(room), ROUND_BREAK_MS);
+}
+
+/**
+ * Answer the current riddle of the player's room
+ * Wrong answers can be retried until the round ends; a correct one scores, and is written to the player's stats
+ * unless they scored that riddle before
+ *
+ * number playerId - Player's ID
+ * string answer - Player's guess
+ * return Promise - { correct, timeToSolve, points }
+ * throw ApiError - If no round is running or the player already solved it
+ */
+async function submitAnswer(playerId, answer) {
+    const room = getMemberRoom(playerId);
+
+    if (room.status !== "playing" || !room.round) throw new ApiError(409, "No round is running");
+    if (typeof answer !== "string" || !answer.trim()) throw new ApiError(400, "Answer is required");
+
+    const { round } = room;
+    if (round.solvedBy.has(playerId)) throw new ApiError(409, "You already solved this riddle");
+
+    const { correct } = answerMatcher.matchAnswer(answer, round.riddle);
+    if (!correct) return { correct: false, timeToSolve: null, points: null };
+
+    const timeToSolve = Date.now() - round.startedAt;
+    const points = scoring.calculatePoints({ level: round.riddle.level, timeToSolve });
+
+    round.solvedBy.set(playerId, timeToSolve);
+
+    const result = room.results.get(playerId);
+    result.points += points;
+    result.solved += 1;
+    result.totalTime += timeToSolve;
+
+    broadcast(room, {
+        type: "player_solved",
+        player: { id: playerId, username: result.username },
+        position: round.solvedBy.size,
+    });
+
+    if (isRoundComplete(room)) endRound(room);
+
+    // Room results count toward the player's stats, once per riddle: answers are revealed at the end of
+    // each round, so replaying a riddle in another room must not score it again.
+    // A storage failure must not stop the game
+    try {
+        const riddleId = round.riddle._id.toString();
+
+        if (!(await Player.hasScored(playerId, riddleId)))
+            await Player.submitScore(playerId, riddleId, timeToSolve, { level: round.riddle.level });
+    } catch (error) {
+        console.error(`✘ Failed to record room score for player ${playerId}:`, error.message);
+    }
+
+    return { correct: true, timeToSolve, points };
+}
+
+/**
+ * Get the room a player is in
+ *
+ * number playerId - Player's ID
+ * return Object|null - Room summary or null
+ */
+function getPlayerRoom(playerId) {
+    const room = rooms.get(memberships.get(playerId));
+    return room ? describeRoom(room) : null;
+}
+
+export default {
+    createRoom,
+    joinRoom,
+    leaveRoom,
+    startGame,
+    submitAnswer,
+    getPlayerRoom,
+};
@@ -0,0 +1,81 @@
+/**
+ * Token Revocation Store
+ * Keeps track of single access tokens that were revoked (logout) before they expired
+ *
+ * The default store lives in memory, so it only works for a single server process: revocations are lost
+ * on restart and not shared between instances, where a logged-out access token stays valid until it
+ * expires. Run one instance, or plug in a shared store (e.g. Redis) with setRevocationStore.
+ * Logout from all devices and password changes do not depend on this store: they bump the user's token
+ * version in the database, and refresh tokens are revoked in the database as well.
+ */
+
+/**
+ * In-memory revocation store
+ *
+ * Any replacement store must implement the same async methods: revokeToken(jti, expiresAt) and isRevoked(tokenData)
+ */
+class MemoryRevocationStore {
+    constructor() {
+        this.revokedTokens = new Map(); // jti -> expiry (epoch seconds)
+    }
+
+    /**
+     * Revoke a single token
+     *
+     * string jti - Token ID
+     * number expiresAt - Token expiry (epoch seconds); the entry is dropped after it
+     */
+    async revokeToken(jti, expiresAt) {
+        if (!jti) return; // Tokens issued before token IDs existed can only be revoked per user
+
+        this.removeExpired();
+        this.revokedTokens.set(jti, expiresAt);
+    }
+
+    /**
+     * Check whether a decoded token was revoked
+     *
+     * Object tokenData - Decoded token payload (jti)
+     * return Promise<boolean> - True if the token must be rejected
+     */
+    async isRevoked(tokenData) {
+        return Boolean(tokenData.jti) && this.revokedTokens.has(tokenData.jti);
+    }
+
+    /**
+     * Drop entries of tokens that expired on their own
+     */
+    removeExpired() {
+        const now = Math.floor(Date.now() / 1000);
+
+        for (const [jti, expiresAt] of this.revokedTokens) {
+            if (expiresAt <= now) this.revokedTokens.delete(jti);
+        }
+    }
+}
+
+let store = new MemoryRevocationStore();
+
+/**
+ * Replace the revocation store
+ *
+ * Object customStore - Store implementing the MemoryRevocationStore methods
+ */
+function setRevocationStore(customStore) {
+    store = customStore;
+}
+
+/**
+ * Get the active revocation store
+ *
+ * return Object - Revocation store
+ */
+function getRevocationStore() {
+    return store;
+}
+
+export default {
+    MemoryRevocationStore,
+    setRevocationStore,
+    getRevocationStore,
+};
@@ -0,0 +1,106 @@
+/**
+ * Trash Service
+ * Permanently removes riddles and players that have been in the trash (soft deleted) for longer
+ * than the retention period
+ *
+ * Riddles that scores still refer to are kept in the trash until those scores are gone (their player
+ * is purged), so player_scores never points at a missing riddle. Purged riddles keep their revision
+ * history and can still be restored from it.
+ */
+import Riddle from "../models/Riddle.js";
+import Player from "../models/Player.js";
+
+// Configuration constants
+const RETENTION_DAYS = parseInt(process.env.TRASH_RETENTION_DAYS || "30", 10); // 0 disables the purge
+const PURGE_INTERVAL_MS = parseInt(process.env.TRASH_PURGE_INTERVAL_MS || "3600000", 10);
+const PURGE_BATCH_SIZE = 100;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+let purgeTimer = null;
+let purging = false;
+
+/**
+ * Purge riddles deleted before a cutoff, except the ones that have scores
+ * Scored riddles are paged past, so they never hold up the riddles deleted after them
+ *
+ * Date cutoff - Deletion cutoff
+ * return Promise - Number of riddles removed
+ */
+async function purgeRiddles(cutoff) {
+    const ids = [];
+    let after = null;
+
+    while (ids.length < PURGE_BATCH_SIZE) {
+        const riddles = await Riddle.findDeletedBefore(cutoff, PURGE_BATCH_SIZE, after);
+        if (riddles.length === 0) break;
+
+        const scored = await Player.findScoredRiddleIds(riddles.map((riddle) => riddle._id.toString()));
+        ids.push(...riddles.filter((riddle) => !scored.has(riddle._id.toString())).map((riddle) => riddle._id));
+
+        if (riddles.length < PURGE_BATCH_SIZE) break;
+        after = riddles[riddles.length - 1];
+    }
+
+    return await Riddle.purge(ids.slice(0, PURGE_BATCH_SIZE));
+}
+
+/**
+ * Purge players deleted before a cutoff, with their dependent rows
+ *
+ * Date cutoff - Deletion cutoff
+ * return Promise - Number of players removed
+ */
+async function purgePlayers(cutoff) {
+    const ids = await Player.findDeletedIds({ before: cutoff, limit: PURGE_BATCH_SIZE });
+
+    return await Player.purge(ids);
+}
+
+/**
+ * Remove everything that has been in the trash for longer than the retention period
+ * Players go first, so riddles only their scores referred to can be removed in the same run
+ * Each run removes at most PURGE_BATCH_SIZE riddles and players; the rest follows in later runs
+ *
+ * Date [now=new Date()] - Reference time
+ * return Promise - { players, riddles } with the number of records removed
+ */
+async function purgeExpired(now = new Date()) {
+    if (RETENTION_DAYS <= 0) return { players: 0, riddles: 0 };
+
+    const cutoff = new Date(now.getTime() - RETENTION_DAYS * DAY_MS);
+    const players = await purgePlayers(cutoff);
+    const riddles = await purgeRiddles(cutoff);
+
+    return { players, riddles };
+}
+
+/**
+ * Run the purge every PURGE_INTERVAL_MS
+ * Failures are logged and retried on the next run; the timer does not keep the process alive
+ */
+function startPurgeJob() {
+    if (RETENTION_DAYS <= 0 || PURGE_INTERVAL_MS <= 0 || purgeTimer) return;
+
+    const run = async () => {
+        if (purging) return; // The previous run is still going
+        purging = true;
+
+        try {
+            const { players, riddles } = await purgeExpired();
+            if (players > 0 || riddles > 0) console.log(`✔ Trash purged: ${riddles} riddles, ${players} players`);
+        } catch (error) {
+            console.error("✘ Trash purge failed:", error.message);
+        } finally {
+            purging = false;
+        }
+    };
+
+    purgeTimer = setInterval(run, PURGE_INTERVAL_MS);
+    purgeTimer.unref();
+    run();
+}
+
+export default {
+    purgeExpired,
+    startPurgeJob,
+};
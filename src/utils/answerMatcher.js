@@ -0,0 +1,111 @@
+/**
+ * Answer Matcher
+ * Compares a player's guess against a riddle's accepted answers
+ */
+
+// Maximum number of single-character edits tolerated for long enough answers (0 disables fuzzy matching)
+const DEFAULT_TYPO_TOLERANCE = parseInt(process.env.ANSWER_TYPO_TOLERANCE ?? "1", 10);
+
+// Answers shorter than this (after normalization) must match exactly
+const MIN_FUZZY_LENGTH = 4;
+
+/**
+ * Normalize an answer for comparison
+ * Lowercases, strips diacritics and punctuation and collapses whitespace
+ *
+ * string value - Raw answer text
+ * return string - Normalized answer
+ */
+function normalizeAnswer(value) {
+    if (value === undefined || value === null) return "";
+
+    return String(value)
+        .normalize("NFKD")
+        .replace(/\p{M}/gu, "") // Combining marks (accents)
+        .toLowerCase()
+        .replace(/[^\p{L}\p{N}\s]/gu, "") // Punctuation and symbols
+        .replace(/\s+/g, " ")
+        .trim();
+}
+
+/**
+ * Compute the Levenshtein edit distance between two strings
+ * Stops early and returns maxDistance + 1 once the distance is known to exceed maxDistance
+ *
+ * string a - First string
+ * string b - Second string
+ * number [maxDistance=Infinity] - Distance above which the exact value is irrelevant
+ * return number - Edit distance
+ */
+function editDistance(a, b, maxDistance = Infinity) {
+    if (a === b) return 0;
+    if (Math.abs(a.length - b.length) > maxDistance) return maxDistance + 1;
+
+    let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        let rowMin = i;
+
+        for (let j = 1; j <= b.length; j++) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+            rowMin = Math.min(rowMin, current[j]);
+        }
+
+        if (rowMin > maxDistance) return maxDistance + 1;
+        previous = current;
+    }
+
+    return previous[b.length];
+}
+
+/**
+ * Get every accepted answer of a riddle
+ *
+ * Object riddle - Riddle document
+ * return Array - Accepted answers (canonical answer first)
+ */
+function getAcceptedAnswers(riddle) {
+    const alternatives = Array.isArray(riddle.alternativeAnswers) ? riddle.alternativeAnswers : [];
+    return [riddle.answer, ...alternatives].filter((answer) => normalizeAnswer(answer) !== "");
+}
+
+/**
+ * Check a guess against a riddle's accepted answers
+ *
+ * string guess - Player's guess
+ * Object riddle - Riddle document (answer and optional alternativeAnswers)
+ * Object [options] - Matching options
+ * number [options.typoTolerance] - Maximum edit distance accepted (defaults to ANSWER_TYPO_TOLERANCE)
+ * return Object - { correct, exact } where exact is false for typo-tolerant matches
+ */
+function matchAnswer(guess, riddle, options = {}) {
+    const { typoTolerance = DEFAULT_TYPO_TOLERANCE } = options;
+    const normalizedGuess = normalizeAnswer(guess);
+
+    if (!normalizedGuess) return { correct: false, exact: false };
+
+    const accepted = getAcceptedAnswers(riddle).map(normalizeAnswer);
+
+    if (accepted.includes(normalizedGuess)) return { correct: true, exact: true };
+
+    if (typoTolerance > 0) {
+        const closeEnough = accepted.some(
+            (answer) =>
+                answer.length >= MIN_FUZZY_LENGTH &&
+                editDistance(normalizedGuess, answer, typoTolerance) <= typoTolerance
+        );
+
+        if (closeEnough) return { correct: true, exact: false };
+    }
+
+    return { correct: false, exact: false };
+}
+
+export default {
+    normalizeAnswer,
+    editDistance,
+    getAcceptedAnswers,
+    matchAnswer,
+};
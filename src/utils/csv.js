@@ -0,0 +1,138 @@
+/**
+ * CSV
+ * Reads and writes RFC 4180 CSV: comma separated fields, double quotes around fields containing
+ * commas, quotes or line breaks, doubled quotes inside them and CRLF or LF line endings
+ *
+ * Written fields that a spreadsheet would run as a formula (starting with =, +, -, @, tab or CR) get a
+ * leading single quote; restoreFormula removes it again when such a file is read back.
+ */
+
+// Fields starting like a formula, possibly behind quotes added by an earlier export
+const FORMULA_PATTERN = /^'*[=+\-@\t\r]/;
+
+/**
+ * Keep a spreadsheet from running a field as a formula
+ *
+ * string text - Field text
+ * return string - Text with a leading single quote if it starts like a formula
+ */
+function escapeFormula(text) {
+    return FORMULA_PATTERN.test(text) ? `'${text}` : text;
+}
+
+/**
+ * Undo escapeFormula on a field read from a CSV file
+ *
+ * string text - Field text
+ * return string - Text without the quote escapeFormula added
+ */
+function restoreFormula(text) {
+    return text.startsWith("'") && FORMULA_PATTERN.test(text) ? text.slice(1) : text;
+}
+
+/**
+ * Format one CSV row
+ *
+ * Array values - Field values (null and undefined become empty fields)
+ * return string - CSV line, ending with CRLF
+ */
+function formatRow(values) {
+    const fields = values.map((value) => {
+        const text = escapeFormula(value === null || value === undefined ? "" : String(value));
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    });
+
+    return `${fields.join(",")}\r\n`;
+}
+
+/**
+ * Create an incremental CSV parser
+ * Text can be pushed in chunks of any size; rows are returned as soon as they are complete
+ *
+ * Object [options] - Parser options
+ * number [options.maxRecordLength=Infinity] - Characters per row (field text and separators)
+ * return Object - { push(text) -> Array of rows, end() -> Array of rows }, where a row is an array of fields
+ * throw Error - If a row is longer than maxRecordLength
+ */
+function createParser(options = {}) {
+    const { maxRecordLength = Infinity } = options;
+    let field = "";
+    let row = [];
+    let rowLength = 0; // Characters of the finished fields of the current row, with separators
+    let quoted = false; // Inside a quoted field
+    let quotePending = false; // Saw a quote in a quoted field: either an escaped quote or the closing one
+    let skipLineFeed = false; // A CR just ended a row, so a following LF belongs to it
+
+    const checkLength = () => {
+        if (rowLength + field.length > maxRecordLength)
+            throw new Error(`Records must be at most ${maxRecordLength} characters`);
+    };
+
+    const endRow = (rows) => {
+        checkLength();
+        row.push(field);
+        rows.push(row);
+        row = [];
+        field = "";
+        rowLength = 0;
+    };
+
+    function push(text) {
+        const rows = [];
+
+        for (const char of text) {
+            if (skipLineFeed) {
+                skipLineFeed = false;
+                if (char === "\n") continue;
+            }
+
+            if (quoted) {
+                if (quotePending) {
+                    quotePending = false;
+                    if (char === '"') {
+                        field += '"';
+                        continue;
+                    }
+                    quoted = false; // The quote closed the field; handle this character below
+                } else {
+                    if (char === '"') quotePending = true;
+                    else field += char;
+                    continue;
+                }
+            }
+
+            if (char === '"' && field === "") quoted = true;
+            else if (char === ",") {
+                row.push(field);
+                rowLength += field.length + 1;
+                field = "";
+            } else if (char === "\n" || char === "\r") {
+                endRow(rows);
+                skipLineFeed = char === "\r";
+            } else field += char;
+        }
+
+        checkLength(); // The unfinished row too, so a row without line breaks cannot grow without bounds
+
+        return rows;
+    }
+
+    function end() {
+        if (quoted && !quotePending) throw new Error("Unterminated quoted field");
+
+        quoted = false;
+        quotePending = false;
+
+        const rows = [];
+        if (field !== "" || row.length > 0) endRow(rows);
+        return rows;
+    }
+
+    return { push, end };
+}
+
+export default {
+    formatRow,
+    restoreFormula,
+    createParser,
+};
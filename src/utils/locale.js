@@ -0,0 +1,107 @@
+/**
+ * Locale
+ * Language tags and negotiation of translated content
+ *
+ * Locales are BCP 47 language tags in canonical form (en, pt-BR, zh-Hant). A request asks for locales
+ * with ?lang= (comma separated, takes precedence) and the Accept-Language header. Negotiation takes the
+ * first requested locale that is available, or else one of the same language (pt-BR asked, pt available).
+ */
+import { ApiError } from '../middleware/errorHandler.js';
+
+const MAX_REQUESTED_LOCALES = 10;
+
+/**
+ * Canonicalize a language tag
+ *
+ * string tag - Language tag in any case (e.g. "EN-us")
+ * return string|null - Canonical tag (e.g. "en-US"), or null if it is not a valid tag
+ */
+function canonicalize(tag) {
+    if (typeof tag !== "string" || !tag.trim() || tag.trim() === "*") return null;
+
+    try {
+        const [locale] = Intl.getCanonicalLocales(tag.trim());
+        return locale ?? null;
+    } catch {
+        return null;
+    }
+}
+
+// Locale of riddles that do not name one
+const DEFAULT_LOCALE = canonicalize(process.env.DEFAULT_LOCALE) || "en";
+
+/**
+ * Parse an Accept-Language header
+ * Entries with q=0 and the wildcard are dropped; equal weights keep their order
+ *
+ * string [header] - Header value (e.g. "de-CH, de;q=0.9, en;q=0.5")
+ * return Array - Locales, most preferred first
+ */
+function parseAcceptLanguage(header) {
+    if (typeof header !== "string") return [];
+
+    return header
+        .split(",")
+        .map((part) => {
+            const [tag, ...params] = part.split(";").map((value) => value.trim());
+            const weight = params.find((param) => param.startsWith("q="));
+            const q = weight ? Number(weight.slice(2)) : 1;
+            return { locale: canonicalize(tag), q: Number.isFinite(q) ? q : 0 };
+        })
+        .filter((entry) => entry.locale && entry.q > 0)
+        .sort((a, b) => b.q - a.q)
+        .map((entry) => entry.locale);
+}
+
+/**
+ * Locales a request asks for, most preferred first
+ * Marks the response as varying by Accept-Language, since the content depends on it
+ *
+ * Request req - Request (?lang= and Accept-Language)
+ * Response [res] - Response to mark
+ * return Array - Requested locales (empty if the request expresses no preference)
+ * throw ApiError - If ?lang= holds an invalid language tag
+ */
+function requestedLocales(req, res = null) {
+    res?.vary("Accept-Language");
+
+    const fromQuery = (req.query?.lang ? String(req.query.lang).split(",") : []).map((tag) => {
+        const locale = canonicalize(tag);
+        if (!locale) throw new ApiError(400, `'${tag.trim()}' is not a valid language tag`);
+        return locale;
+    });
+
+    const locales = [...fromQuery, ...parseAcceptLanguage(req.get?.("Accept-Language"))];
+    return [...new Set(locales)].slice(0, MAX_REQUESTED_LOCALES);
+}
+
+/**
+ * Pick the best available locale for a request
+ *
+ * Array available - Available locales
+ * Array requested - Requested locales, most preferred first
+ * return string|null - Chosen locale, or null if none matches (the caller falls back to its default)
+ */
+function negotiate(available, requested) {
+    const languageOf = (locale) => locale.split("-")[0].toLowerCase();
+
+    for (const wanted of requested) {
+        if (available.includes(wanted)) return wanted;
+
+        const language = languageOf(wanted);
+        const sameLanguage =
+            available.find((locale) => locale === language) ??
+            available.find((locale) => languageOf(locale) === language);
+        if (sameLanguage) return sameLanguage;
+    }
+
+    return null;
+}
+
+export default {
+    DEFAULT_LOCALE,
+    canonicalize,
+    parseAcceptLanguage,
+    requestedLocales,
+    negotiate,
+};
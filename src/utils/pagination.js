@@ -0,0 +1,106 @@
+/**
+ * Pagination Helpers
+ * Shared cursor pagination contract for list endpoints
+ *
+ * Requests:  ?limit=<1..MAX_PAGE_SIZE>&cursor=<opaque>&includeTotal=true
+ * Responses: { data, pagination: { limit, hasMore, nextCursor, total? } }
+ */
+import { ApiError } from '../middleware/errorHandler.js';
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 100;
+
+/**
+ * Encode cursor data into an opaque string
+ *
+ * Object data - Cursor data
+ * return string - base64url encoded cursor
+ */
+function encodeCursor(data) {
+    return Buffer.from(JSON.stringify(data)).toString("base64url");
+}
+
+/**
+ * Decode an opaque cursor
+ *
+ * string cursor - Cursor from a previous page
+ * return Object - Cursor data
+ * throw ApiError - If the cursor is malformed
+ */
+function decodeCursor(cursor) {
+    try {
+        const data = JSON.parse(Buffer.from(cursor, "base64url").toString("utf8"));
+        if (!data || typeof data !== "object" || Array.isArray(data)) throw new Error("Not an object");
+        return data;
+    } catch {
+        throw new ApiError(400, "Invalid pagination cursor");
+    }
+}
+
+/**
+ * Parse pagination query parameters
+ *
+ * Object query - Request query (req.query)
+ * Object [options] - Parsing options
+ * number [options.defaultLimit=DEFAULT_PAGE_SIZE] - Page size when no limit is given
+ * return Object - { limit, cursor, includeTotal } with cursor decoded (or null)
+ * throw ApiError - If limit or cursor are invalid
+ */
+function parsePagination(query, options = {}) {
+    const { defaultLimit = DEFAULT_PAGE_SIZE } = options;
+    const limit = query.limit === undefined ? defaultLimit : Number(query.limit);
+
+    if (!Number.isInteger(limit) || limit < 1)
+        throw new ApiError(400, `Limit must be an integer between 1 and ${MAX_PAGE_SIZE}`);
+
+    return {
+        limit: Math.min(limit, MAX_PAGE_SIZE),
+        cursor: query.cursor ? decodeCursor(query.cursor) : null,
+        includeTotal: query.includeTotal === "true",
+    };
+}
+
+/**
+ * Build a page from the rows of a query that fetched one row more than the page size
+ *
+ * Array rows - Rows fetched with limit + 1
+ * number limit - Page size
+ * Function toCursor - Builds the cursor data of the last row on the page
+ * return Object - { items, hasMore, nextCursor }
+ */
+function buildPage(rows, limit, toCursor) {
+    const hasMore = rows.length > limit;
+    const items = hasMore ? rows.slice(0, limit) : rows;
+
+    return {
+        items,
+        hasMore,
+        nextCursor: hasMore ? encodeCursor(toCursor(items[items.length - 1], items.length)) : null,
+    };
+}
+
+/**
+ * Build the pagination block of a list response
+ *
+ * Object page - Page from buildPage (plus optional total)
+ * number limit - Page size
+ * return Object - { limit, hasMore, nextCursor, total? }
+ */
+function paginationMeta(page, limit) {
+    return {
+        limit,
+        hasMore: page.hasMore,
+        nextCursor: page.nextCursor,
+        ...(page.total !== undefined && { total: page.total }),
+    };
+}
+
+export default {
+    DEFAULT_PAGE_SIZE,
+    MAX_PAGE_SIZE,
+    encodeCursor,
+    decodeCursor,
+    parsePagination,
+    buildPage,
+    paginationMeta,
+};
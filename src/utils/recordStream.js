@@ -0,0 +1,211 @@
+/**
+ * Record Stream
+ * Reads records from a JSON array, NDJSON or CSV text stream without buffering the whole input
+ *
+ * Records are yielded as { row, record } or { row, error }, where row is the 1-based position of the
+ * record (blank lines and the CSV header are not counted). Problems with a single record (invalid JSON,
+ * wrong CSV field count) are reported on that record; a malformed stream throws.
+ */
+import csv from "./csv.js";
+import { ApiError } from "../middleware/errorHandler.js";
+
+const FORMATS = ["json", "ndjson", "csv"];
+const MAX_RECORD_LENGTH = 100000; // Characters per record, so one huge record cannot exhaust memory
+
+/**
+ * Parse one JSON record
+ *
+ * string text - JSON text
+ * return Object - { record } or { error }
+ */
+function parseJsonRecord(text) {
+    try {
+        const record = JSON.parse(text);
+        if (record === null || typeof record !== "object" || Array.isArray(record))
+            return { error: "Record must be a JSON object" };
+        return { record };
+    } catch (error) {
+        return { error: `Invalid JSON: ${error.message}` };
+    }
+}
+
+/**
+ * Reader for a top-level JSON array, emitting each element as soon as it is complete
+ *
+ * return Object - { push(text) -> entries, end() -> entries }
+ */
+function createJsonReader() {
+    let started = false;
+    let finished = false;
+    let depth = 0; // Nesting inside the current element
+    let inString = false;
+    let escaped = false;
+    let current = "";
+    let expectElement = false; // A comma was read, so an element must follow
+
+    function push(text) {
+        const entries = [];
+
+        for (const char of text) {
+            if (inString) {
+                current += char;
+                if (escaped) escaped = false;
+                else if (char === "\\") escaped = true;
+                else if (char === '"') inString = false;
+            } else if (/\s/.test(char)) {
+                continue; // Insignificant outside strings
+            } else if (finished) {
+                throw new Error("Unexpected content after the JSON array");
+            } else if (!started) {
+                if (char !== "[") throw new Error("Input must be a JSON array");
+                started = true;
+            } else if (depth === 0 && (char === "," || char === "]")) {
+                if (current) entries.push(parseJsonRecord(current));
+                else if (char === "," || expectElement) throw new Error("Unexpected comma in the JSON array");
+
+                current = "";
+                expectElement = char === ",";
+                finished = char === "]";
+            } else {
+                if (char === "{" || char === "[") depth += 1;
+                else if (char === "}" || char === "]") depth -= 1;
+                else if (char === '"') inString = true;
+                current += char;
+            }
+
+            if (current.length > MAX_RECORD_LENGTH)
+                throw new Error(`Records must be at most ${MAX_RECORD_LENGTH} characters`);
+        }
+
+        return entries;
+    }
+
+    function end() {
+        if (!finished) throw new Error("Unterminated JSON array");
+        return [];
+    }
+
+    return { push, end };
+}
+
+/**
+ * Reader for newline-delimited JSON (one object per line)
+ *
+ * return Object - { push(text) -> entries, end() -> entries }
+ */
+function createNdjsonReader() {
+    let buffer = "";
+
+    const parseLines = (lines) => lines.filter((line) => line.trim()).map((line) => parseJsonRecord(line));
+
+    function push(text) {
+        const lines = (buffer + text).split("\n");
+        buffer = lines.pop();
+
+        if (buffer.length > MAX_RECORD_LENGTH)
+            throw new Error(`Records must be at most ${MAX_RECORD_LENGTH} characters`);
+
+        return parseLines(lines);
+    }
+
+    function end() {
+        const lines = [buffer];
+        buffer = "";
+        return parseLines(lines);
+    }
+
+    return { push, end };
+}
+
+/**
+ * Reader for CSV with a header row; records are objects keyed by the header names
+ *
+ * return Object - { push(text) -> entries, end() -> entries }
+ */
+function createCsvReader() {
+    const parser = csv.createParser({ maxRecordLength: MAX_RECORD_LENGTH });
+    let header = null;
+
+    const toEntries = (rows) => {
+        const entries = [];
+
+        for (const fields of rows) {
+            if (fields.length === 1 && fields[0].trim() === "") continue; // Blank line
+
+            if (!header) {
+                header = fields.map((name) => name.trim());
+                continue;
+            }
+
+            if (fields.length !== header.length) {
+                entries.push({ error: `Expected ${header.length} fields, got ${fields.length}` });
+                continue;
+            }
+
+            entries.push({ record: Object.fromEntries(header.map((name, i) => [name, fields[i]])) });
+        }
+
+        return entries;
+    };
+
+    return {
+        push: (text) => toEntries(parser.push(text)),
+        end: () => toEntries(parser.end()),
+    };
+}
+
+const READERS = {
+    json: createJsonReader,
+    ndjson: createNdjsonReader,
+    csv: createCsvReader,
+};
+
+/**
+ * Check whether a record format is supported
+ *
+ * string format - Format name
+ * return boolean - True for json, ndjson and csv
+ */
+function isFormat(format) {
+    return FORMATS.includes(format);
+}
+
+/**
+ * Read records from a text stream
+ *
+ * Readable stream - Input stream (e.g. an HTTP request)
+ * string format - json, ndjson or csv
+ * Object [options] - Read options
+ * number [options.maxBytes=Infinity] - Size limit of the whole stream
+ * return AsyncGenerator - { row, record } or { row, error } per record
+ * throw Error - If the stream is malformed (e.g. not a JSON array, unterminated quote)
+ * throw ApiError - If the stream is larger than maxBytes (413)
+ */
+async function* readRecords(stream, format, options = {}) {
+    const { maxBytes = Infinity } = options;
+    const reader = READERS[format]();
+    let row = 0;
+    let bytes = 0;
+    let first = true;
+
+    stream.setEncoding?.("utf8");
+
+    for await (let chunk of stream) {
+        if (typeof chunk !== "string") chunk = chunk.toString("utf8");
+
+        bytes += Buffer.byteLength(chunk);
+        if (bytes > maxBytes) throw new ApiError(413, `Uploads must be at most ${maxBytes} bytes`);
+        if (first) chunk = chunk.replace(/^\uFEFF/, ""); // Byte order mark written by spreadsheet tools
+        first = false;
+
+        for (const entry of reader.push(chunk)) yield { row: ++row, ...entry };
+    }
+
+    for (const entry of reader.end()) yield { row: ++row, ...entry };
+}
+
+export default {
+    FORMATS,
+    isFormat,
+    readRecords,
+};
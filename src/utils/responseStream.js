@@ -0,0 +1,86 @@
+/**
+ * Response Stream
+ * Writes large downloads to a response piece by piece, as a JSON array, NDJSON or CSV
+ */
+import csv from "./csv.js";
+
+const CONTENT_TYPES = {
+    json: "application/json",
+    ndjson: "application/x-ndjson",
+    csv: "text/csv",
+};
+
+/**
+ * Write to a response, waiting while its buffer is full
+ *
+ * Response res - Response
+ * string text - Text to write
+ * return Promise - Resolves when more can be written (or the client is gone)
+ */
+function writeChunk(res, text) {
+    if (res.write(text)) return Promise.resolve();
+
+    return new Promise((resolve) => {
+        const done = () => {
+            res.off("drain", done);
+            res.off("close", done);
+            resolve();
+        };
+        res.on("drain", done);
+        res.on("close", done);
+    });
+}
+
+/**
+ * Stream records to a response as a file download
+ * Headers are sent before the first record is read; a failure after that aborts the download
+ *
+ * Response res - Response to stream to
+ * AsyncIterable source - Items to export (e.g. a database cursor)
+ * Object options - Download options
+ * string options.format - json, ndjson or csv
+ * string options.filename - File name without extension
+ * Function options.toRecord - Turns an item into an export record
+ * Array options.csvHeader - Header row of CSV downloads
+ * Function options.toCsvRow - Turns an export record into CSV field values
+ * return Promise - Resolves when the download is written
+ * throw Error - If reading the source fails (the response is destroyed)
+ */
+async function streamRecords(res, source, options) {
+    const { format, filename, toRecord, csvHeader, toCsvRow } = options;
+
+    res.status(200).set({
+        "Content-Type": `${CONTENT_TYPES[format]}; charset=utf-8`,
+        "Content-Disposition": `attachment; filename="${filename}.${format}"`,
+    });
+
+    try {
+        if (format === "csv") await writeChunk(res, csv.formatRow(csvHeader));
+        if (format === "json") await writeChunk(res, "[");
+
+        let count = 0;
+        for await (const item of source) {
+            if (res.destroyed) break; // Client gone; leaving the loop closes the cursor
+
+            const record = toRecord(item);
+
+            if (format === "csv") await writeChunk(res, csv.formatRow(toCsvRow(record)));
+            else if (format === "ndjson") await writeChunk(res, `${JSON.stringify(record)}\n`);
+            else await writeChunk(res, `${count > 0 ? "," : ""}\n${JSON.stringify(record)}`);
+
+            count += 1;
+        }
+
+        if (format === "json") await writeChunk(res, count > 0 ? "\n]\n" : "]\n");
+        res.end();
+    } catch (error) {
+        res.destroy();
+        throw error;
+    }
+}
+
+export default {
+    CONTENT_TYPES,
+    writeChunk,
+    streamRecords,
+};
@@ -0,0 +1,12 @@
+/**
+ * Score Events
+ * In-process notifications for recorded scores, so live views (e.g. the leaderboard stream) can react
+ *
+ * Events:
+ *   "score" { playerId, riddleId, points, scoredTime, newBest, level, dailyDate }
+ */
+import { EventEmitter } from "events";
+
+const scoreEvents = new EventEmitter();
+
+export default scoreEvents;
@@ -0,0 +1,41 @@
+/**
+ * Scoring
+ * Awards points per solved riddle based on its difficulty level, the solve time and the hints used
+ */
+
+// Base points per difficulty level
+const LEVEL_POINTS = {
+    easy: parseInt(process.env.SCORE_POINTS_EASY || "100", 10),
+    medium: parseInt(process.env.SCORE_POINTS_MEDIUM || "200", 10),
+    hard: parseInt(process.env.SCORE_POINTS_HARD || "400", 10),
+};
+
+// Solves faster than this window earn a time bonus, shrinking linearly to zero at the end of the window
+const TIME_BONUS_WINDOW_MS = parseInt(process.env.SCORE_TIME_BONUS_WINDOW_MS || "120000", 10); // 2 minutes
+const MAX_TIME_BONUS = 0.5; // Share of the base points for an instant solve
+
+// Every hint takes this share of the points away, but a solve is always worth at least MIN_POINTS_SHARE
+const HINT_DEDUCTION = 0.2;
+const MIN_POINTS_SHARE = 0.1;
+
+/**
+ * Calculate the points for a solve
+ *
+ * Object solve - Solve details
+ * string [solve.level='medium'] - Riddle difficulty level (easy, medium, hard)
+ * number solve.timeToSolve - Server-measured solve time in milliseconds
+ * number [solve.hintsUsed=0] - Number of hints revealed
+ * return number - Points awarded (whole number)
+ */
+function calculatePoints({ level = "medium", timeToSolve, hintsUsed = 0 }) {
+    const base = LEVEL_POINTS[level] ?? LEVEL_POINTS.medium;
+    const timeBonus = MAX_TIME_BONUS * Math.max(0, 1 - Math.max(0, timeToSolve) / TIME_BONUS_WINDOW_MS);
+    const hintFactor = Math.max(MIN_POINTS_SHARE, 1 - Math.max(0, hintsUsed) * HINT_DEDUCTION);
+
+    return Math.round(base * (1 + timeBonus) * hintFactor);
+}
+
+export default {
+    LEVEL_POINTS,
+    calculatePoints,
+};
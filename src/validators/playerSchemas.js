@@ -0,0 +1,51 @@
+/**
+ * Player Schemas
+ * Declarative validation schemas for player and game session payloads (see middleware/validate.js)
+ */
+import Joi from "joi";
+
+const username = Joi.string()
+    .trim()
+    .min(3)
+    .max(30)
+    .pattern(/^[\w.-]+$/)
+    .messages({ "string.pattern.base": "Username may only contain letters, numbers, '_', '.' and '-'" });
+
+const answer = Joi.string().trim().min(1).max(200);
+const sessionToken = Joi.string().hex().length(64);
+
+// POST /players
+const createPlayer = Joi.object({
+    username: username.required(),
+});
+
+// POST /players/submit-score
+const submitScore = Joi.object({
+    username,
+    sessionId: Joi.string().guid().required(),
+    answer: answer.required(),
+});
+
+// POST /sessions
+const startSession = Joi.object({
+    mode: Joi.string().valid("ranked", "anonymous", "daily").default("ranked"),
+});
+
+// POST /sessions/:id/answer
+const sessionAnswer = Joi.object({
+    answer: answer.required(),
+    sessionToken,
+});
+
+// POST /sessions/:id/hint
+const sessionHint = Joi.object({
+    sessionToken,
+});
+
+export default {
+    createPlayer,
+    submitScore,
+    startSession,
+    sessionAnswer,
+    sessionHint,
+};
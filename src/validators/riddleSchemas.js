@@ -0,0 +1,88 @@
+/**
+ * Riddle Schemas
+ * Declarative validation schemas for riddle payloads (see middleware/validate.js)
+ */
+import Joi from "joi";
+import localeUtil from "../utils/locale.js";
+
+const LEVELS = ["easy", "medium", "hard"];
+const STATUSES = ["pending", "approved", "rejected", "changes_requested"];
+
+// Fields a client may write; anything else (_id, createdAt, ...) is stripped by the validate middleware
+const riddleFields = {
+    question: Joi.string().trim().min(3).max(1000),
+    answer: Joi.string().trim().min(1).max(200),
+    alternativeAnswers: Joi.array().items(Joi.string().trim().min(1).max(200)).max(20),
+    hints: Joi.array().items(Joi.string().trim().min(1).max(500)).max(10),
+    level: Joi.string().valid(...LEVELS),
+    category: Joi.string().trim().lowercase().max(50).allow(null),
+    tags: Joi.array().items(Joi.string().trim().lowercase().min(1).max(30)).max(20).unique(),
+};
+
+// Language tag, canonicalized (e.g. "pt-br" becomes "pt-BR")
+const locale = Joi.string()
+    .trim()
+    .max(35)
+    .custom((value, helpers) => localeUtil.canonicalize(value) ?? helpers.error("any.invalid"))
+    .messages({ "any.invalid": "{{#label}} must be a valid language tag" });
+
+// POST /riddles (the locale of a riddle is set when it is created; other locales are translations)
+const createRiddle = Joi.object({
+    ...riddleFields,
+    locale,
+    question: riddleFields.question.required(),
+    answer: riddleFields.answer.required(),
+});
+
+// PUT /riddles/:id
+const updateRiddle = Joi.object(riddleFields)
+    .min(1)
+    .messages({ "object.min": "At least one riddle field must be provided" });
+
+// POST /riddles/load-initial
+const loadInitialRiddles = Joi.object({
+    riddles: Joi.array().items(createRiddle).min(1).max(1000).required(),
+});
+
+// One record of POST /riddles/import (validated per record by services/riddleTransferService.js)
+const importRiddle = createRiddle.keys({
+    status: Joi.string().valid(...STATUSES),
+});
+
+// POST /riddles/:id/moderation
+const moderateRiddle = Joi.object({
+    action: Joi.string().valid("approve", "reject", "request_changes").required(),
+    reason: Joi.string()
+        .trim()
+        .max(500)
+        .when("action", { is: "approve", then: Joi.optional().allow("", null), otherwise: Joi.required() }),
+});
+
+// POST /riddles/:id/answer
+const checkAnswer = Joi.object({
+    answer: Joi.string().trim().min(1).max(200).required(),
+});
+
+// PUT /riddles/:id/translations/:locale
+const setTranslation = Joi.object({
+    question: riddleFields.question.required(),
+    answer: riddleFields.answer.required(),
+    alternativeAnswers: riddleFields.alternativeAnswers,
+    hints: riddleFields.hints,
+});
+
+// PUT /riddles/daily/:date
+const pinDailyRiddle = Joi.object({
+    riddleId: Joi.string().hex().length(24).required(),
+});
+
+export default {
+    createRiddle,
+    updateRiddle,
+    loadInitialRiddles,
+    importRiddle,
+    moderateRiddle,
+    checkAnswer,
+    setTranslation,
+    pinDailyRiddle,
+};
@@ -0,0 +1,181 @@
+/**
+ * Rooms WebSocket Endpoint
+ * Connects players to multiplayer riddle rooms (see services/roomService.js)
+ *
+ * Connect to ws://<host>/ws/rooms?token=<access token> (or send an Authorization header).
+ * Messages are JSON objects with a "type":
+ *   client -> server: create_room { rounds?, level?, lang? }, join_room { code }, leave_room, start_game,
+ *                     answer { answer }
+ *   server -> client: room_created, room_joined, room_left, player_joined, player_left, game_started,
+ *                     round_started, answer_result, player_solved, round_ended, game_ended, error
+ */
+import { WebSocketServer } from "ws";
+import roomService from "../services/roomService.js";
+import { resolveTokenUser } from "../middleware/authMiddleware.js";
+import { ApiError } from "../middleware/errorHandler.js";
+import { ANSWER_RATE_LIMIT, consumeRateLimit } from "../middleware/rateLimiter.js";
+
+// Configuration constants
+const ROOMS_PATH = "/ws/rooms";
+const HEARTBEAT_INTERVAL_MS = 30000;
+const MAX_MESSAGE_BYTES = 4096;
+
+/**
+ * Read the access token of a WebSocket handshake
+ * Browsers cannot set headers on WebSocket requests, so the query string is accepted too
+ *
+ * IncomingMessage req - Upgrade request
+ * URL url - Parsed request URL
+ * return string|null - Access token
+ */
+function extractSocketToken(req, url) {
+    const authHeader = req.headers.authorization;
+    if (authHeader && authHeader.startsWith("Bearer ")) return authHeader.split(" ")[1];
+
+    return url.searchParams.get("token");
+}
+
+/**
+ * Reject a handshake with an HTTP error response
+ *
+ * Duplex socket - Raw socket of the upgrade request
+ * number statusCode - HTTP status code
+ * string message - Status message
+ */
+function rejectUpgrade(socket, statusCode, message) {
+    socket.write(`HTTP/1.1 ${statusCode} ${message}\r\nConnection: close\r\nContent-Length: 0\r\n\r\n`);
+    socket.destroy();
+}
+
+/**
+ * Send a message if the socket is still open
+ *
+ * WebSocket ws - Client socket
+ * Object message - Message object
+ */
+function sendMessage(ws, message) {
+    if (ws.readyState === ws.OPEN) ws.send(JSON.stringify(message));
+}
+
+/**
+ * Handle one client message
+ * Answers count against the same per-IP limit as answers over HTTP
+ *
+ * WebSocket ws - Client socket
+ * Object member - Room member of the connection ({ id, username, send })
+ * Object message - Parsed message
+ * string ip - Client IP address
+ */
+async function handleMessage(ws, member, message, ip) {
+    switch (message.type) {
+        case "create_room":
+            return sendMessage(ws, {
+                type: "room_created",
+                room: roomService.createRoom(member, {
+                    rounds: message.rounds,
+                    level: message.level,
+                    lang: message.lang,
+                }),
+            });
+        case "join_room":
+            return sendMessage(ws, { type: "room_joined", room: roomService.joinRoom(message.code, member) });
+        case "leave_room":
+            roomService.leaveRoom(member.id);
+            return sendMessage(ws, { type: "room_left" });
+        case "start_game":
+            return await roomService.startGame(member.id);
+        case "answer":
+            await consumeRateLimit(ANSWER_RATE_LIMIT, ip);
+            return sendMessage(ws, {
+                type: "answer_result",
+                ...(await roomService.submitAnswer(member.id, message.answer)),
+            });
+        default:
+            throw new ApiError(400, `Unknown message type: ${message.type}`);
+    }
+}
+
+/**
+ * Attach the rooms WebSocket endpoint to an HTTP server
+ * Only authenticated players can connect, since room results are written to their stats
+ *
+ * http.Server server - Server returned by app.listen
+ * return WebSocketServer - The WebSocket server
+ */
+function attachRoomsSocket(server) {
+    const wss = new WebSocketServer({ noServer: true, maxPayload: MAX_MESSAGE_BYTES });
+
+    server.on("upgrade", async (req, socket, head) => {
+        const url = new URL(req.url, "http://localhost");
+        if (url.pathname !== ROOMS_PATH) return rejectUpgrade(socket, 404, "Not Found");
+
+        try {
+            const token = extractSocketToken(req, url);
+            if (!token) return rejectUpgrade(socket, 401, "Unauthorized");
+
+            const { user } = await resolveTokenUser(token);
+            if (user.role === "guest") return rejectUpgrade(socket, 403, "Forbidden");
+
+            wss.handleUpgrade(req, socket, head, (ws) => wss.emit("connection", ws, req, user));
+        } catch (error) {
+            if (error instanceof ApiError && error.statusCode === 401)
+                return rejectUpgrade(socket, 401, "Unauthorized");
+
+            console.error("✘ WebSocket handshake failed:", error.message);
+            rejectUpgrade(socket, 500, "Internal Server Error");
+        }
+    });
+
+    wss.on("connection", (ws, req, user) => {
+        const member = { id: user.id, username: user.username, send: (message) => sendMessage(ws, message) };
+
+        ws.isAlive = true;
+        ws.on("pong", () => {
+            ws.isAlive = true;
+        });
+
+        ws.on("message", async (data) => {
+            try {
+                let message;
+                try {
+                    message = JSON.parse(data.toString());
+                } catch {
+                    throw new ApiError(400, "Messages must be JSON");
+                }
+
+                await handleMessage(ws, member, message ?? {}, req.socket.remoteAddress);
+            } catch (error) {
+                const isOperational = error instanceof ApiError && error.isOperational;
+                if (!isOperational) console.error("✘ WebSocket message failed:", error);
+
+                sendMessage(ws, {
+                    type: "error",
+                    statusCode: isOperational ? error.statusCode : 500,
+                    message: isOperational ? error.message : "Something went wrong",
+                });
+            }
+        });
+
+        // A player's other connections (e.g. a second tab) keep their room
+        ws.on("close", () => roomService.leaveRoom(member.id, member));
+    });
+
+    // Drop connections that stopped answering pings (closing them also leaves their room)
+    const heartbeat = setInterval(() => {
+        for (const ws of wss.clients) {
+            if (!ws.isAlive) {
+                ws.terminate();
+                continue;
+            }
+
+            ws.isAlive = false;
+            ws.ping();
+        }
+    }, HEARTBEAT_INTERVAL_MS);
+
+    wss.on("close", () => clearInterval(heartbeat));
+
+    return wss;
+}
+
+export default attachRoomsSocket;
@@ -0,0 +1,26 @@
+-- Server-timed game sessions
+--
+-- A session hands out one riddle and measures the solve time on the server. Ranked sessions belong to a
+-- player; anonymous sessions have no player and are bound to the hash of the session token instead.
+
+create table if not exists game_sessions (
+    id uuid primary key default gen_random_uuid(),
+    player_id bigint references players (id) on delete cascade,
+    anonymous boolean not null default false,
+    token_hash text,
+    riddle_id text not null,
+    locale text,
+    daily_date date,
+    status text not null default 'active' check (status in ('active', 'completed', 'failed', 'expired')),
+    hints_used integer not null default 0,
+    started_at timestamptz not null default now(),
+    expires_at timestamptz not null,
+    completed_at timestamptz,
+    time_to_solve integer,
+    check (anonymous = (player_id is null) and anonymous = (token_hash is not null))
+);
+
+-- A player's recent sessions (adaptive difficulty) and session stats by start and completion time
+create index if not exists game_sessions_player_started_idx on game_sessions (player_id, started_at desc);
+create index if not exists game_sessions_started_idx on game_sessions (started_at);
+create index if not exists game_sessions_completed_idx on game_sessions (completed_at) where status = 'completed';
@@ -0,0 +1,19 @@
+-- Rotating refresh tokens
+--
+-- Only the SHA-256 hash of a refresh token is stored. Every refresh uses up the presented token and
+-- issues the next one in the same family; reusing a used token revokes the whole family.
+
+create table if not exists refresh_tokens (
+    id bigint generated always as identity primary key,
+    player_id bigint not null references players (id) on delete cascade,
+    token_hash text not null unique,
+    family_id uuid not null,
+    created_at timestamptz not null default now(),
+    expires_at timestamptz not null,
+    used_at timestamptz,
+    revoked_at timestamptz
+);
+
+-- Revoking a family, or every token of a player, only touches tokens that are not revoked yet
+create index if not exists refresh_tokens_family_idx on refresh_tokens (family_id) where revoked_at is null;
+create index if not exists refresh_tokens_player_idx on refresh_tokens (player_id) where revoked_at is null;
@@ -0,0 +1,27 @@
+-- Player token versions
+--
+-- Access tokens carry the token version of their player; bumping it (password change, logout from all
+-- devices) invalidates every token issued before. The version must never be null: the password change
+-- only updates the row whose version is still the one it read, and that comparison never matches null.
+
+alter table players
+    add column if not exists token_version integer,
+    add column if not exists password_changed_at timestamptz;
+
+update players set token_version = 0 where token_version is null;
+
+alter table players
+    alter column token_version set default 0,
+    alter column token_version set not null;
+
+-- Bump a player's token version in place, so concurrent bumps cannot be lost
+-- Returns the new version, or null if the player does not exist.
+create or replace function increment_token_version(p_player_id bigint)
+returns integer
+language sql
+as $$
+    update players
+    set token_version = token_version + 1
+    where id = p_player_id
+    returning token_version;
+$$;
@@ -0,0 +1,19 @@
+-- Authentication events and player activity
+--
+-- auth_events backs the admin authentication statistics, which count events of a type in a time
+-- window. players.last_active_at keeps each player's latest activity, so active players are one count.
+
+create table if not exists auth_events (
+    id bigint generated always as identity primary key,
+    type text not null check (type in ('register', 'login_success', 'login_failure', 'token_refresh')),
+    player_id bigint references players (id) on delete set null,
+    username text,
+    ip text,
+    created_at timestamptz not null default now()
+);
+
+create index if not exists auth_events_created_type_idx on auth_events (created_at, type);
+
+alter table players add column if not exists last_active_at timestamptz;
+
+create index if not exists players_last_active_idx on players (last_active_at);
@@ -0,0 +1,8 @@
+-- Players without a best time
+--
+-- best_time used to default to 0 for "no best time yet", which sorts ahead of every real time. Player
+-- listings order by best time with missing ones last, so a missing best time is stored as null instead.
+
+alter table players alter column best_time drop default;
+
+update players set best_time = null where best_time = 0;
@@ -0,0 +1,15 @@
+-- Daily riddle attempts
+--
+-- Sessions and scores of the daily riddle carry its calendar day. A player gets one daily session per
+-- day: the unique index rejects a second one even when two requests start the day's session at once.
+
+alter table game_sessions add column if not exists daily_date date;
+
+alter table player_scores add column if not exists daily_date date;
+
+create unique index if not exists game_sessions_player_daily_idx
+    on game_sessions (player_id, daily_date)
+    where daily_date is not null;
+
+-- The daily leaderboard ranks the scores of one day
+create index if not exists player_scores_daily_idx on player_scores (daily_date) where daily_date is not null;
@@ -0,0 +1,11 @@
+-- Soft-deleted players
+--
+-- Deleting a player moves them to the trash: deleted_at and deleted_by are set, and the player is left
+-- out of sign-in and leaderboards until restored or purged. Only trashed players are indexed, for the
+-- trash listing and the retention purge.
+
+alter table players
+    add column if not exists deleted_at timestamptz,
+    add column if not exists deleted_by bigint references players (id) on delete set null;
+
+create index if not exists players_deleted_idx on players (deleted_at, id) where deleted_at is not null;
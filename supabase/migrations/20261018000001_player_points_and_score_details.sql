@@ -0,0 +1,50 @@
+-- Player points and per-solve score details
+--
+-- players keeps cumulative totals for single-query leaderboards; record_player_solve updates them
+-- atomically. player_scores records how each solve was scored.
+
+alter table players
+    add column if not exists total_points integer not null default 0,
+    add column if not exists riddles_solved integer not null default 0,
+    add column if not exists hints_used integer not null default 0;
+
+alter table player_scores
+    add column if not exists session_id uuid references game_sessions (id) on delete set null,
+    add column if not exists hints_used integer not null default 0,
+    add column if not exists penalty_ms integer not null default 0,
+    add column if not exists riddle_level text check (riddle_level in ('easy', 'medium', 'hard')),
+    add column if not exists points integer not null default 0;
+
+-- Add a solve to a player's totals
+-- The row lock serializes concurrent solves of the same player, so no increment is lost.
+-- Returns true if the scored time is the player's new best time (null or 0 means no best time yet).
+create or replace function record_player_solve(
+    p_player_id bigint,
+    p_points integer,
+    p_scored_time integer,
+    p_hints_used integer
+) returns boolean
+language plpgsql
+as $$
+declare
+    previous_best integer;
+begin
+    select best_time into previous_best from players where id = p_player_id for update;
+
+    if not found then
+        raise exception 'Player % not found', p_player_id;
+    end if;
+
+    update players
+    set total_points = total_points + p_points,
+        riddles_solved = riddles_solved + 1,
+        hints_used = hints_used + p_hints_used,
+        best_time = case
+            when coalesce(best_time, 0) = 0 or p_scored_time < best_time then p_scored_time
+            else best_time
+        end
+    where id = p_player_id;
+
+    return coalesce(previous_best, 0) = 0 or p_scored_time < previous_best;
+end;
+$$;
@@ -0,0 +1,28 @@
+-- Backfill player totals from their scores
+--
+-- The leaderboard reads riddles_solved, total_points and hints_used from players, but those columns
+-- only count solves recorded since they were added. refresh_player_totals recomputes them from
+-- player_scores; it is meant for backfills, live solves go through record_player_solve.
+
+create or replace function refresh_player_totals(p_player_ids bigint[] default null)
+returns void
+language sql
+as $$
+    update players
+    set riddles_solved = totals.riddles_solved,
+        total_points = totals.total_points,
+        hints_used = totals.hints_used
+    from (
+        select players.id,
+               count(player_scores.id)::integer as riddles_solved,
+               coalesce(sum(player_scores.points), 0)::integer as total_points,
+               coalesce(sum(player_scores.hints_used), 0)::integer as hints_used
+        from players
+        left join player_scores on player_scores.player_id = players.id
+        where p_player_ids is null or players.id = any (p_player_ids)
+        group by players.id
+    ) as totals
+    where players.id = totals.id;
+$$;
+
+select refresh_player_totals();
@@ -0,0 +1,59 @@
+-- Rank players by their scores in a time window, level or daily challenge
+--
+-- Windowed, per-level and daily leaderboards cannot use the totals on players, so rank_player_scores
+-- aggregates player_scores per player in the database and ranks the result. Players with the same
+-- value share a rank (1, 2, 2, 4); position breaks ties by player ID. Deleted players are not ranked.
+
+create or replace function rank_player_scores(
+    p_by text default 'best_time',
+    p_since timestamptz default null,
+    p_level text default null,
+    p_daily_date date default null
+) returns table (
+    "position" bigint,
+    rank bigint,
+    id bigint,
+    username text,
+    best_time integer,
+    total_points integer,
+    hints_used integer,
+    riddles_solved integer
+)
+language sql
+stable
+as $$
+    with totals as (
+        select scores.player_id,
+               min(scores.time_to_solve + scores.penalty_ms)::integer as best_time,
+               sum(scores.points)::integer as total_points,
+               sum(scores.hints_used)::integer as hints_used,
+               count(*)::integer as riddles_solved
+        from player_scores as scores
+        where (p_since is null or scores.solved_at >= p_since)
+          and (p_level is null or scores.riddle_level = p_level)
+          and (p_daily_date is null or scores.daily_date = p_daily_date)
+        group by scores.player_id
+    ),
+    ranked as (
+        select totals.*,
+               case p_by
+                   when 'points' then -totals.total_points
+                   when 'solved' then -totals.riddles_solved
+                   else totals.best_time
+               end as sort_value
+        from totals
+        where p_by <> 'points' or totals.total_points > 0
+    )
+    select row_number() over (order by ranked.sort_value, ranked.player_id) as "position",
+           rank() over (order by ranked.sort_value) as rank,
+           ranked.player_id as id,
+           players.username::text,
+           ranked.best_time,
+           ranked.total_points,
+           ranked.hints_used,
+           ranked.riddles_solved
+    from ranked
+    join players on players.id = ranked.player_id
+    where players.deleted_at is null
+    order by 1;
+$$;
@@ -0,0 +1,14 @@
+-- Riddles with scores
+--
+-- The trash purge keeps riddles that scores refer to. Selecting their player_scores rows would return
+-- one row per score and run into the API's row limit, so scored_riddle_ids returns each riddle once.
+
+create or replace function scored_riddle_ids(p_riddle_ids text[])
+returns table (riddle_id text)
+language sql
+stable
+as $$
+    select distinct scores.riddle_id::text
+    from player_scores as scores
+    where scores.riddle_id::text = any (p_riddle_ids);
+$$;
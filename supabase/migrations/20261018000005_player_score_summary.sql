@@ -0,0 +1,16 @@
+-- Summary of a player's scores
+--
+-- Player profiles show solve time figures that the totals on players do not keep. Summing them over the
+-- player's player_scores rows in the database avoids reading every score through the API's row limit.
+
+create or replace function player_score_summary(p_player_id bigint)
+returns table (total_time bigint, avg_time integer, solved_without_hints integer)
+language sql
+stable
+as $$
+    select coalesce(sum(scores.time_to_solve), 0)::bigint as total_time,
+           coalesce(round(avg(scores.time_to_solve)), 0)::integer as avg_time,
+           count(*) filter (where scores.hints_used = 0)::integer as solved_without_hints
+    from player_scores as scores
+    where scores.player_id = p_player_id;
+$$;
@@ -0,0 +1,84 @@
+/**
+ * Players Controller Tests
+ * Player profile responses, with the player model mocked
+ */
+import { afterEach, describe, it, mock } from "node:test";
+import assert from "node:assert/strict";
+
+// The Supabase client is created on import; it never connects in these tests
+process.env.SUPABASE_URL ??= "http://localhost:54321";
+process.env.SUPABASE_KEY ??= "test-key";
+
+const { default: Player } = await import("../../src/models/Player.js");
+const playersController = await import("../../src/controllers/playersController.js");
+
+const STATS = {
+    player: new Player({ id: 7, username: "ada", created_at: "2026-01-01T00:00:00.000Z", password_hash: "secret" }),
+    stats: {
+        total_solved: 12,
+        total_points: 3400,
+        total_time: 60000,
+        avg_time: 5000,
+        best_time: 900,
+        hints_used: 5,
+        solved_without_hints: 9,
+    },
+    history: { items: [{ id: 31, riddle_id: "a", points: 300, hints_used: 1 }], hasMore: true, nextCursor: "next" },
+};
+
+/**
+ * Run getPlayerByUsername as the given user
+ * return Promise - { status, body, error } of the response
+ */
+async function getProfile(user, query = {}) {
+    const response = { status: 200, body: null, error: null };
+    const req = { params: { username: "ada" }, query, user };
+    const res = {
+        status: (code) => ((response.status = code), res),
+        json: (body) => ((response.body = body), res),
+    };
+
+    await playersController.getPlayerByUsername(req, res, (error) => (response.error = error));
+    return response;
+}
+
+describe("playersController.getPlayerByUsername", () => {
+    afterEach(() => mock.restoreAll());
+
+    it("shows the player's points and hint usage to other players", async () => {
+        mock.method(Player, "getPlayerStats", async () => STATS);
+
+        const { body } = await getProfile({ id: 2, username: "bob", role: "user" });
+
+        assert.deepEqual(body.data, {
+            username: "ada",
+            created_at: "2026-01-01T00:00:00.000Z",
+            riddles_solved: 12,
+            total_points: 3400,
+            hints_used: 5,
+        });
+        assert.equal(body.pagination, undefined);
+    });
+
+    it("adds times and a page of the history for the player themselves", async () => {
+        const getPlayerStats = mock.method(Player, "getPlayerStats", async () => STATS);
+
+        const { body } = await getProfile({ id: 7, username: "ada", role: "user" }, { limit: "5" });
+
+        assert.deepEqual(getPlayerStats.mock.calls[0].arguments, ["ada", { limit: 5, cursor: null }]);
+        assert.equal(body.data.total_points, 3400);
+        assert.equal(body.data.hints_used, 5);
+        assert.equal(body.data.best_time, 900);
+        assert.equal(body.data.average_time, 5000);
+        assert.equal(body.data.solved_without_hints, 9);
+        assert.deepEqual(body.data.detailed_history, STATS.history.items);
+        assert.deepEqual(body.pagination, { limit: 5, hasMore: true, nextCursor: "next" });
+        assert.equal("password_hash" in body.data, false);
+    });
+
+    it("requires authentication", async () => {
+        const { status } = await getProfile({ role: "guest" });
+
+        assert.equal(status, 401);
+    });
+});
@@ -0,0 +1,46 @@
+/**
+ * Error Handler Middleware Tests
+ */
+import { describe, it, mock } from "node:test";
+import assert from "node:assert/strict";
+import { globalErrorHandler, ApiError } from "../../src/middleware/errorHandler.js";
+
+/**
+ * Stand-in for a response that keeps the status and body sent
+ */
+function makeResponse(headersSent = false) {
+    const res = {
+        headersSent,
+        statusCode: null,
+        body: null,
+        set: () => res,
+        status: (code) => ((res.statusCode = code), res),
+        json: (body) => ((res.body = body), res),
+    };
+
+    return res;
+}
+
+describe("globalErrorHandler", () => {
+    it("answers with the error's status and message", (t) => {
+        t.mock.method(console, "error", () => {});
+        const res = makeResponse();
+
+        globalErrorHandler(new ApiError(404, "Riddle not found"), { id: "request-1" }, res, () => {});
+
+        assert.equal(res.statusCode, 404);
+        assert.deepEqual(res.body, { success: false, error: "Riddle not found", requestId: "request-1" });
+    });
+
+    it("passes errors of responses that already started on to Express", (t) => {
+        t.mock.method(console, "error", () => {});
+        const res = makeResponse(true);
+        const error = new Error("cursor killed");
+        const next = mock.fn();
+
+        globalErrorHandler(error, { originalUrl: "/riddles/export" }, res, next);
+
+        assert.deepEqual(next.mock.calls[0].arguments, [error]);
+        assert.equal(res.body, null);
+    });
+});
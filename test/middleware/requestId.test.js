@@ -0,0 +1,39 @@
+/**
+ * Request ID Middleware Tests
+ */
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import requestId from "../../src/middleware/requestId.js";
+
+/**
+ * Run the middleware on a request carrying the given X-Request-Id
+ */
+function run(incoming) {
+    const headers = {};
+    const req = { get: (name) => (name === "X-Request-Id" ? incoming : undefined) };
+    const res = { set: (name, value) => (headers[name] = value) };
+
+    requestId(req, res, () => {});
+    return { req, headers };
+}
+
+describe("requestId", () => {
+    it("always generates the request ID, keeping the client's one separately", () => {
+        const { req, headers } = run("client-chosen-id");
+
+        assert.match(req.id, /^[0-9a-f-]{36}$/);
+        assert.notEqual(req.id, "client-chosen-id");
+        assert.equal(req.clientRequestId, "client-chosen-id");
+        assert.equal(headers["X-Request-Id"], req.id);
+    });
+
+    it("drops malformed client IDs", () => {
+        assert.equal(run("bad id\n").req.clientRequestId, null);
+        assert.equal(run("x".repeat(129)).req.clientRequestId, null);
+        assert.equal(run(undefined).req.clientRequestId, null);
+    });
+
+    it("gives every request its own ID", () => {
+        assert.notEqual(run("same").req.id, run("same").req.id);
+    });
+});
@@ -0,0 +1,195 @@
+/**
+ * Player Model Tests
+ * Query building against a recording stand-in for the Supabase query builder
+ */
+import { afterEach, describe, it, mock } from "node:test";
+import assert from "node:assert/strict";
+
+// The Supabase client is created on import; it never connects in these tests
+process.env.SUPABASE_URL ??= "http://localhost:54321";
+process.env.SUPABASE_KEY ??= "test-key";
+
+const { supabase } = await import("../../src/db/supabase.js");
+const { default: Player } = await import("../../src/models/Player.js");
+const { default: pagination } = await import("../../src/utils/pagination.js");
+
+/**
+ * Stand-in for a PostgREST query: records every filter call and resolves with the given result
+ */
+function fakeQuery(result) {
+    const calls = [];
+    const query = new Proxy(
+        {},
+        {
+            get(target, method) {
+                if (method === "then") return (resolve) => resolve(result);
+                return (...args) => {
+                    calls.push([method, ...args]);
+                    return query;
+                };
+            },
+        }
+    );
+
+    return { query, calls };
+}
+
+describe("Player.findAll", () => {
+    afterEach(() => mock.restoreAll());
+
+    it("continues after a player without a best time", async () => {
+        const { query } = fakeQuery({
+            data: [
+                { id: 5, username: "a", best_time: null },
+                { id: 9, username: "b", best_time: null },
+            ],
+            error: null,
+        });
+        mock.method(supabase, "from", () => query);
+
+        const page = await Player.findAll({ limit: 1 });
+        const cursor = pagination.decodeCursor(page.nextCursor);
+
+        assert.deepEqual(cursor, { b: null, id: 5 });
+        assert.equal(page.items[0] instanceof Player, true);
+
+        // The next page only holds the remaining players without a best time
+        const next = fakeQuery({ data: [], error: null });
+        supabase.from.mock.mockImplementation(() => next.query);
+
+        await Player.findAll({ limit: 1, cursor });
+
+        assert.deepEqual(
+            next.calls.filter(([method]) => ["is", "gt", "or"].includes(method)),
+            [
+                ["is", "deleted_at", null],
+                ["is", "best_time", null],
+                ["gt", "id", 5],
+            ]
+        );
+    });
+
+    it("includes players without a best time after the last timed one", async () => {
+        const { query, calls } = fakeQuery({ data: [], error: null });
+        mock.method(supabase, "from", () => query);
+
+        await Player.findAll({ limit: 10, cursor: { b: 1500, id: 3 } });
+
+        assert.deepEqual(
+            calls.find(([method]) => method === "or"),
+            ["or", "best_time.gt.1500,best_time.is.null,and(best_time.eq.1500,id.gt.3)"]
+        );
+    });
+
+    it("rejects malformed cursors", async () => {
+        await assert.rejects(Player.findAll({ cursor: { b: "x", id: 1 } }), { statusCode: 400 });
+        await assert.rejects(Player.findAll({ cursor: { b: null, id: "1" } }), { statusCode: 400 });
+    });
+});
+
+describe("Player.submitScore", () => {
+    afterEach(() => mock.restoreAll());
+
+    it("updates the player's totals in one atomic call", async () => {
+        const insert = fakeQuery({ error: null });
+        mock.method(supabase, "from", () => insert.query);
+        mock.method(supabase, "rpc", async () => ({ data: true, error: null }));
+
+        const result = await Player.submitScore(7, "riddle-1", 60000, { hintsUsed: 1, level: "hard" });
+
+        const [name, params] = supabase.rpc.mock.calls[0].arguments;
+        assert.equal(name, "record_player_solve");
+        assert.deepEqual(params, {
+            p_player_id: 7,
+            p_points: result.points,
+            p_scored_time: 60000 + Player.hintPenalty(1),
+            p_hints_used: 1,
+        });
+        assert.equal(result.scoredTime, 60000 + Player.hintPenalty(1));
+    });
+
+    it("fails when the totals cannot be updated", async () => {
+        mock.method(supabase, "from", () => fakeQuery({ error: null }).query);
+        mock.method(supabase, "rpc", async () => ({ data: null, error: new Error("Player 7 not found") }));
+
+        await assert.rejects(Player.submitScore(7, "riddle-1", 1000), { statusCode: 500 });
+    });
+});
+
+describe("Player.getPlayerStats", () => {
+    afterEach(() => mock.restoreAll());
+
+    it("reads totals from the player and one page of the history", async () => {
+        const player = fakeQuery({
+            data: { id: 7, username: "ada", best_time: 900, riddles_solved: 2500, hints_used: 40, total_points: 9000 },
+            error: null,
+        });
+        const history = fakeQuery({
+            data: [
+                { id: 31, solved_at: "2026-10-18T10:00:00.000Z", time_to_solve: 900, hints_used: 0 },
+                { id: 30, solved_at: "2026-10-17T10:00:00.000Z", time_to_solve: 1200, hints_used: 1 },
+            ],
+            error: null,
+        });
+        mock.method(supabase, "from", (table) => (table === "players" ? player.query : history.query));
+        const summary = fakeQuery({
+            data: { total_time: 3000000, avg_time: 1200, solved_without_hints: 2200 },
+            error: null,
+        });
+        const rpc = mock.method(supabase, "rpc", () => summary.query);
+
+        const { stats, history: page } = await Player.getPlayerStats("ada", {
+            limit: 1,
+            cursor: { s: "2026-10-19T00:00:00.000Z", id: 40 },
+        });
+
+        assert.deepEqual(stats, {
+            total_solved: 2500,
+            total_points: 9000,
+            total_time: 3000000,
+            avg_time: 1200,
+            best_time: 900,
+            hints_used: 40,
+            solved_without_hints: 2200,
+        });
+        assert.deepEqual(rpc.mock.calls[0].arguments, ["player_score_summary", { p_player_id: 7 }]);
+
+        assert.deepEqual(
+            history.calls.filter(([method]) => ["limit", "or"].includes(method)),
+            [
+                ["limit", 2],
+                ["or", 'solved_at.lt."2026-10-19T00:00:00.000Z",and(solved_at.eq."2026-10-19T00:00:00.000Z",id.lt.40)'],
+            ]
+        );
+        assert.deepEqual(page.items.map((score) => score.id), [31]);
+        assert.deepEqual(pagination.decodeCursor(page.nextCursor), { s: "2026-10-18T10:00:00.000Z", id: 31 });
+    });
+
+    it("rejects malformed history cursors", async () => {
+        await assert.rejects(Player.getPlayerStats("ada", { cursor: { s: "yesterday", id: 1 } }), { statusCode: 400 });
+    });
+});
+
+describe("Player.findScoredRiddleIds", () => {
+    afterEach(() => mock.restoreAll());
+
+    it("asks for each riddle once, in batches of IDs", async () => {
+        const ids = Array.from({ length: 150 }, (_, i) => `riddle-${i}`);
+        mock.method(supabase, "rpc", async (name, params) => ({
+            data: params.p_riddle_ids.filter((id) => id.endsWith("7")).map((id) => ({ riddle_id: id })),
+            error: null,
+        }));
+
+        const scored = await Player.findScoredRiddleIds(ids);
+
+        assert.deepEqual(
+            supabase.rpc.mock.calls.map((call) => [call.arguments[0], call.arguments[1].p_riddle_ids.length]),
+            [
+                ["scored_riddle_ids", 100],
+                ["scored_riddle_ids", 50],
+            ]
+        );
+        assert.equal(scored.size, 15);
+        assert.equal(scored.has("riddle-147"), true);
+    });
+});
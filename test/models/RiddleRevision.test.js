@@ -0,0 +1,142 @@
+/**
+ * Riddle Revision Model Tests
+ * Diffs, and revisions recorded into a stand-in for the MongoDB collection
+ */
+import { afterEach, before, describe, it, mock } from "node:test";
+import assert from "node:assert/strict";
+import { MongoClient, ObjectId } from "mongodb";
+import { connectMongoDB } from "../../src/db/mongodb.js";
+import RiddleRevision from "../../src/models/RiddleRevision.js";
+
+// Documents inserted into the revisions collection by the current test
+let inserted = [];
+
+const revisionsCollection = {
+    createIndexes: async () => {},
+    insertMany: async (documents) => {
+        inserted.push(...documents);
+    },
+};
+
+const RIDDLE_ID = new ObjectId();
+const ORIGINAL = {
+    _id: RIDDLE_ID,
+    question: "What has keys but opens no locks?",
+    answer: "piano",
+    createdAt: new Date("2025-01-01T00:00:00.000Z"),
+};
+const EDITED = { ...ORIGINAL, answer: "a piano", updatedAt: new Date("2026-10-18T00:00:00.000Z") };
+const ADMIN = { id: 1, username: "admin", role: "admin" };
+
+describe("RiddleRevision.diff", () => {
+    it("lists changed fields with their old and new values", () => {
+        assert.deepEqual(RiddleRevision.diff(ORIGINAL, EDITED), [{ field: "answer", from: "piano", to: "a piano" }]);
+    });
+
+    it("compares arrays and objects by value", () => {
+        const before = { hints: ["music"], createdBy: { id: 1, username: "ada" } };
+
+        assert.deepEqual(RiddleRevision.diff(before, { hints: ["music"], createdBy: { id: 1, username: "ada" } }), []);
+        assert.deepEqual(RiddleRevision.diff(before, { ...before, hints: ["music", "keys"] }), [
+            { field: "hints", from: ["music"], to: ["music", "keys"] },
+        ]);
+    });
+
+    it("treats missing fields as null", () => {
+        assert.deepEqual(RiddleRevision.diff({ category: null }, {}), []);
+        assert.deepEqual(RiddleRevision.diff({}, { category: "music" }), [
+            { field: "category", from: null, to: "music" },
+        ]);
+    });
+
+    it("diffs creations and purges against nothing", () => {
+        const riddle = { answer: "piano" };
+
+        assert.deepEqual(RiddleRevision.diff(null, riddle), [{ field: "answer", from: null, to: "piano" }]);
+        assert.deepEqual(RiddleRevision.diff(riddle, null), [{ field: "answer", from: "piano", to: null }]);
+    });
+
+    it("leaves out bookkeeping fields", () => {
+        assert.deepEqual(RiddleRevision.diff(ORIGINAL, { ...ORIGINAL, questionKey: "x", updatedBy: ADMIN }), []);
+    });
+});
+
+describe("RiddleRevision.record", () => {
+    before(async () => {
+        const otherCollection = { createIndexes: async () => {} };
+        const db = { collection: (name) => (name === "riddle_revisions" ? revisionsCollection : otherCollection) };
+        mock.method(MongoClient, "connect", async () => ({ db: () => db }));
+        mock.method(console, "log", () => {});
+
+        await connectMongoDB();
+        mock.restoreAll();
+    });
+
+    afterEach(() => {
+        inserted = [];
+        mock.restoreAll();
+    });
+
+    it("stores the state of a riddle from before revisions existed ahead of its first change", async () => {
+        mock.method(RiddleRevision, "findLatestNumbers", async () => new Map());
+
+        await RiddleRevision.record([{ action: "update", before: ORIGINAL, after: EDITED, by: ADMIN }]);
+
+        assert.deepEqual(
+            inserted.map(({ revision, action }) => [revision, action]),
+            [
+                [1, "baseline"],
+                [2, "update"],
+            ]
+        );
+        assert.deepEqual(inserted[0].snapshot, ORIGINAL);
+        assert.deepEqual(inserted[0].changes, []);
+        assert.equal(inserted[0].by, null);
+        assert.deepEqual(inserted[0].createdAt, ORIGINAL.createdAt);
+        assert.deepEqual(inserted[1].snapshot, EDITED);
+        assert.deepEqual(inserted[1].by, { id: 1, username: "admin" });
+    });
+
+    it("adds no baseline to riddles with revisions or to new riddles", async () => {
+        const createdId = new ObjectId();
+        mock.method(RiddleRevision, "findLatestNumbers", async () => new Map([[RIDDLE_ID.toString(), 4]]));
+
+        await RiddleRevision.record([
+            { action: "update", before: ORIGINAL, after: EDITED, by: ADMIN },
+            { action: "create", before: null, after: { _id: createdId, answer: "echo" }, by: ADMIN },
+        ]);
+
+        assert.deepEqual(
+            inserted.map(({ riddleId, revision, action }) => [riddleId.toString(), revision, action]),
+            [
+                [RIDDLE_ID.toString(), 5, "update"],
+                [createdId.toString(), 1, "create"],
+            ]
+        );
+    });
+
+    it("retries changes whose number was taken, but not a baseline another change already stored", async () => {
+        // A concurrent change stored its baseline and update as revisions 1 and 2 first
+        const latest = mock.method(RiddleRevision, "findLatestNumbers", async () =>
+            latest.mock.callCount() === 0 ? new Map() : new Map([[RIDDLE_ID.toString(), 2]])
+        );
+        const insertMany = mock.method(revisionsCollection, "insertMany", async (documents) => {
+            if (insertMany.mock.callCount() > 0) return inserted.push(...documents);
+
+            const error = new Error("duplicate key");
+            error.writeErrors = [
+                { index: 0, code: 11000 },
+                { index: 1, code: 11000 },
+            ];
+            throw error;
+        });
+
+        await RiddleRevision.record([{ action: "update", before: ORIGINAL, after: EDITED, by: ADMIN }]);
+
+        assert.equal(latest.mock.callCount(), 2);
+        assert.deepEqual(
+            inserted.map(({ revision, action }) => [revision, action]),
+            [[3, "update"]]
+        );
+    });
+});
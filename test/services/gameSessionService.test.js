@@ -0,0 +1,162 @@
+/**
+ * Game Session Service Tests
+ * Session timing and ownership checks, with the database models mocked
+ */
+import { afterEach, beforeEach, describe, it, mock } from "node:test";
+import assert from "node:assert/strict";
+import crypto from "crypto";
+
+// The Supabase client is created on import; it never connects in these tests
+process.env.SUPABASE_URL ??= "http://localhost:54321";
+process.env.SUPABASE_KEY ??= "test-key";
+
+const { default: GameSession } = await import("../../src/models/GameSession.js");
+const { default: Riddle } = await import("../../src/models/Riddle.js");
+const { default: Player } = await import("../../src/models/Player.js");
+const { default: gameSessionService } = await import("../../src/services/gameSessionService.js");
+
+const NOW = new Date("2026-01-01T12:00:00.000Z");
+const RIDDLE = { _id: "65f000000000000000000001", answer: "echo", level: "hard", hints: ["sound"] };
+
+/**
+ * Build a session that started some time before NOW
+ */
+function makeSession(overrides = {}) {
+    return new GameSession({
+        id: "session-1",
+        player_id: 7,
+        riddle_id: RIDDLE._id,
+        status: "active",
+        hints_used: 0,
+        started_at: new Date(NOW.getTime() - 42000).toISOString(),
+        expires_at: new Date(NOW.getTime() + 60000).toISOString(),
+        ...overrides,
+    });
+}
+
+describe("gameSessionService.submitAnswer", () => {
+    let session;
+
+    beforeEach(() => {
+        mock.timers.enable({ apis: ["Date"], now: NOW });
+        session = makeSession();
+
+        mock.method(GameSession, "findById", async () => session);
+        mock.method(GameSession, "complete", async (id, completedAt, timeToSolve) => ({
+            ...session,
+            status: "completed",
+            completed_at: completedAt.toISOString(),
+            time_to_solve: timeToSolve,
+        }));
+        mock.method(GameSession, "fail", async () => ({ ...session, status: "failed" }));
+        mock.method(GameSession, "expire", async () => {});
+        mock.method(Riddle, "findById", async () => RIDDLE);
+        mock.method(Player, "submitScore", async () => ({ success: true, points: 500 }));
+    });
+
+    afterEach(() => {
+        mock.timers.reset();
+        mock.restoreAll();
+    });
+
+    it("measures the solve time on the server from the session start", async () => {
+        const result = await gameSessionService.submitAnswer("session-1", { playerId: 7 }, "Echo");
+
+        assert.equal(result.correct, true);
+        assert.equal(result.timeToSolve, 42000);
+        assert.equal(result.points, 500);
+
+        const [id, completedAt, timeToSolve] = GameSession.complete.mock.calls[0].arguments;
+        assert.equal(id, "session-1");
+        assert.equal(completedAt.getTime(), NOW.getTime());
+        assert.equal(timeToSolve, 42000);
+
+        const [playerId, riddleId, scoredTime, options] = Player.submitScore.mock.calls[0].arguments;
+        assert.deepEqual([playerId, riddleId, scoredTime], [7, RIDDLE._id, 42000]);
+        assert.equal(options.level, "hard");
+        assert.equal(options.sessionId, "session-1");
+    });
+
+    it("adds the hint penalty of the hints used", async () => {
+        session = makeSession({ hints_used: 2 });
+
+        const result = await gameSessionService.submitAnswer("session-1", { playerId: 7 }, "echo");
+
+        assert.equal(result.hintsUsed, 2);
+        assert.equal(result.penaltyMs, Player.hintPenalty(2));
+        assert.equal(Player.submitScore.mock.calls[0].arguments[3].hintsUsed, 2);
+    });
+
+    it("rejects answers after the session expired", async () => {
+        session = makeSession({ expires_at: new Date(NOW.getTime() - 1).toISOString() });
+
+        await assert.rejects(gameSessionService.submitAnswer("session-1", { playerId: 7 }, "echo"), {
+            statusCode: 410,
+        });
+        assert.equal(GameSession.expire.mock.callCount(), 1);
+        assert.equal(GameSession.complete.mock.callCount(), 0);
+    });
+
+    it("rejects answers from another player", async () => {
+        await assert.rejects(gameSessionService.submitAnswer("session-1", { playerId: 8 }, "echo"), {
+            statusCode: 403,
+        });
+    });
+
+    it("rejects a second answer once the session is completed", async () => {
+        session = makeSession({ status: "completed" });
+
+        await assert.rejects(gameSessionService.submitAnswer("session-1", { playerId: 7 }, "echo"), {
+            statusCode: 409,
+        });
+    });
+
+    it("lets only one concurrent answer complete the session", async () => {
+        GameSession.complete.mock.mockImplementation(async () => null);
+
+        await assert.rejects(gameSessionService.submitAnswer("session-1", { playerId: 7 }, "echo"), {
+            statusCode: 409,
+        });
+        assert.equal(Player.submitScore.mock.callCount(), 0);
+    });
+
+    it("keeps a ranked session open after a wrong answer", async () => {
+        const result = await gameSessionService.submitAnswer("session-1", { playerId: 7 }, "silence");
+
+        assert.deepEqual(
+            { correct: result.correct, timeToSolve: result.timeToSolve, sessionEnded: result.sessionEnded },
+            { correct: false, timeToSolve: null, sessionEnded: false }
+        );
+        assert.equal(GameSession.fail.mock.callCount(), 0);
+    });
+
+    it("ends a daily session after a wrong answer", async () => {
+        session = makeSession({ daily_date: "2026-01-01" });
+
+        const result = await gameSessionService.submitAnswer("session-1", { playerId: 7 }, "silence");
+
+        assert.equal(result.sessionEnded, true);
+        assert.equal(GameSession.fail.mock.callCount(), 1);
+    });
+
+    it("keeps anonymous results off the leaderboard", async () => {
+        const token = "secret-token";
+        const tokenHash = crypto.createHash("sha256").update(token).digest("hex");
+        session = makeSession({ player_id: null, anonymous: true, token_hash: tokenHash });
+
+        const result = await gameSessionService.submitAnswer("session-1", { sessionToken: token }, "echo");
+
+        assert.equal(result.ranked, false);
+        assert.equal(result.timeToSolve, 42000);
+        assert.equal(result.points, null);
+        assert.equal(Player.submitScore.mock.callCount(), 0);
+    });
+
+    it("rejects anonymous answers with the wrong session token", async () => {
+        session = makeSession({ player_id: null, anonymous: true, token_hash: "00".repeat(32) });
+
+        await assert.rejects(gameSessionService.submitAnswer("session-1", { sessionToken: "guess" }, "echo"), {
+            statusCode: 403,
+        });
+    });
+});
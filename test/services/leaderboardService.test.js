@@ -0,0 +1,153 @@
+/**
+ * Leaderboard Service Tests
+ * Boards ranked by the database and the score level backfill, against a stand-in for Supabase
+ */
+import { afterEach, describe, it, mock } from "node:test";
+import assert from "node:assert/strict";
+
+// The Supabase client is created on import; it never connects in these tests
+process.env.SUPABASE_URL ??= "http://localhost:54321";
+process.env.SUPABASE_KEY ??= "test-key";
+
+const { supabase } = await import("../../src/db/supabase.js");
+const { default: Riddle } = await import("../../src/models/Riddle.js");
+const { default: scoring } = await import("../../src/utils/scoring.js");
+const { default: leaderboardService } = await import("../../src/services/leaderboardService.js");
+
+/**
+ * Stand-in for a PostgREST query: records every filter call and resolves with the given result
+ */
+function fakeQuery(result) {
+    const calls = [];
+    const query = new Proxy(
+        {},
+        {
+            get(target, method) {
+                if (method === "then") return (resolve) => resolve(result);
+                return (...args) => {
+                    calls.push([method, ...args]);
+                    return query;
+                };
+            },
+        }
+    );
+
+    return { query, calls };
+}
+
+describe("leaderboardService.getLeaderboard", () => {
+    afterEach(() => mock.restoreAll());
+
+    it("ranks windowed boards in the database and looks up the caller's own rank there", async () => {
+        const top = fakeQuery({
+            data: [
+                { position: 1, rank: 1, id: 4, username: "ada", best_time: 900, total_points: 500 },
+                { position: 2, rank: 2, id: 2, username: "bob", best_time: 800, total_points: 300 },
+            ],
+            error: null,
+        });
+        const own = fakeQuery({
+            data: { position: 140, rank: 138, id: 7, username: "cy", best_time: 5000, total_points: 10 },
+            error: null,
+        });
+        const rpc = mock.method(supabase, "rpc", () => (rpc.mock.callCount() === 0 ? top.query : own.query));
+
+        const leaderboard = await leaderboardService.getLeaderboard({
+            by: "points",
+            period: "weekly",
+            level: "hard",
+            playerId: 7,
+            refresh: true,
+        });
+
+        const [name, params] = rpc.mock.calls[0].arguments;
+        assert.equal(name, "rank_player_scores");
+        assert.equal(params.p_by, "points");
+        assert.equal(params.p_level, "hard");
+        assert.equal(params.p_since, leaderboard.since);
+        assert.deepEqual(top.calls[0], ["lte", "position", 100]);
+
+        assert.deepEqual(
+            leaderboard.entries.map((entry) => [entry.rank, entry.username]),
+            [
+                [1, "ada"],
+                [2, "bob"],
+            ]
+        );
+        assert.equal("position" in leaderboard.entries[0], false);
+
+        assert.deepEqual(own.calls[0], ["eq", "id", 7]);
+        assert.equal(leaderboard.me.position, 140);
+        assert.equal(leaderboard.me.rank, 138);
+    });
+});
+
+describe("leaderboardService.getDailyLeaderboard", () => {
+    afterEach(() => mock.restoreAll());
+
+    it("ranks the day's scores in the database, however many there are", async () => {
+        const top = fakeQuery({
+            data: [{ position: 1, rank: 1, id: 4, username: "ada", best_time: 900 }],
+            error: null,
+        });
+        const own = fakeQuery({ data: null, error: null });
+        const rpc = mock.method(supabase, "rpc", () => (rpc.mock.callCount() === 0 ? top.query : own.query));
+
+        const leaderboard = await leaderboardService.getDailyLeaderboard("2026-10-18", { limit: 5, playerId: 7 });
+
+        const [name, params] = rpc.mock.calls[0].arguments;
+        assert.equal(name, "rank_player_scores");
+        assert.equal(params.p_by, "best_time");
+        assert.equal(params.p_daily_date, "2026-10-18");
+        assert.deepEqual(top.calls[0], ["lte", "position", 5]);
+        assert.deepEqual(leaderboard.entries, [{ rank: 1, id: 4, username: "ada", best_time: 900 }]);
+
+        // The caller has not played that day
+        assert.deepEqual(own.calls[0], ["eq", "id", 7]);
+        assert.equal(leaderboard.me, null);
+    });
+});
+
+describe("leaderboardService.backfillScoreLevels", () => {
+    afterEach(() => mock.restoreAll());
+
+    it("stores the level and points of old scores and refreshes their players' totals", async () => {
+        const scores = fakeQuery({
+            data: [
+                { id: 1, player_id: 3, riddle_id: "a", time_to_solve: 30000, hints_used: 1, points: 0 },
+                { id: 2, player_id: 5, riddle_id: "gone", time_to_solve: 1000, hints_used: 0, points: 0 },
+            ],
+            error: null,
+        });
+        const upsert = fakeQuery({ data: null, error: null });
+        mock.method(supabase, "from", () => (supabase.from.mock.callCount() === 0 ? scores.query : upsert.query));
+        const rpc = mock.method(supabase, "rpc", async () => ({ data: null, error: null }));
+        mock.method(Riddle, "findLevelsByIds", async () => new Map([["a", "easy"]]));
+
+        const updated = await leaderboardService.backfillScoreLevels();
+
+        assert.equal(updated, 1);
+        assert.deepEqual(scores.calls.slice(0, 3), [
+            ["select", "id, player_id, riddle_id, time_to_solve, hints_used, points"],
+            ["is", "riddle_level", null],
+            ["gt", "id", 0],
+        ]);
+
+        // The score of a riddle that no longer exists is left alone
+        const [method, rows] = upsert.calls[0];
+        assert.equal(method, "upsert");
+        assert.deepEqual(rows, [
+            {
+                id: 1,
+                player_id: 3,
+                riddle_id: "a",
+                time_to_solve: 30000,
+                hints_used: 1,
+                riddle_level: "easy",
+                points: scoring.calculatePoints({ level: "easy", timeToSolve: 30000, hintsUsed: 1 }),
+            },
+        ]);
+
+        assert.deepEqual(rpc.mock.calls[0].arguments, ["refresh_player_totals", { p_player_ids: [3] }]);
+    });
+});
@@ -0,0 +1,109 @@
+/**
+ * Leaderboard Stream Service Tests
+ * Stream slots and refresh scheduling, with the leaderboards mocked
+ */
+import { afterEach, describe, it, mock } from "node:test";
+import assert from "node:assert/strict";
+
+// The Supabase client is created on import; it never connects in these tests
+process.env.SUPABASE_URL ??= "http://localhost:54321";
+process.env.SUPABASE_KEY ??= "test-key";
+process.env.LEADERBOARD_STREAM_MAX_CLIENTS = "1";
+process.env.LEADERBOARD_STREAM_REFRESH_DELAY_MS = "1000";
+
+const { default: leaderboardService } = await import("../../src/services/leaderboardService.js");
+const { default: leaderboardStreamService } = await import("../../src/services/leaderboardStreamService.js");
+const { default: scoreEvents } = await import("../../src/utils/scoreEvents.js");
+
+const LEADERBOARD = { by: "best_time", period: "all", level: null, since: null, entries: [], me: null };
+
+/**
+ * Stand-ins for an SSE request and response; close() ends the stream like a disconnecting client
+ */
+function makeClient() {
+    const closeHandlers = [];
+    const req = { socket: { destroyed: false }, headers: {} };
+    const res = {
+        status: () => res,
+        set: () => res,
+        flushHeaders: () => {},
+        write: () => true,
+        on: (event, handler) => event === "close" && closeHandlers.push(handler),
+    };
+
+    return { req, res, close: () => closeHandlers.forEach((handler) => handler()) };
+}
+
+/**
+ * A promise with its resolve function
+ */
+function deferred() {
+    let resolve;
+    const promise = new Promise((done) => (resolve = done));
+    return { promise, resolve };
+}
+
+describe("leaderboardStreamService.subscribe", () => {
+    afterEach(() => mock.restoreAll());
+
+    it("counts a subscriber against the limit while its board is fetched", async () => {
+        const board = deferred();
+        mock.method(leaderboardService, "getLeaderboard", () => board.promise);
+
+        const first = makeClient();
+        const opening = leaderboardStreamService.subscribe(first.req, first.res);
+
+        const second = makeClient();
+        await assert.rejects(leaderboardStreamService.subscribe(second.req, second.res), { statusCode: 503 });
+
+        board.resolve(LEADERBOARD);
+        await opening;
+        first.close();
+    });
+
+    it("releases the slot if the board cannot be built", async () => {
+        mock.method(leaderboardService, "getLeaderboard", async () => {
+            throw new Error("database down");
+        });
+
+        const client = makeClient();
+        await assert.rejects(leaderboardStreamService.subscribe(client.req, client.res), /database down/);
+
+        leaderboardService.getLeaderboard.mock.mockImplementation(async () => LEADERBOARD);
+        await leaderboardStreamService.subscribe(client.req, client.res);
+        client.close();
+    });
+});
+
+describe("leaderboard stream refreshes", () => {
+    afterEach(() => {
+        mock.timers.reset();
+        mock.restoreAll();
+    });
+
+    it("does not overlap and catches up on scores recorded meanwhile", async () => {
+        mock.timers.enable({ apis: ["setTimeout", "setInterval"] });
+        const getLeaderboard = mock.method(leaderboardService, "getLeaderboard", async () => LEADERBOARD);
+        const client = makeClient();
+        await leaderboardStreamService.subscribe(client.req, client.res);
+
+        const rebuild = deferred();
+        getLeaderboard.mock.mockImplementation(() => rebuild.promise);
+
+        scoreEvents.emit("score", {});
+        mock.timers.tick(1000);
+        assert.equal(getLeaderboard.mock.callCount(), 2);
+
+        // A score recorded during the refresh does not start a second one
+        scoreEvents.emit("score", {});
+        mock.timers.tick(1000);
+        assert.equal(getLeaderboard.mock.callCount(), 2);
+
+        rebuild.resolve(LEADERBOARD);
+        await new Promise((resolve) => setImmediate(resolve));
+        mock.timers.tick(1000);
+        assert.equal(getLeaderboard.mock.callCount(), 3);
+
+        client.close();
+    });
+});
@@ -0,0 +1,58 @@
+/**
+ * Riddle Selection Service Tests
+ * Restrictions passed to the random pick, with the database models mocked
+ */
+import { afterEach, describe, it, mock } from "node:test";
+import assert from "node:assert/strict";
+
+// The Supabase client is created on import; it never connects in these tests
+process.env.SUPABASE_URL ??= "http://localhost:54321";
+process.env.SUPABASE_KEY ??= "test-key";
+
+const { default: Riddle } = await import("../../src/models/Riddle.js");
+const { default: Player } = await import("../../src/models/Player.js");
+const { default: dailyRiddleService } = await import("../../src/services/dailyRiddleService.js");
+const { default: riddleSelectionService } = await import("../../src/services/riddleSelectionService.js");
+
+const DAILY_ID = "65f0000000000000000000d1";
+const SOLVED_ID = "65f000000000000000000001";
+
+describe("riddleSelectionService.selectRiddle", () => {
+    afterEach(() => mock.restoreAll());
+
+    it("never picks today's daily riddle, even once solved riddles are allowed again", async () => {
+        mock.method(dailyRiddleService, "getTodaysRiddleId", async () => DAILY_ID);
+        mock.method(Player, "getSolvedRiddleIds", async () => [SOLVED_ID]);
+        const findRandom = mock.method(Riddle, "findRandom", async (filters, excludeIds) =>
+            excludeIds.includes(SOLVED_ID) ? null : { _id: SOLVED_ID, level: "easy" }
+        );
+
+        const { selection } = await riddleSelectionService.selectRiddle({ playerId: 7, exclude: ["abc"] });
+
+        assert.deepEqual(
+            findRandom.mock.calls.map((call) => call.arguments[1]),
+            [
+                ["abc", DAILY_ID, SOLVED_ID],
+                ["abc", DAILY_ID],
+            ]
+        );
+        assert.equal(selection.unsolvedOnly, false);
+    });
+
+    it("leaves out the daily riddle for anonymous play", async () => {
+        mock.method(dailyRiddleService, "getTodaysRiddleId", async () => DAILY_ID);
+        const findRandom = mock.method(Riddle, "findRandom", async () => ({ _id: SOLVED_ID, level: "easy" }));
+
+        await riddleSelectionService.selectRiddle();
+
+        assert.deepEqual(findRandom.mock.calls[0].arguments[1], [DAILY_ID]);
+    });
+
+    it("picks from every riddle when there is no daily riddle", async () => {
+        mock.method(dailyRiddleService, "getTodaysRiddleId", async () => null);
+        mock.method(Riddle, "findRandom", async () => null);
+
+        await assert.rejects(riddleSelectionService.selectRiddle(), { statusCode: 404 });
+        assert.deepEqual(Riddle.findRandom.mock.calls[0].arguments[1], []);
+    });
+});
@@ -0,0 +1,57 @@
+/**
+ * Riddle Transfer Service Tests
+ * Streamed exports, with the riddle cursor mocked
+ */
+import { afterEach, describe, it, mock } from "node:test";
+import assert from "node:assert/strict";
+import { EventEmitter } from "events";
+
+// The Supabase client is created on import; it never connects in these tests
+process.env.SUPABASE_URL ??= "http://localhost:54321";
+process.env.SUPABASE_KEY ??= "test-key";
+
+const { default: Riddle } = await import("../../src/models/Riddle.js");
+const { default: riddleTransferService } = await import("../../src/services/riddleTransferService.js");
+
+const RIDDLE = { _id: "65f000000000000000000001", question: "What has keys?", answer: "piano", level: "easy" };
+
+/**
+ * Stand-in for a response that keeps what was written
+ */
+function makeResponse() {
+    const res = Object.assign(new EventEmitter(), {
+        body: "",
+        headersSent: false,
+        destroyed: false,
+        status: () => res,
+        set: () => res,
+        write: (text) => {
+            res.headersSent = true;
+            res.body += text;
+            return true;
+        },
+        end: () => {},
+        destroy: () => {
+            res.destroyed = true;
+        },
+    });
+
+    return res;
+}
+
+describe("riddleTransferService.exportRiddles", () => {
+    afterEach(() => mock.restoreAll());
+
+    it("aborts the download and passes on a failure while reading riddles", async () => {
+        mock.method(Riddle, "findCursor", async function* () {
+            yield RIDDLE;
+            throw new Error("cursor killed");
+        });
+        const res = makeResponse();
+
+        await assert.rejects(riddleTransferService.exportRiddles(res, { format: "ndjson" }), /cursor killed/);
+
+        assert.equal(res.destroyed, true);
+        assert.equal(res.body.split("\n").filter(Boolean).length, 1);
+    });
+});
@@ -0,0 +1,70 @@
+/**
+ * Room Service Tests
+ * Scoring of room answers, with riddle selection and the player model mocked
+ */
+import { afterEach, beforeEach, describe, it, mock } from "node:test";
+import assert from "node:assert/strict";
+
+// The Supabase client is created on import; it never connects in these tests
+process.env.SUPABASE_URL ??= "http://localhost:54321";
+process.env.SUPABASE_KEY ??= "test-key";
+
+const { default: Player } = await import("../../src/models/Player.js");
+const { default: riddleSelectionService } = await import("../../src/services/riddleSelectionService.js");
+const { default: roomService } = await import("../../src/services/roomService.js");
+
+const RIDDLE = { _id: "65f000000000000000000001", question: "What has keys?", answer: "piano", level: "easy" };
+
+/**
+ * A room member that keeps the messages sent to it
+ */
+function makeMember(id) {
+    const messages = [];
+    return { id, username: `player${id}`, send: (message) => messages.push(message), messages };
+}
+
+describe("roomService.submitAnswer", () => {
+    let host;
+    let guest;
+
+    beforeEach(async () => {
+        mock.timers.enable({ apis: ["setTimeout"] });
+        mock.method(riddleSelectionService, "selectRiddle", async () => ({ riddle: RIDDLE }));
+
+        host = makeMember(1);
+        guest = makeMember(2);
+        const { code } = roomService.createRoom(host, { rounds: 1 });
+        roomService.joinRoom(code, guest);
+        await roomService.startGame(host.id);
+    });
+
+    afterEach(() => {
+        roomService.leaveRoom(host.id);
+        roomService.leaveRoom(guest.id);
+        mock.timers.reset();
+        mock.restoreAll();
+    });
+
+    it("records the first solve of a riddle in the player's stats", async () => {
+        mock.method(Player, "hasScored", async () => false);
+        const submitScore = mock.method(Player, "submitScore", async () => ({}));
+
+        const result = await roomService.submitAnswer(host.id, "piano");
+
+        assert.equal(result.correct, true);
+        assert.deepEqual(Player.hasScored.mock.calls[0].arguments, [host.id, RIDDLE._id]);
+        assert.equal(submitScore.mock.callCount(), 1);
+        assert.deepEqual(submitScore.mock.calls[0].arguments.slice(0, 2), [host.id, RIDDLE._id]);
+    });
+
+    it("does not score a riddle the player already has a score for", async () => {
+        mock.method(Player, "hasScored", async () => true);
+        const submitScore = mock.method(Player, "submitScore", async () => ({}));
+
+        const result = await roomService.submitAnswer(host.id, "piano");
+
+        // The answer still counts in the room
+        assert.equal(result.correct, true);
+        assert.equal(submitScore.mock.callCount(), 0);
+    });
+});
@@ -0,0 +1,58 @@
+/**
+ * Trash Service Tests
+ * Purge batches, with the database models mocked
+ */
+import { afterEach, beforeEach, describe, it, mock } from "node:test";
+import assert from "node:assert/strict";
+
+// The Supabase client is created on import; it never connects in these tests
+process.env.SUPABASE_URL ??= "http://localhost:54321";
+process.env.SUPABASE_KEY ??= "test-key";
+
+const { default: Riddle } = await import("../../src/models/Riddle.js");
+const { default: Player } = await import("../../src/models/Player.js");
+const { default: trashService } = await import("../../src/services/trashService.js");
+
+/**
+ * Deleted riddles with the given IDs, deleted one minute apart
+ */
+function deletedRiddles(ids) {
+    return ids.map((id, i) => ({ _id: id, deletedAt: new Date(Date.UTC(2026, 0, 1, 0, i)) }));
+}
+
+describe("trashService.purgeExpired", () => {
+    beforeEach(() => {
+        mock.method(Player, "findDeletedIds", async () => []);
+        mock.method(Player, "purge", async (ids) => ids.length);
+        mock.method(Riddle, "purge", async (ids) => ids.length);
+    });
+
+    afterEach(() => mock.restoreAll());
+
+    it("pages past riddles that still have scores", async () => {
+        const scoredPage = deletedRiddles(Array.from({ length: 100 }, (_, i) => `scored-${i}`));
+        const nextPage = deletedRiddles(["free-1", "scored-x", "free-2"]);
+        const findDeleted = mock.method(Riddle, "findDeletedBefore", async (cutoff, limit, after) =>
+            after ? nextPage : scoredPage
+        );
+        mock.method(Player, "findScoredRiddleIds", async (ids) => new Set(ids.filter((id) => id.startsWith("scored"))));
+
+        const { riddles } = await trashService.purgeExpired(new Date("2026-10-18T00:00:00.000Z"));
+
+        assert.equal(riddles, 2);
+        assert.deepEqual(Riddle.purge.mock.calls[0].arguments[0], ["free-1", "free-2"]);
+        assert.equal(findDeleted.mock.callCount(), 2);
+        assert.equal(findDeleted.mock.calls[1].arguments[2], scoredPage[99]);
+    });
+
+    it("stops once a full batch can be purged", async () => {
+        const page = deletedRiddles(Array.from({ length: 100 }, (_, i) => `free-${i}`));
+        const findDeleted = mock.method(Riddle, "findDeletedBefore", async () => page);
+        mock.method(Player, "findScoredRiddleIds", async () => new Set());
+
+        const { riddles } = await trashService.purgeExpired();
+
+        assert.equal(riddles, 100);
+        assert.equal(findDeleted.mock.callCount(), 1);
+    });
+});
@@ -0,0 +1,72 @@
+/**
+ * Answer Matcher Tests
+ */
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import answerMatcher from "../../src/utils/answerMatcher.js";
+
+const riddle = { answer: "A piano", alternativeAnswers: ["keyboard", "", "   "] };
+
+describe("normalizeAnswer", () => {
+    it("lowercases and strips accents, punctuation and extra whitespace", () => {
+        assert.equal(answerMatcher.normalizeAnswer("  Crème   Brûlée!? "), "creme brulee");
+    });
+
+    it("turns missing values into an empty string", () => {
+        assert.equal(answerMatcher.normalizeAnswer(null), "");
+        assert.equal(answerMatcher.normalizeAnswer(undefined), "");
+    });
+});
+
+describe("editDistance", () => {
+    it("counts single-character edits", () => {
+        assert.equal(answerMatcher.editDistance("kitten", "sitting"), 3);
+        assert.equal(answerMatcher.editDistance("same", "same"), 0);
+    });
+
+    it("stops at maxDistance + 1", () => {
+        assert.equal(answerMatcher.editDistance("kitten", "sitting", 1), 2);
+        assert.equal(answerMatcher.editDistance("a", "abcdef", 2), 3);
+    });
+});
+
+describe("getAcceptedAnswers", () => {
+    it("lists the answer first and drops empty alternatives", () => {
+        assert.deepEqual(answerMatcher.getAcceptedAnswers(riddle), ["A piano", "keyboard"]);
+    });
+
+    it("works without alternative answers", () => {
+        assert.deepEqual(answerMatcher.getAcceptedAnswers({ answer: "echo" }), ["echo"]);
+    });
+});
+
+describe("matchAnswer", () => {
+    it("accepts the answer regardless of case and punctuation", () => {
+        assert.deepEqual(answerMatcher.matchAnswer("a PIANO.", riddle), { correct: true, exact: true });
+    });
+
+    it("accepts alternative answers", () => {
+        assert.deepEqual(answerMatcher.matchAnswer("Keyboard", riddle), { correct: true, exact: true });
+    });
+
+    it("tolerates a small typo in long enough answers", () => {
+        assert.deepEqual(answerMatcher.matchAnswer("keybord", riddle), { correct: true, exact: false });
+    });
+
+    it("requires short answers to match exactly", () => {
+        assert.equal(answerMatcher.matchAnswer("bat", { answer: "cat" }).correct, false);
+        assert.equal(answerMatcher.matchAnswer("mapp", { answer: "map" }).correct, false);
+    });
+
+    it("rejects guesses that are too far off", () => {
+        assert.deepEqual(answerMatcher.matchAnswer("guitar", riddle), { correct: false, exact: false });
+    });
+
+    it("rejects empty guesses", () => {
+        assert.equal(answerMatcher.matchAnswer(" ?! ", riddle).correct, false);
+    });
+
+    it("can disable typo tolerance", () => {
+        assert.equal(answerMatcher.matchAnswer("keybord", riddle, { typoTolerance: 0 }).correct, false);
+    });
+});
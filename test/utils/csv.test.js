@@ -0,0 +1,84 @@
+/**
+ * CSV Tests
+ */
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import csv from "../../src/utils/csv.js";
+
+/**
+ * Parse a whole text, pushed in chunks of the given size
+ */
+function parse(text, chunkSize = text.length, options = {}) {
+    const parser = csv.createParser(options);
+    const rows = [];
+
+    for (let i = 0; i < text.length; i += chunkSize) rows.push(...parser.push(text.slice(i, i + chunkSize)));
+    rows.push(...parser.end());
+
+    return rows;
+}
+
+describe("formatRow", () => {
+    it("quotes fields with separators, quotes or line breaks", () => {
+        assert.equal(csv.formatRow(["a", "b,c", 'say "hi"', "two\nlines"]), 'a,"b,c","say ""hi""","two\nlines"\r\n');
+    });
+
+    it("writes null and undefined as empty fields", () => {
+        assert.equal(csv.formatRow([null, undefined, 0, false]), ",,0,false\r\n");
+    });
+
+    it("escapes fields a spreadsheet would run as a formula", () => {
+        assert.equal(
+            csv.formatRow(["=1+1", "+1", "-1", "@SUM(A1)", "\tx", "a=b"]),
+            "'=1+1,'+1,'-1,'@SUM(A1),'\tx,a=b\r\n"
+        );
+    });
+
+    it("escapes text that already looks escaped, so reading it back is lossless", () => {
+        assert.equal(csv.formatRow(["'=1"]), "''=1\r\n");
+        assert.equal(csv.formatRow(["'quoted"]), "'quoted\r\n");
+    });
+});
+
+describe("restoreFormula", () => {
+    it("undoes the formula escape and nothing else", () => {
+        for (const text of ["=1+1", "-5", "@x", "'=1", "'quoted", "plain", ""]) {
+            const [[field]] = parse(csv.formatRow([text]));
+            assert.equal(csv.restoreFormula(field), text);
+        }
+    });
+});
+
+describe("createParser", () => {
+    it("reads quoted fields, escaped quotes and CRLF or LF line endings", () => {
+        const text = 'a,"b,c","say ""hi"""\r\n"two\r\nlines",,x\nlast,row,';
+
+        assert.deepEqual(parse(text), [
+            ["a", "b,c", 'say "hi"'],
+            ["two\r\nlines", "", "x"],
+            ["last", "row", ""],
+        ]);
+    });
+
+    it("gives the same rows whatever the chunk size", () => {
+        const text = 'a,"b,c","say ""hi"""\r\n"two\r\nlines",,x\r\n';
+
+        for (const size of [1, 2, 3, 7]) assert.deepEqual(parse(text, size), parse(text));
+    });
+
+    it("rejects an unterminated quoted field", () => {
+        assert.throws(() => parse('a,"open\n'), /Unterminated quoted field/);
+    });
+
+    it("limits the length of a row", () => {
+        assert.deepEqual(parse("abc,de\n", 100, { maxRecordLength: 6 }), [["abc", "de"]]);
+        assert.throws(() => parse("abc,def\nx\n", 100, { maxRecordLength: 6 }), /at most 6 characters/);
+    });
+
+    it("limits an unfinished row before its line break arrives", () => {
+        const parser = csv.createParser({ maxRecordLength: 10 });
+
+        parser.push('"01234');
+        assert.throws(() => parser.push("56789ab"), /at most 10 characters/);
+    });
+});
@@ -0,0 +1,103 @@
+/**
+ * Locale Tests
+ */
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import localeUtil from "../../src/utils/locale.js";
+
+/**
+ * Stand-ins for a request with the given ?lang= and Accept-Language, and a response recording Vary
+ */
+function makeRequest(lang, acceptLanguage) {
+    const req = {
+        query: lang === undefined ? {} : { lang },
+        get: (name) => (name === "Accept-Language" ? acceptLanguage : undefined),
+    };
+    const vary = [];
+    const res = { vary: (field) => vary.push(field) };
+
+    return { req, res, vary };
+}
+
+describe("locale.canonicalize", () => {
+    it("puts language tags in canonical case", () => {
+        assert.equal(localeUtil.canonicalize("EN-us"), "en-US");
+        assert.equal(localeUtil.canonicalize(" zh-hant "), "zh-Hant");
+        assert.equal(localeUtil.canonicalize("pt"), "pt");
+    });
+
+    it("rejects invalid tags and the wildcard", () => {
+        for (const tag of ["", "  ", "*", "not a tag", "en_US!", null, undefined, 42]) {
+            assert.equal(localeUtil.canonicalize(tag), null, `${tag}`);
+        }
+    });
+});
+
+describe("locale.parseAcceptLanguage", () => {
+    it("orders locales by weight, keeping the order of equal weights", () => {
+        assert.deepEqual(localeUtil.parseAcceptLanguage("en;q=0.5, de-CH, fr;q=0.9, de"), ["de-CH", "de", "fr", "en"]);
+    });
+
+    it("drops q=0, the wildcard and invalid tags", () => {
+        assert.deepEqual(localeUtil.parseAcceptLanguage("fr;q=0, *;q=0.8, !!, en;q=abc, es;q=0.1"), ["es"]);
+    });
+
+    it("returns nothing without a header", () => {
+        assert.deepEqual(localeUtil.parseAcceptLanguage(undefined), []);
+        assert.deepEqual(localeUtil.parseAcceptLanguage(""), []);
+    });
+});
+
+describe("locale.requestedLocales", () => {
+    it("puts ?lang= ahead of Accept-Language and drops duplicates", () => {
+        const { req, res } = makeRequest("DE,pt-br", "en, de;q=0.8");
+
+        assert.deepEqual(localeUtil.requestedLocales(req, res), ["de", "pt-BR", "en"]);
+    });
+
+    it("rejects an invalid ?lang= tag", () => {
+        const { req, res } = makeRequest("en,not a tag", "en");
+
+        assert.throws(() => localeUtil.requestedLocales(req, res), {
+            statusCode: 400,
+            message: "'not a tag' is not a valid language tag",
+        });
+    });
+
+    it("marks the response as varying by Accept-Language", () => {
+        const { req, res, vary } = makeRequest(undefined, undefined);
+
+        assert.deepEqual(localeUtil.requestedLocales(req, res), []);
+        assert.deepEqual(vary, ["Accept-Language"]);
+    });
+
+    it("caps the number of requested locales", () => {
+        const header = Array.from({ length: 15 }, (_, index) => `x${String.fromCharCode(97 + index)}`).join(",");
+        const { req } = makeRequest(undefined, header);
+
+        assert.equal(localeUtil.requestedLocales(req).length, 10);
+    });
+});
+
+describe("locale.negotiate", () => {
+    const available = ["en", "pt-BR", "zh-Hant"];
+
+    it("takes the first requested locale that is available", () => {
+        assert.equal(localeUtil.negotiate(available, ["fr", "pt-BR", "en"]), "pt-BR");
+    });
+
+    it("falls back to a locale of the same language", () => {
+        assert.equal(localeUtil.negotiate(available, ["en-GB"]), "en");
+        assert.equal(localeUtil.negotiate(available, ["pt"]), "pt-BR");
+        assert.equal(localeUtil.negotiate(["pt-PT", "pt"], ["pt-BR"]), "pt");
+    });
+
+    it("prefers a close match of an earlier locale to an exact match of a later one", () => {
+        assert.equal(localeUtil.negotiate(available, ["zh", "en"]), "zh-Hant");
+    });
+
+    it("returns null when nothing matches", () => {
+        assert.equal(localeUtil.negotiate(available, ["fr", "de"]), null);
+        assert.equal(localeUtil.negotiate(available, []), null);
+    });
+});
@@ -0,0 +1,77 @@
+/**
+ * Pagination Helpers Tests
+ */
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import pagination from "../../src/utils/pagination.js";
+
+describe("encodeCursor / decodeCursor", () => {
+    it("round-trips cursor data, including null values", () => {
+        const cursor = { b: null, id: 42 };
+        assert.deepEqual(pagination.decodeCursor(pagination.encodeCursor(cursor)), cursor);
+    });
+
+    it("rejects malformed cursors with a 400", () => {
+        assert.throws(() => pagination.decodeCursor("not-json"), { statusCode: 400 });
+        assert.throws(() => pagination.decodeCursor(pagination.encodeCursor([1, 2])), { statusCode: 400 });
+        assert.throws(() => pagination.decodeCursor(pagination.encodeCursor(null)), { statusCode: 400 });
+    });
+});
+
+describe("parsePagination", () => {
+    it("uses the default page size", () => {
+        assert.deepEqual(pagination.parsePagination({}), {
+            limit: pagination.DEFAULT_PAGE_SIZE,
+            cursor: null,
+            includeTotal: false,
+        });
+        assert.equal(pagination.parsePagination({}, { defaultLimit: 10 }).limit, 10);
+    });
+
+    it("caps the limit at MAX_PAGE_SIZE", () => {
+        assert.equal(pagination.parsePagination({ limit: "1000" }).limit, pagination.MAX_PAGE_SIZE);
+    });
+
+    it("rejects limits that are not positive integers", () => {
+        for (const limit of ["0", "-1", "2.5", "ten"]) {
+            assert.throws(() => pagination.parsePagination({ limit }), { statusCode: 400 });
+        }
+    });
+
+    it("decodes the cursor and reads includeTotal", () => {
+        const cursor = pagination.encodeCursor({ id: 7 });
+        const parsed = pagination.parsePagination({ cursor, includeTotal: "true" });
+
+        assert.deepEqual(parsed.cursor, { id: 7 });
+        assert.equal(parsed.includeTotal, true);
+    });
+});
+
+describe("buildPage", () => {
+    const rows = [{ id: 1 }, { id: 2 }, { id: 3 }];
+
+    it("drops the extra row and points the cursor at the last item", () => {
+        const page = pagination.buildPage(rows, 2, (last) => ({ id: last.id }));
+
+        assert.deepEqual(page.items, [{ id: 1 }, { id: 2 }]);
+        assert.equal(page.hasMore, true);
+        assert.deepEqual(pagination.decodeCursor(page.nextCursor), { id: 2 });
+    });
+
+    it("has no cursor on the last page", () => {
+        const page = pagination.buildPage(rows, 3, () => assert.fail("no cursor expected"));
+
+        assert.equal(page.items.length, 3);
+        assert.equal(page.hasMore, false);
+        assert.equal(page.nextCursor, null);
+    });
+});
+
+describe("paginationMeta", () => {
+    it("includes the total only when counted", () => {
+        const page = { items: [], hasMore: false, nextCursor: null };
+
+        assert.deepEqual(pagination.paginationMeta(page, 10), { limit: 10, hasMore: false, nextCursor: null });
+        assert.equal(pagination.paginationMeta({ ...page, total: 3 }, 10).total, 3);
+    });
+});
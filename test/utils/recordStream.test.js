@@ -0,0 +1,69 @@
+/**
+ * Record Stream Tests
+ * Records read from JSON, NDJSON and CSV streams in small chunks
+ */
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { Readable } from "stream";
+import recordStream from "../../src/utils/recordStream.js";
+
+/**
+ * Read every entry of a text, split into chunks of the given size
+ */
+async function readAll(text, format, chunkSize = 5, options = {}) {
+    const chunks = [];
+    for (let i = 0; i < text.length; i += chunkSize) chunks.push(Buffer.from(text.slice(i, i + chunkSize)));
+
+    const entries = [];
+    for await (const entry of recordStream.readRecords(Readable.from(chunks), format, options)) entries.push(entry);
+    return entries;
+}
+
+describe("readRecords", () => {
+    it("reads the elements of a JSON array", async () => {
+        const entries = await readAll('[{"a":"x,]"}, {"b":[1,{"c":2}]}, 3]', "json");
+
+        assert.deepEqual(entries, [
+            { row: 1, record: { a: "x,]" } },
+            { row: 2, record: { b: [1, { c: 2 }] } },
+            { row: 3, error: "Record must be a JSON object" },
+        ]);
+    });
+
+    it("rejects input that is not a JSON array", async () => {
+        await assert.rejects(readAll('{"a":1}', "json"), /Input must be a JSON array/);
+        await assert.rejects(readAll('[{"a":1}', "json"), /Unterminated JSON array/);
+    });
+
+    it("reads NDJSON lines, skipping blank ones and reporting invalid ones", async () => {
+        const entries = await readAll('{"a":1}\n\n{oops}\n{"b":2}', "ndjson");
+
+        assert.deepEqual(entries[0], { row: 1, record: { a: 1 } });
+        assert.match(entries[1].error, /^Invalid JSON/);
+        assert.deepEqual(entries[2], { row: 3, record: { b: 2 } });
+    });
+
+    it("reads CSV records keyed by the header, after a byte order mark", async () => {
+        const entries = await readAll('\uFEFFquestion, answer\r\n"What, then?",echo\r\n\r\nonly one\r\n', "csv");
+
+        assert.deepEqual(entries, [
+            { row: 1, record: { question: "What, then?", answer: "echo" } },
+            { row: 2, error: "Expected 2 fields, got 1" },
+        ]);
+    });
+
+    it("limits the length of a record in every format", async () => {
+        const long = "x".repeat(100001);
+
+        await assert.rejects(readAll(`[{"a":"${long}"}]`, "json", 10000), /at most 100000 characters/);
+        await assert.rejects(readAll(`{"a":"${long}"}`, "ndjson", 10000), /at most 100000 characters/);
+        await assert.rejects(readAll(`question\n${long}\n`, "csv", 10000), /at most 100000 characters/);
+    });
+
+    it("stops reading a stream larger than maxBytes", async () => {
+        const text = "question\nfirst\nsecond\nthird\n";
+
+        assert.equal((await readAll(text, "csv", 5, { maxBytes: text.length })).length, 3);
+        await assert.rejects(readAll(text, "csv", 5, { maxBytes: 20 }), { statusCode: 413 });
+    });
+});
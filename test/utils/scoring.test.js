@@ -0,0 +1,45 @@
+/**
+ * Scoring Tests
+ */
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import scoring from "../../src/utils/scoring.js";
+
+const SLOW = 10 * 60 * 1000; // Well past the time bonus window
+
+describe("calculatePoints", () => {
+    it("awards the base points of the level", () => {
+        assert.equal(scoring.calculatePoints({ level: "easy", timeToSolve: SLOW }), scoring.LEVEL_POINTS.easy);
+        assert.equal(scoring.calculatePoints({ level: "medium", timeToSolve: SLOW }), scoring.LEVEL_POINTS.medium);
+        assert.equal(scoring.calculatePoints({ level: "hard", timeToSolve: SLOW }), scoring.LEVEL_POINTS.hard);
+    });
+
+    it("falls back to medium for unknown levels", () => {
+        assert.equal(scoring.calculatePoints({ level: "legendary", timeToSolve: SLOW }), scoring.LEVEL_POINTS.medium);
+        assert.equal(scoring.calculatePoints({ timeToSolve: SLOW }), scoring.LEVEL_POINTS.medium);
+    });
+
+    it("adds a time bonus that shrinks to zero over the window", () => {
+        const instant = scoring.calculatePoints({ level: "hard", timeToSolve: 0 });
+        const oneMinute = scoring.calculatePoints({ level: "hard", timeToSolve: 60000 });
+        const twoMinutes = scoring.calculatePoints({ level: "hard", timeToSolve: 120000 });
+
+        assert.equal(instant, 600);
+        assert.equal(oneMinute, 500);
+        assert.equal(twoMinutes, 400);
+    });
+
+    it("treats negative times as instant solves", () => {
+        assert.equal(scoring.calculatePoints({ level: "easy", timeToSolve: -5000 }), 150);
+    });
+
+    it("deducts a share per hint down to a minimum", () => {
+        assert.equal(scoring.calculatePoints({ level: "easy", timeToSolve: SLOW, hintsUsed: 2 }), 60);
+        assert.equal(scoring.calculatePoints({ level: "hard", timeToSolve: SLOW, hintsUsed: 10 }), 40);
+    });
+
+    it("always returns whole points", () => {
+        const points = scoring.calculatePoints({ level: "medium", timeToSolve: 12345, hintsUsed: 1 });
+        assert.equal(Number.isInteger(points), true);
+    });
+});